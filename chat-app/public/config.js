@@ -0,0 +1,5 @@
+// Runtime configuration, loaded by index.html before the app. Deployments can
+// replace this file to set it instead of config.json, in the same format as
+// config.example.json, and it takes precedence over config.json:
+//
+// window.__WAMSCHAT_CONFIG__ = { amqp: { hostname: 'broker.example.com' } };
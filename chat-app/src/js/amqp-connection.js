@@ -5,27 +5,63 @@
  */
 
 import { AMQPWebSocketClient } from '@cloudamqp/amqp-client';
+import { getDefaultConfig } from './app-config.js';
 
 class AmqpConnectionManager extends EventTarget {
-  constructor() {
+  constructor(config = getDefaultConfig().amqp) {
     super();
     this.connection = null;
     this.channel = null;
     this.isConnected = false;
     this.isConnecting = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 1000;
+    this.reconnectDelay = 1000; // Base delay, doubled per attempt
+    this.maxReconnectDelay = 30000; // Backoff cap, reconnecting never gives up
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
     this.oauthToken = null; // OAuth access token if using OAuth
 
-    // Use environment variables for connection details
-    this.config = {
-      hostname: import.meta.env.VITE_AMQP_HOST || 'localhost',
-      port: parseInt(import.meta.env.VITE_AMQP_WS_PORT) || 15672,
-      vhost: import.meta.env.VITE_AMQP_VHOST || '/',
-      username: import.meta.env.VITE_AMQP_USERNAME || 'guest',
-      password: import.meta.env.VITE_AMQP_PASSWORD || 'guest',
-    };
+    // Connection details from the runtime configuration (see app-config.js)
+    this.config = { ...config };
+
+    this.endpoints = this.parseEndpoints(this.config.endpoints);
+    this.endpointIndex = 0;
+  }
+
+  /**
+   * Build the list of WebSocket URLs to try, in priority order
+   * Entries without a scheme use the page protocol and the configured port
+   */
+  parseEndpoints(endpoints) {
+    const entries = (Array.isArray(endpoints) ? endpoints : endpoints.split(','))
+      .map(entry => entry.trim())
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      entries.push(this.config.hostname);
+    }
+
+    return entries.map(entry => {
+      if (/^wss?:\/\//.test(entry)) {
+        return entry;
+      }
+
+      // Use wss:// if page is loaded over HTTPS, ws:// otherwise
+      const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+      const [hostname, port] = entry.split(':');
+      // For wss://, use default port (443), for ws:// use configured port
+      return protocol === 'wss'
+        ? `${protocol}://${hostname}${port ? `:${port}` : ''}`
+        : `${protocol}://${hostname}:${port || this.config.port}`;
+    });
+  }
+
+  getCurrentEndpoint() {
+    return this.endpoints[this.endpointIndex];
+  }
+
+  advanceEndpoint() {
+    this.endpointIndex = (this.endpointIndex + 1) % this.endpoints.length;
   }
 
   /**
@@ -36,6 +72,19 @@ class AmqpConnectionManager extends EventTarget {
     this.oauthToken = token;
   }
 
+  /**
+   * Replace the OAuth token, and hand it to the broker on the live connection
+   * (AMQP update-secret) so the session outlives the original token
+   */
+  async updateOAuthToken(token) {
+    this.oauthToken = token;
+
+    if (this.isConnected && this.connection) {
+      await this.connection.updateSecret(token, 'OAuth token refreshed');
+      this.dispatchEvent(new CustomEvent('secretUpdated'));
+    }
+  }
+
   async connect() {
     if (this.isConnected || this.isConnecting) {
       return;
@@ -46,49 +95,59 @@ class AmqpConnectionManager extends EventTarget {
 
     try {
       // Connect to LavinMQ using CloudAMQP WebSocket client
-      // Use wss:// if page is loaded over HTTPS, ws:// otherwise
-      const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
-      // For wss://, use default port (443), for ws:// use configured port
-      const url = protocol === 'wss'
-        ? `${protocol}://${this.config.hostname}`
-        : `${protocol}://${this.config.hostname}:${this.config.port}`;
+      const url = this.getCurrentEndpoint();
 
       // Use OAuth token as password if available, otherwise use configured credentials
       const username = this.oauthToken ? 'oauth' : this.config.username;
       const password = this.oauthToken || this.config.password;
 
-      this.connection = new AMQPWebSocketClient(
-        url,
-        this.config.vhost,
-        username,
-        password
-      );
-
-      await this.connection.connect();
-      this.channel = await this.connection.channel();
+      this.connection = await this.openConnection(url, username, password);
 
       this.isConnected = true;
       this.isConnecting = false;
       this.reconnectAttempts = 0;
+      this.nextReconnectAt = null;
 
-      this.dispatchEvent(new CustomEvent('connected'));
+      this.dispatchEvent(new CustomEvent('connected', { detail: { endpoint: url } }));
 
-      // Set up connection event handlers
-      this.connection.onerror = _error => {
-        this.handleDisconnection();
-      };
-
-      this.connection.onclose = () => {
-        this.handleDisconnection();
-      };
+      this.watchConnection(this.connection);
 
     } catch (error) {
       this.isConnecting = false;
+      this.connection = null;
       this.dispatchEvent(new CustomEvent('error', { detail: error }));
+
+      // This endpoint failed, the next attempt goes to the next one in the list
+      this.advanceEndpoint();
       this.scheduleReconnect();
     }
   }
 
+  /**
+   * Open the protocol client, MqttConnectionManager overrides the protocol
+   * specific methods and keeps the failover and backoff
+   */
+  async openConnection(url, username, password) {
+    const connection = new AMQPWebSocketClient(url, this.config.vhost, username, password);
+    await connection.connect();
+    this.channel = await connection.channel();
+    return connection;
+  }
+
+  watchConnection(connection) {
+    connection.onerror = _error => {
+      this.handleDisconnection();
+    };
+
+    connection.onclose = () => {
+      this.handleDisconnection();
+    };
+  }
+
+  closeConnection(connection) {
+    return connection.close();
+  }
+
   handleDisconnection() {
     if (!this.isConnected) return;
 
@@ -97,36 +156,84 @@ class AmqpConnectionManager extends EventTarget {
     this.connection = null;
     this.channel = null;
 
+    // Priority mode starts over from the preferred endpoint
+    if (this.config.endpointStrategy === 'round-robin') {
+      this.advanceEndpoint();
+    } else {
+      this.endpointIndex = 0;
+    }
+
     this.dispatchEvent(new CustomEvent('disconnected'));
     this.scheduleReconnect();
   }
 
+  /**
+   * Exponential backoff with jitter, capped at maxReconnectDelay
+   */
+  getReconnectDelay() {
+    const delay = Math.min(
+      this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
+      this.maxReconnectDelay
+    );
+    // Spread reconnects between 50% and 100% of the delay so clients don't stampede
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
   scheduleReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      return;
-    }
+    clearTimeout(this.reconnectTimer);
 
     this.reconnectAttempts++;
-    const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
-
-    setTimeout(() => {
+    const delay = this.getReconnectDelay();
+    this.nextReconnectAt = Date.now() + delay;
+
+    this.dispatchEvent(
+      new CustomEvent('reconnecting', {
+        detail: {
+          attempt: this.reconnectAttempts,
+          delay,
+          retryAt: this.nextReconnectAt,
+          endpoint: this.getCurrentEndpoint(),
+        },
+      })
+    );
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
       this.connect();
     }, delay);
   }
 
-  async disconnect() {
-    if (this.connection) {
-      try {
-        await this.connection.close();
-      } catch {
-        // Silent error handling
-      }
+  /**
+   * Skip the remaining backoff and reconnect immediately
+   */
+  retryNow() {
+    if (this.isConnected || this.isConnecting) {
+      return;
     }
 
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.connect();
+  }
+
+  async disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    // Mark as disconnected first so the close doesn't trigger a reconnect
+    const connection = this.connection;
     this.isConnected = false;
     this.isConnecting = false;
     this.connection = null;
     this.channel = null;
+
+    if (connection) {
+      try {
+        await this.closeConnection(connection);
+      } catch {
+        // Silent error handling
+      }
+    }
   }
 
   getChannel() {
@@ -0,0 +1,274 @@
+/**
+ * AMQP Transport
+ * Carries chat streams as LavinMQ streams: every chat channel, DM and
+ * notification feed is a stream queue bound to amq.topic, consumed from an
+ * offset over channels from the ChannelPool.
+ *
+ * Transports give ChatChannelManager the same small interface:
+ *   openStream(stream) / closeStream(stream) lease what a stream needs and return a handle
+ *   subscribe(handle, offset, onDelivery) resolves to a consumer with cancel()
+ *   publish(handle, message) resolves once the broker has accepted the message
+ *   reset() forgets everything that belonged to a lost connection
+ *   supportsHistory tells whether subscribe() honours offsets
+ * onDelivery receives { body, offset, ack }. 'streamsLost' (detail: { streams })
+ * reports streams that have to be opened again while the connection stays up.
+ *
+ * With amqp.sharedNotifications, the user-notifications-<user> streams all
+ * map to one stream, SHARED_NOTIFICATIONS_STREAM. Messages carry their
+ * recipient as x-stream-filter-value and each consumer filters on its user.
+ *
+ * Transient events (typing) never touch the streams:
+ *   openEvents(onDelivery) starts the one consumer for every stream's events
+ *   watchEvents(stream) / unwatchEvents(stream) route a stream's events to it
+ *   publishEvent(stream, event) sends an event nobody stores, best effort
+ * 'eventsLost' means openEvents() has to be called again.
+ */
+
+import { ChannelPool } from './channel-pool.js';
+import {
+  DEFAULT_RETENTION,
+  SHARED_NOTIFICATIONS_STREAM,
+  getStreamKind,
+  toStreamArguments,
+} from './stream-retention.js';
+
+const PRECONDITION_FAILED = /PRECONDITION_FAILED|\(406\)$/;
+const EVENTS_EXCHANGE = 'wamschat.events';
+const NOTIFICATIONS_PREFIX = 'user-notifications-';
+const FILTER_HEADER = 'x-stream-filter-value';
+
+class AmqpTransport extends EventTarget {
+  constructor(amqpConnection) {
+    super();
+    this.amqpConnection = amqpConnection;
+    this.supportsHistory = true; // Streams can be read again from any offset or timestamp
+    this.declareChannel = null; // Declarations can fail and close their channel, so they get their own
+    this.eventsLease = { name: EVENTS_EXCHANGE }; // Pool user holding the events consumer's channel
+    this.events = null; // Promise of { queue, consumer } once transient events are being consumed
+    this.sharedNotifications = !!amqpConnection.config?.sharedNotifications;
+    this.sharedDeclared = false; // The shared notifications stream is declared once per connection
+    this.recipients = new WeakMap(); // Map<queue, username> for handles on the shared notifications stream
+    this.pool = new ChannelPool(amqpConnection, {
+      maxChannels: amqpConnection.config?.maxChannels,
+    });
+
+    this.pool.addEventListener('channelLost', e => {
+      const { users } = e.detail;
+      if (users.includes(this.eventsLease)) {
+        this.events = null;
+        this.dispatchEvent(new CustomEvent('eventsLost'));
+      }
+
+      this.dispatchEvent(
+        new CustomEvent('streamsLost', {
+          detail: { streams: users.filter(user => user !== this.eventsLease) },
+        })
+      );
+    });
+  }
+
+  /**
+   * Declare the stream, then open it on a pooled channel that stays leased
+   * to stream until closeStream()
+   */
+  async openStream(stream) {
+    const recipient = this.getRecipient(stream.name);
+    if (recipient === null) {
+      await this.declareStream(stream);
+    } else if (!this.sharedDeclared) {
+      await this.declareStream({ name: SHARED_NOTIFICATIONS_STREAM, retention: null });
+      this.sharedDeclared = true;
+    }
+
+    const channel = await this.pool.acquire(stream);
+    try {
+      const queue = await this.bindStream(channel, recipient === null ? stream.name : SHARED_NOTIFICATIONS_STREAM);
+      if (recipient !== null) {
+        this.recipients.set(queue, recipient);
+      }
+      return queue;
+    } catch (error) {
+      this.pool.release(stream);
+      throw error;
+    }
+  }
+
+  /**
+   * Whose notifications a stream holds when they go to the shared stream, else null
+   */
+  getRecipient(streamName) {
+    if (!this.sharedNotifications || !streamName.startsWith(NOTIFICATIONS_PREFIX)) {
+      return null;
+    }
+    return streamName.slice(NOTIFICATIONS_PREFIX.length);
+  }
+
+  closeStream(stream) {
+    this.pool.release(stream);
+  }
+
+  async getDeclareChannel() {
+    if (!this.declareChannel || this.declareChannel.closed) {
+      const connection = this.amqpConnection.connection;
+      if (!connection) {
+        throw new Error('AMQP connection not available');
+      }
+      this.declareChannel = await connection.channel();
+      // Keep a failed declaration from reconnecting the whole connection
+      this.declareChannel.onerror = reason => {
+        console.log('[DEBUG] Declaration channel closed:', reason);
+      };
+    }
+    return this.declareChannel;
+  }
+
+  /**
+   * Create the stream with stream.retention, or the default for its kind.
+   * An existing stream keeps its arguments: asking for a different retention
+   * explicitly is an error, the defaults just go along with what is there.
+   */
+  async declareStream({ name, retention }) {
+    const queueName = `chat-stream-${name}`;
+    const args = toStreamArguments(retention || DEFAULT_RETENTION[getStreamKind(name)]);
+    console.log('[DEBUG] Declaring stream:', queueName, args);
+
+    const channel = await this.getDeclareChannel();
+    try {
+      await channel.queue(queueName, { durable: true }, args);
+    } catch (error) {
+      if (!PRECONDITION_FAILED.test(error.message)) {
+        throw error;
+      }
+      if (!retention) {
+        console.log('[DEBUG] Stream exists with other arguments, using it as it is:', queueName);
+        return;
+      }
+
+      const mismatch = new Error(
+        `Channel ${name} already exists with a different retention, pick another name or its current retention`
+      );
+      mismatch.code = 'STREAM_ARGUMENTS_MISMATCH';
+      mismatch.cause = error;
+      throw mismatch;
+    }
+  }
+
+  /**
+   * The stream exists by now, declare it passively so the pooled channel
+   * can't be closed over its arguments
+   */
+  async bindStream(channel, channelName) {
+    const queueName = `chat-stream-${channelName}`;
+    const queue = await channel.queue(queueName, { passive: true });
+    console.log('[DEBUG] Queue opened, binding to exchange');
+    await queue.bind("amq.topic", channelName);
+    console.log('[DEBUG] Queue bound successfully');
+
+    return queue;
+  }
+
+  subscribe(queue, offset, onDelivery) {
+    const recipient = this.recipients.get(queue);
+    const args = { 'x-stream-offset': offset };
+    if (recipient !== undefined) {
+      args['x-stream-filter'] = recipient;
+    }
+
+    return queue.subscribe(
+      {
+        args,
+        noAck: false
+      },
+      (message) => {
+        // Stream filters may let through more than was asked for
+        if (recipient !== undefined && message.properties?.headers?.[FILTER_HEADER] !== recipient) {
+          message.ack();
+          return;
+        }
+        onDelivery({
+          body: message.bodyToString(),
+          offset: message.properties?.headers?.['x-stream-offset'],
+          ack: () => message.ack(),
+        });
+      });
+  }
+
+  publish(queue, message) {
+    const properties = { persistent: true };
+    const recipient = this.recipients.get(queue);
+    if (recipient !== undefined) {
+      properties.headers = { [FILTER_HEADER]: recipient };
+    }
+
+    return queue.publish(JSON.stringify(message), properties);
+  }
+
+  /**
+   * Events go through a non-durable topic exchange to an exclusive,
+   * auto-delete queue, so the broker drops them along with the connection
+   */
+  openEvents(onDelivery) {
+    if (!this.events) {
+      this.events = this.startEvents(onDelivery).catch(error => {
+        this.events = null;
+        throw error;
+      });
+    }
+    return this.events;
+  }
+
+  async startEvents(onDelivery) {
+    const declareChannel = await this.getDeclareChannel();
+    await declareChannel.exchangeDeclare(EVENTS_EXCHANGE, 'topic', { durable: false });
+
+    const channel = await this.pool.acquire(this.eventsLease);
+    try {
+      const queue = await channel.queue('', { exclusive: true, autoDelete: true });
+      const consumer = await queue.subscribe({ noAck: true }, message => {
+        onDelivery({
+          body: message.bodyToString(),
+          offset: undefined,
+          ack: () => Promise.resolve(),
+        });
+      });
+      console.log('[DEBUG] Transient events queue opened:', queue.name);
+      return { queue, consumer };
+    } catch (error) {
+      this.pool.release(this.eventsLease);
+      throw error;
+    }
+  }
+
+  async getEventsQueue() {
+    if (!this.events) {
+      throw new Error('Transient events are not open');
+    }
+    return (await this.events).queue;
+  }
+
+  async watchEvents(stream) {
+    const queue = await this.getEventsQueue();
+    await queue.bind(EVENTS_EXCHANGE, stream.name);
+  }
+
+  async unwatchEvents(stream) {
+    const queue = await this.getEventsQueue();
+    await queue.unbind(EVENTS_EXCHANGE, stream.name);
+  }
+
+  async publishEvent(stream, event) {
+    const queue = await this.getEventsQueue();
+    await queue.channel.basicPublish(EVENTS_EXCHANGE, stream.name, JSON.stringify(event), {
+      deliveryMode: 1, // Transient
+    });
+  }
+
+  reset() {
+    this.declareChannel = null;
+    this.events = null;
+    this.sharedDeclared = false;
+    this.pool.reset();
+  }
+}
+
+export { AmqpTransport };
@@ -0,0 +1,212 @@
+/**
+ * Runtime configuration
+ * Loads transport, broker and OAuth settings from config.json (or a window.__WAMSCHAT_CONFIG__
+ * object set by a config.js script) at startup, so one build can be deployed to any
+ * environment. Anything not set there falls back to the build-time VITE_* variables.
+ */
+
+const ENDPOINT_STRATEGIES = ['priority', 'round-robin'];
+const TRANSPORTS = ['amqp', 'mqtt'];
+
+/**
+ * Defaults from the build-time environment
+ */
+function getDefaultConfig() {
+  return {
+    // 'amqp' for AMQP streams, 'mqtt' for MQTT over WebSocket (same broker settings)
+    transport: import.meta.env.VITE_TRANSPORT || 'amqp',
+    amqp: {
+      hostname: import.meta.env.VITE_AMQP_HOST || 'localhost',
+      port: parseInt(import.meta.env.VITE_AMQP_WS_PORT) || 15672,
+      vhost: import.meta.env.VITE_AMQP_VHOST || '/',
+      username: import.meta.env.VITE_AMQP_USERNAME || 'guest',
+      password: import.meta.env.VITE_AMQP_PASSWORD || 'guest',
+      // Comma separated list of brokers, e.g. "node1:15672,wss://node2.example.com"
+      endpoints: import.meta.env.VITE_AMQP_ENDPOINTS || '',
+      // 'priority' always falls back to the first endpoint, 'round-robin' keeps rotating
+      endpointStrategy: import.meta.env.VITE_AMQP_ENDPOINT_STRATEGY || 'priority',
+      // Upper bound on AMQP channels shared by all streams, the broker's channel_max still applies
+      maxChannels: parseInt(import.meta.env.VITE_AMQP_MAX_CHANNELS) || 8,
+      // Put every user's notifications on one stream, filtered by recipient, instead of a stream per user
+      sharedNotifications: import.meta.env.VITE_AMQP_SHARED_NOTIFICATIONS === 'true',
+    },
+    mqtt: {
+      // WebSocket path of the broker's MQTT listener, used for endpoints without a path
+      path: import.meta.env.VITE_MQTT_WS_PATH || '/mqtt',
+    },
+    history: {
+      // Joining a channel loads the last windowMessages messages when set,
+      // otherwise the last windowMinutes (0 for the whole retention window)
+      windowMessages: parseInt(import.meta.env.VITE_HISTORY_WINDOW_MESSAGES) || 0,
+      windowMinutes: parseInt(import.meta.env.VITE_HISTORY_WINDOW_MINUTES) || 15,
+      pageSize: parseInt(import.meta.env.VITE_HISTORY_PAGE_SIZE) || 50, // Messages per "load older" page
+    },
+    attachments: {
+      // Largest file that can be sent, and that is reassembled when received
+      maxBytes: parseInt(import.meta.env.VITE_ATTACHMENT_MAX_BYTES) || 2 * 1024 * 1024,
+    },
+    // Usernames allowed to edit and delete anyone's messages, comma separated in VITE_MODERATORS
+    moderators: (import.meta.env.VITE_MODERATORS || '')
+      .split(',')
+      .map(username => username.trim())
+      .filter(Boolean),
+    oauth: {
+      clientId: import.meta.env.VITE_OAUTH_CLIENT_ID,
+      authorizationEndpoint: import.meta.env.VITE_OAUTH_AUTH_URL,
+      tokenEndpoint: import.meta.env.VITE_OAUTH_TOKEN_URL,
+      redirectUri: import.meta.env.VITE_OAUTH_REDIRECT_URI || `${window.location.origin}/callback`,
+      scope: import.meta.env.VITE_OAUTH_SCOPE || 'user:email',
+    },
+  };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a merged configuration, returns a list of problems (empty when valid)
+ */
+function validateConfig(config) {
+  const errors = [];
+  const { transport, amqp, mqtt, history, attachments, moderators, oauth } = config;
+
+  if (!TRANSPORTS.includes(transport)) {
+    errors.push(`transport must be one of ${TRANSPORTS.join(', ')}`);
+  }
+
+  if (!isNonEmptyString(amqp.hostname)) {
+    errors.push('amqp.hostname must be a non-empty string');
+  }
+  if (!Number.isInteger(amqp.port) || amqp.port < 1 || amqp.port > 65535) {
+    errors.push('amqp.port must be an integer between 1 and 65535');
+  }
+  if (!isNonEmptyString(amqp.vhost)) {
+    errors.push('amqp.vhost must be a non-empty string');
+  }
+  if (typeof amqp.username !== 'string' || typeof amqp.password !== 'string') {
+    errors.push('amqp.username and amqp.password must be strings');
+  }
+  const endpoints = Array.isArray(amqp.endpoints) ? amqp.endpoints : [amqp.endpoints];
+  if (!endpoints.every(endpoint => typeof endpoint === 'string')) {
+    errors.push('amqp.endpoints must be a string or an array of strings');
+  }
+  if (!ENDPOINT_STRATEGIES.includes(amqp.endpointStrategy)) {
+    errors.push(`amqp.endpointStrategy must be one of ${ENDPOINT_STRATEGIES.join(', ')}`);
+  }
+  if (!Number.isInteger(amqp.maxChannels) || amqp.maxChannels < 1) {
+    errors.push('amqp.maxChannels must be a positive integer');
+  }
+  if (typeof amqp.sharedNotifications !== 'boolean') {
+    errors.push('amqp.sharedNotifications must be a boolean');
+  }
+
+  if (transport === 'mqtt' && (!isNonEmptyString(mqtt.path) || !mqtt.path.startsWith('/'))) {
+    errors.push('mqtt.path must be a path starting with /');
+  }
+
+  if (!Number.isInteger(history.windowMessages) || history.windowMessages < 0) {
+    errors.push('history.windowMessages must be a non-negative integer');
+  }
+  if (typeof history.windowMinutes !== 'number' || !(history.windowMinutes >= 0)) {
+    errors.push('history.windowMinutes must be a non-negative number');
+  }
+  // A page has to fit in the consumer prefetch of the pooled channels
+  if (!Number.isInteger(history.pageSize) || history.pageSize < 1 || history.pageSize > 1000) {
+    errors.push('history.pageSize must be an integer between 1 and 1000');
+  }
+
+  if (!Number.isInteger(attachments.maxBytes) || attachments.maxBytes < 1) {
+    errors.push('attachments.maxBytes must be a positive integer');
+  }
+
+  if (!Array.isArray(moderators) || !moderators.every(isNonEmptyString)) {
+    errors.push('moderators must be an array of usernames');
+  }
+
+  // OAuth is optional, but when a client id is set the endpoints have to be usable
+  if (oauth.clientId) {
+    if (!isUrl(oauth.authorizationEndpoint)) {
+      errors.push('oauth.authorizationEndpoint must be a URL');
+    }
+    if (!isUrl(oauth.tokenEndpoint)) {
+      errors.push('oauth.tokenEndpoint must be a URL');
+    }
+    if (!isUrl(oauth.redirectUri)) {
+      errors.push('oauth.redirectUri must be a URL');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Overlay the runtime settings on the defaults, section by section
+ */
+function mergeConfig(defaults, overrides) {
+  return {
+    transport: overrides.transport ?? defaults.transport,
+    amqp: { ...defaults.amqp, ...overrides.amqp },
+    mqtt: { ...defaults.mqtt, ...overrides.mqtt },
+    history: { ...defaults.history, ...overrides.history },
+    attachments: { ...defaults.attachments, ...overrides.attachments },
+    moderators: overrides.moderators ?? defaults.moderators,
+    oauth: { ...defaults.oauth, ...overrides.oauth },
+  };
+}
+
+/**
+ * Fetch config.json next to index.html, resolves to null when there is none
+ */
+async function fetchConfigFile() {
+  const response = await fetch(`${import.meta.env.BASE_URL}config.json`, { cache: 'no-store' });
+
+  // The dev server and SPA hosting answer unknown paths with index.html
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!response.ok || !contentType.includes('json')) {
+    return null;
+  }
+
+  return response.json();
+}
+
+/**
+ * Load the runtime configuration, an invalid or unreadable file is reported
+ * and ignored so the app still starts with its build-time defaults
+ */
+async function loadConfig() {
+  const defaults = getDefaultConfig();
+
+  let overrides = window.__WAMSCHAT_CONFIG__ || null;
+  if (!overrides) {
+    try {
+      overrides = await fetchConfigFile();
+    } catch (error) {
+      console.error('Failed to load config.json, using build-time configuration:', error);
+    }
+  }
+
+  if (!overrides) {
+    return { ...defaults, errors: [] };
+  }
+
+  const config = mergeConfig(defaults, overrides);
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    console.error('Invalid runtime configuration, using build-time configuration:', errors);
+    return { ...defaults, errors };
+  }
+
+  return { ...config, errors: [] };
+}
+
+export { getDefaultConfig, validateConfig, mergeConfig, loadConfig };
@@ -0,0 +1,270 @@
+/**
+ * Attachments
+ * Files are sent as a chat message carrying their description (name, type,
+ * size, number of chunks and SHA-256), followed by 'attachment-chunk'
+ * messages holding the base64 encoded bytes, CHUNK_SIZE at a time. Each
+ * chunk names the attachment message as its target, like edits do.
+ *
+ * AttachmentAssembler collects the chunks on the receiving side, in
+ * whatever order they are seen, and checks the reassembled file against
+ * the size and hash it was announced with. An attachment that stops
+ * getting chunks is reported as incomplete, one that doesn't match as
+ * corrupted.
+ */
+
+const CHUNK_SIZE = 32 * 1024; // Bytes per chunk, about 43 KB once base64 encoded
+const MAX_CHUNK_DATA_LENGTH = Math.ceil(CHUNK_SIZE / 3) * 4;
+const MAX_NAME_LENGTH = 255;
+const STALL_TIMEOUT = 30000; // No new chunk for this long and the upload is incomplete
+const PENDING_LIMIT = 20; // Attachments whose chunks are kept before their description is seen
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(data) {
+  return Uint8Array.from(atob(data), character => character.charCodeAt(0));
+}
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reason why an attachment description is invalid, or null
+ */
+function checkAttachment(attachment) {
+  if (typeof attachment !== 'object' || attachment === null) {
+    return 'attachment must be an object';
+  }
+  const { name, mimeType, size, chunks, sha256 } = attachment;
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return 'attachment name is invalid';
+  }
+  if (typeof mimeType !== 'string' || !/^[\w.+-]+\/[\w.+-]+$/.test(mimeType)) {
+    return 'attachment mimeType is invalid';
+  }
+  if (!Number.isInteger(size) || size < 1) {
+    return 'attachment size is invalid';
+  }
+  if (chunks !== Math.ceil(size / CHUNK_SIZE)) {
+    return 'attachment chunks does not match its size';
+  }
+  return typeof sha256 === 'string' && /^[0-9a-f]{64}$/.test(sha256)
+    ? null
+    : 'attachment sha256 is invalid';
+}
+
+/**
+ * Reason why the data of a chunk is invalid, or null
+ */
+function checkChunkData({ index, data }) {
+  if (!Number.isInteger(index) || index < 0) {
+    return 'index is invalid';
+  }
+  if (!data || data.length > MAX_CHUNK_DATA_LENGTH || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+    return 'data is invalid';
+  }
+  return null;
+}
+
+/**
+ * Description and base64 chunks of a file ({ name, type, bytes }), throws
+ * with code ATTACHMENT_TOO_LARGE when it is over maxBytes
+ */
+async function prepareAttachment({ name, type, bytes }, maxBytes) {
+  if (bytes.length === 0) {
+    const error = new Error(`${name} is empty`);
+    error.code = 'ATTACHMENT_EMPTY';
+    throw error;
+  }
+  if (bytes.length > maxBytes) {
+    const error = new Error(`${name} is larger than ${formatSize(maxBytes)}`);
+    error.code = 'ATTACHMENT_TOO_LARGE';
+    throw error;
+  }
+
+  const chunks = [];
+  for (let start = 0; start < bytes.length; start += CHUNK_SIZE) {
+    chunks.push(toBase64(bytes.subarray(start, start + CHUNK_SIZE)));
+  }
+
+  return {
+    attachment: {
+      name: name.slice(0, MAX_NAME_LENGTH),
+      mimeType: /^[\w.+-]+\/[\w.+-]+$/.test(type || '') ? type : 'application/octet-stream',
+      size: bytes.length,
+      chunks: chunks.length,
+      sha256: await sha256Hex(bytes),
+    },
+    chunks,
+  };
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+class AttachmentAssembler extends EventTarget {
+  constructor({ maxBytes = Infinity, stallTimeout = STALL_TIMEOUT } = {}) {
+    super();
+    this.maxBytes = maxBytes; // Larger attachments aren't assembled
+    this.stallTimeout = stallTimeout;
+    // Map<messageId, { sender, attachment, status, chunks: Map<index, data>, blob, url, timer }>
+    this.attachments = new Map();
+    this.pending = new Map(); // Map<messageId, Array<chunk>> chunks seen before their attachment
+  }
+
+  /**
+   * Start collecting the chunks of an attachment message
+   */
+  expect(message) {
+    if (this.attachments.has(message.id)) {
+      return;
+    }
+
+    const entry = {
+      sender: message.username,
+      attachment: message.attachment,
+      status: 'receiving',
+      chunks: new Map(),
+      blob: null,
+      url: null,
+      timer: null,
+    };
+    this.attachments.set(message.id, entry);
+
+    const early = this.pending.get(message.id) || [];
+    this.pending.delete(message.id);
+    if (entry.attachment.size > this.maxBytes) {
+      entry.status = 'too-large';
+      this.notify(message.id);
+      return;
+    }
+
+    early.forEach(chunk => this.store(entry, chunk));
+    this.progress(message.id, entry);
+  }
+
+  addChunk(chunk) {
+    const entry = this.attachments.get(chunk.target);
+    if (!entry) {
+      if (!this.pending.has(chunk.target)) {
+        this.pending.set(chunk.target, []);
+        if (this.pending.size > PENDING_LIMIT) {
+          this.pending.delete(this.pending.keys().next().value);
+        }
+      }
+      this.pending.get(chunk.target).push(chunk);
+      return;
+    }
+
+    // Chunks that arrive late still complete an upload reported as incomplete
+    if (entry.status === 'receiving' || entry.status === 'incomplete') {
+      this.store(entry, chunk);
+      this.progress(chunk.target, entry);
+    }
+  }
+
+  /**
+   * Only the sender of an attachment can add to it
+   */
+  store(entry, { username, index, data }) {
+    if (username === entry.sender && index < entry.attachment.chunks) {
+      entry.chunks.set(index, data);
+    }
+  }
+
+  progress(messageId, entry) {
+    clearTimeout(entry.timer);
+    if (entry.chunks.size < entry.attachment.chunks) {
+      entry.status = 'receiving';
+      entry.timer = setTimeout(() => {
+        entry.status = 'incomplete';
+        this.notify(messageId);
+      }, this.stallTimeout);
+      this.notify(messageId);
+      return;
+    }
+
+    entry.status = 'verifying';
+    this.assemble(entry).then(blob => {
+      entry.blob = blob;
+      entry.status = blob ? 'complete' : 'corrupted';
+      entry.chunks.clear();
+      this.notify(messageId);
+    });
+  }
+
+  /**
+   * The file, or null when it doesn't match its description
+   */
+  async assemble({ attachment, chunks }) {
+    try {
+      const parts = Array.from({ length: attachment.chunks }, (_, index) =>
+        fromBase64(chunks.get(index))
+      );
+      const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+      parts.reduce((offset, part) => {
+        bytes.set(part, offset);
+        return offset + part.length;
+      }, 0);
+
+      if (bytes.length !== attachment.size || (await sha256Hex(bytes)) !== attachment.sha256) {
+        return null;
+      }
+      return new Blob([bytes], { type: attachment.mimeType });
+    } catch (error) {
+      console.error('Failed to assemble attachment:', error);
+      return null;
+    }
+  }
+
+  notify(messageId) {
+    this.dispatchEvent(new CustomEvent('attachmentUpdated', { detail: { messageId } }));
+  }
+
+  /**
+   * { attachment, status, received } of an attachment message, or null
+   * before it has been seen. status is 'receiving', 'verifying',
+   * 'complete', 'incomplete', 'corrupted' or 'too-large'.
+   */
+  getState(messageId) {
+    const entry = this.attachments.get(messageId);
+    if (!entry) {
+      return null;
+    }
+    const received = entry.status === 'complete' ? entry.attachment.chunks : entry.chunks.size;
+    return { attachment: entry.attachment, status: entry.status, received };
+  }
+
+  /**
+   * Object URL of a complete attachment, made on first use
+   */
+  getUrl(messageId) {
+    const entry = this.attachments.get(messageId);
+    if (!entry?.blob) {
+      return null;
+    }
+    if (!entry.url) {
+      entry.url = URL.createObjectURL(entry.blob);
+    }
+    return entry.url;
+  }
+}
+
+export {
+  AttachmentAssembler,
+  CHUNK_SIZE,
+  checkAttachment,
+  checkChunkData,
+  prepareAttachment,
+  formatSize,
+};
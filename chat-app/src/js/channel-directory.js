@@ -0,0 +1,77 @@
+/**
+ * Channel Directory
+ * Channels are announced on one shared stream, DIRECTORY_STREAM, with
+ * 'directory' messages: 'create' (with the topic), 'topic', and 'join' /
+ * 'leave' for the member count. Replaying the stream from the start
+ * rebuilds the catalog. The first 'create' of a channel names its creator,
+ * only the creator or a moderator can change the topic.
+ */
+
+const DIRECTORY_STREAM = '_directory'; // Channel names can't contain '_'
+const DIRECTORY_ACTIONS = ['create', 'topic', 'join', 'leave'];
+const MAX_TOPIC_LENGTH = 200;
+
+class ChannelDirectory {
+  constructor(isModerator = () => false) {
+    this.isModerator = isModerator;
+    this.channels = new Map(); // Map<channelName, { name, creator, topic, members: Set }>
+  }
+
+  record({ channel, username, action, topic }) {
+    // Channels from before the directory turn up with their first member
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, { name: channel, creator: null, topic: '', members: new Set() });
+    }
+    const entry = this.channels.get(channel);
+
+    switch (action) {
+      case 'create':
+        if (!entry.creator) {
+          entry.creator = username;
+          entry.topic = topic || entry.topic;
+        }
+        break;
+      case 'topic':
+        if (username === entry.creator || this.isModerator(username)) {
+          entry.topic = topic || '';
+        }
+        break;
+      case 'join':
+        entry.members.add(username);
+        break;
+      case 'leave':
+        entry.members.delete(username);
+        break;
+    }
+  }
+
+  get(channelName) {
+    const entry = this.channels.get(channelName);
+    return entry ? this.describe(entry) : null;
+  }
+
+  /**
+   * Channels whose name or topic contains query, the busiest first
+   */
+  search(query = '') {
+    const needle = query.trim().toLowerCase();
+    return Array.from(this.channels.values())
+      .filter(
+        ({ name, topic }) =>
+          !needle || name.includes(needle) || topic.toLowerCase().includes(needle)
+      )
+      .map(entry => this.describe(entry))
+      .sort((a, b) => b.memberCount - a.memberCount || a.name.localeCompare(b.name));
+  }
+
+  canSetTopic(channelName, username) {
+    const creator = this.channels.get(channelName)?.creator;
+    return username === creator || this.isModerator(username);
+  }
+
+  describe({ name, creator, topic, members }) {
+    return { name, creator, topic, memberCount: members.size };
+  }
+}
+
+export { ChannelDirectory, DIRECTORY_STREAM, DIRECTORY_ACTIONS, MAX_TOPIC_LENGTH };
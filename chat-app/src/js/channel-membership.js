@@ -0,0 +1,126 @@
+/**
+ * Channel Membership
+ * Private channels are streams named private-<name>. Who belongs to one is
+ * kept on a companion stream, private-<name>_members, with 'membership'
+ * messages: 'create' names the creator (the first one wins), 'add' and
+ * 'remove' change the member list, 'request' asks to be let in. Only the
+ * creator or a moderator can add and remove members, anyone can remove
+ * themselves. Replaying the members stream from the start rebuilds the list.
+ *
+ * The broker is what keeps non-members out, see "Private Channels" in the
+ * README for the permissions that go with these stream names.
+ */
+
+const PRIVATE_PREFIX = 'private-';
+const MEMBERS_SUFFIX = '_members'; // Channel names can't contain '_'
+const MEMBERSHIP_ACTIONS = ['create', 'add', 'remove', 'request'];
+const CHANNEL_NAME_PATTERN = /^[a-z0-9-]{1,50}$/; // What the add channel form accepts
+const MAX_USERNAME_LENGTH = 20; // What the username form accepts
+
+function isPrivateChannel(streamName) {
+  return streamName.startsWith(PRIVATE_PREFIX) && !streamName.endsWith(MEMBERS_SUFFIX);
+}
+
+/**
+ * Whether a name from a message is a private channel the add channel form
+ * could have made, names from elsewhere end up in the sidebar
+ */
+function isValidPrivateChannel(name) {
+  return name.startsWith(PRIVATE_PREFIX) && CHANNEL_NAME_PATTERN.test(name.slice(PRIVATE_PREFIX.length));
+}
+
+/**
+ * Whether a name from a message is a username the username form could have
+ * taken, member lists show them
+ */
+function isValidUsername(name) {
+  return name !== '' && name.length <= MAX_USERNAME_LENGTH && name.trim() === name;
+}
+
+/**
+ * The stream holding the member list of a private channel
+ */
+function getMembersStream(channelName) {
+  return `${channelName}${MEMBERS_SUFFIX}`;
+}
+
+/**
+ * The private channel a members stream belongs to
+ */
+function getMembersChannel(streamName) {
+  return streamName.slice(0, -MEMBERS_SUFFIX.length);
+}
+
+class ChannelMembership {
+  constructor(isModerator = () => false) {
+    this.isModerator = isModerator;
+    this.channels = new Map(); // Map<channelName, { creator, members: Set, requests: Set }>
+  }
+
+  record({ channel, username, action, member }) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, { creator: null, members: new Set(), requests: new Set() });
+    }
+    const entry = this.channels.get(channel);
+
+    switch (action) {
+      case 'create':
+        if (!entry.creator) {
+          entry.creator = username;
+          entry.members.add(username);
+        }
+        break;
+      case 'add':
+        if (this.canManage(channel, username)) {
+          entry.members.add(member);
+          entry.requests.delete(member);
+        }
+        break;
+      case 'remove':
+        if (member === username || this.canManage(channel, username)) {
+          entry.members.delete(member);
+          entry.requests.delete(member);
+        }
+        break;
+      case 'request':
+        if (!entry.members.has(username)) {
+          entry.requests.add(username);
+        }
+        break;
+    }
+  }
+
+  getCreator(channelName) {
+    return this.channels.get(channelName)?.creator || null;
+  }
+
+  isMember(channelName, username) {
+    return !!this.channels.get(channelName)?.members.has(username);
+  }
+
+  getMembers(channelName) {
+    return Array.from(this.channels.get(channelName)?.members || []).sort();
+  }
+
+  /**
+   * Users waiting for the creator or a moderator to let them in
+   */
+  getRequests(channelName) {
+    return Array.from(this.channels.get(channelName)?.requests || []).sort();
+  }
+
+  canManage(channelName, username) {
+    return username === this.getCreator(channelName) || this.isModerator(username);
+  }
+}
+
+export {
+  ChannelMembership,
+  PRIVATE_PREFIX,
+  MEMBERSHIP_ACTIONS,
+  isPrivateChannel,
+  isValidPrivateChannel,
+  isValidUsername,
+  getMembersStream,
+  getMembersChannel,
+};
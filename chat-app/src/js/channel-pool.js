@@ -0,0 +1,150 @@
+/**
+ * Channel Pool
+ * Multiplexes stream consumers and publishers over a bounded set of AMQP
+ * channels on the shared connection, instead of opening a channel per stream.
+ * Channels nobody uses are closed after idleTimeout, and a channel closed by
+ * the broker is dropped from the pool so only the streams that were on it
+ * have to be set up again.
+ *
+ * Events: 'channelLost' (detail: { users, reason })
+ */
+
+class ChannelPool extends EventTarget {
+  constructor(amqpConnection, { maxChannels = 8, streamsPerChannel = 10, idleTimeout = 30000 } = {}) {
+    super();
+    this.amqpConnection = amqpConnection;
+    this.maxChannels = maxChannels;
+    this.streamsPerChannel = streamsPerChannel; // Open another channel once the least used one has this many
+    this.idleTimeout = idleTimeout;
+    this.slots = []; // Array<{ channel, opening, users: Set, idleTimer }>
+  }
+
+  /**
+   * Channel limit for this connection, the broker may allow fewer than configured
+   * (AmqpConnectionManager and AmqpTransport's declarations keep one channel each)
+   */
+  getLimit() {
+    const channelMax = this.amqpConnection.connection?.channelMax || 0;
+    return channelMax > 0 ? Math.max(1, Math.min(this.maxChannels, channelMax - 2)) : this.maxChannels;
+  }
+
+  /**
+   * Borrow a channel for user (a stream, or any object for a one-off publish),
+   * resolves once the channel is open
+   */
+  async acquire(user) {
+    const slot = this.pickSlot();
+    slot.users.add(user);
+    clearTimeout(slot.idleTimer);
+    slot.idleTimer = null;
+
+    try {
+      return await slot.opening;
+    } catch (error) {
+      slot.users.delete(user);
+      throw error;
+    }
+  }
+
+  release(user) {
+    const slot = this.slots.find(s => s.users.has(user));
+    if (!slot) {
+      return;
+    }
+
+    slot.users.delete(user);
+    if (slot.users.size === 0) {
+      clearTimeout(slot.idleTimer);
+      slot.idleTimer = setTimeout(() => {
+        this.closeSlot(slot);
+      }, this.idleTimeout);
+    }
+  }
+
+  pickSlot() {
+    const leastUsed = this.slots.reduce(
+      (best, slot) => (!best || slot.users.size < best.users.size ? slot : best),
+      null
+    );
+
+    if (leastUsed && (leastUsed.users.size < this.streamsPerChannel || this.slots.length >= this.getLimit())) {
+      return leastUsed;
+    }
+
+    return this.openSlot();
+  }
+
+  openSlot() {
+    const slot = { channel: null, opening: null, users: new Set(), idleTimer: null };
+    slot.opening = this.openChannel(slot).catch(error => {
+      this.removeSlot(slot);
+      throw error;
+    });
+    this.slots.push(slot);
+    return slot;
+  }
+
+  async openChannel(slot) {
+    const connection = this.amqpConnection.connection;
+    if (!connection) {
+      throw new Error('AMQP connection not available');
+    }
+
+    const channel = await connection.channel();
+    // By default a channel error is passed on to the connection, which would reconnect everything
+    channel.onerror = reason => {
+      this.handleChannelError(slot, reason);
+    };
+    await channel.basicQos(1000);
+    // Publishes on pooled channels resolve only once the broker has acked them
+    await channel.confirmSelect();
+
+    slot.channel = channel;
+    return channel;
+  }
+
+  handleChannelError(slot, reason) {
+    if (!this.slots.includes(slot)) {
+      return;
+    }
+
+    console.error(`AMQP channel ${slot.channel?.id} closed by the broker:`, reason);
+    this.removeSlot(slot);
+    this.dispatchEvent(
+      new CustomEvent('channelLost', {
+        detail: { users: Array.from(slot.users), reason },
+      })
+    );
+  }
+
+  async closeSlot(slot) {
+    this.removeSlot(slot);
+    try {
+      const channel = await slot.opening;
+      await channel.close();
+    } catch {
+      // Already closed along with the connection
+    }
+  }
+
+  removeSlot(slot) {
+    clearTimeout(slot.idleTimer);
+    this.slots = this.slots.filter(s => s !== slot);
+  }
+
+  /**
+   * Forget every channel, they died with the connection
+   */
+  reset() {
+    for (const slot of this.slots) {
+      clearTimeout(slot.idleTimer);
+    }
+    this.slots = [];
+  }
+
+  get size() {
+    return this.slots.length;
+  }
+}
+
+export { ChannelPool };
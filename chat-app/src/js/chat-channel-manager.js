@@ -1,54 +1,105 @@
 /**
  * Chat Channel Manager
- * Manages AMQP streams for chat channels
+ * Manages the streams behind chat channels, DMs and notifications on top of
+ * a transport (AMQP streams by default, see amqp-transport.js)
  */
 
+import { MessageOutbox } from './message-outbox.js';
+import { AmqpTransport } from './amqp-transport.js';
+import { getDefaultConfig } from './app-config.js';
+import { validateRetention, getStreamKind } from './stream-retention.js';
+import { sealEnvelope, openEnvelope } from './message-envelope.js';
+import { canModify } from './message-edits.js';
+import { REACTION_ACTIONS } from './message-reactions.js';
+import { DIRECTORY_STREAM } from './channel-directory.js';
+import { ChannelMembership, isPrivateChannel, getMembersStream } from './channel-membership.js';
+import { SeenMessages } from './seen-messages.js';
+import { prepareAttachment } from './attachments.js';
+
+const QUARANTINE_LIMIT = 100; // Invalid deliveries kept for the debug panel
+const EVENTS_SOURCE = 'events'; // Stands in for the stream name of transient events
+const PRESENCE_EVENTS = { name: '_presence' }; // Where heartbeats are routed, no channel name has a '_'
+
 class ChatChannelManager extends EventTarget {
-  constructor(amqpConnection) {
+  /**
+   * Options left out fall back to an AmqpTransport on connection and the
+   * defaults of app-config.js
+   */
+  constructor(
+    connection,
+    {
+      transport = new AmqpTransport(connection),
+      history = getDefaultConfig().history,
+      moderators = getDefaultConfig().moderators,
+      attachments = getDefaultConfig().attachments,
+    } = {}
+  ) {
     super();
-    this.amqpConnection = amqpConnection;
+    this.connection = connection;
+    this.transport = transport;
+    this.history = { ...history }; // Initial window and page size (see app-config.js)
+    this.moderators = [...moderators]; // May edit and delete anyone's messages
+    this.attachments = { ...attachments }; // Size limit of files sent (see app-config.js)
+    this.historyTimeout = 2000; // A temporary consumer that gets nothing for this long has read everything
     this.channels = new Map();
     this.activeChannel = null;
     this.messageHandlers = new Map();
     this.userSessions = new Map();
     this.userNotificationChannel = null; // For user-specific notifications
+    this.outbox = new MessageOutbox(); // Publishes waiting for the broker
+    this.isFlushingOutbox = false;
+    this.failedMessages = new Map(); // Map<messageId, { streamName, message }> nacked or timed out
+    this.confirmTimeout = 10000; // How long to wait for a broker ack
+    this.quarantine = []; // Invalid deliveries, newest last: { streamName, offset, body, reason, receivedAt }
+    this.seenMessages = new SeenMessages(); // Recent message ids per stream, to drop copies
+    this.suppressedDuplicates = new Map(); // Map<streamName, number> of copies dropped
+
+    this.transport.addEventListener('streamsLost', e => {
+      this.handleStreamsLost(e.detail.streams);
+    });
+
+    this.transport.addEventListener('eventsLost', () => {
+      if (this.connection.isConnected) {
+        this.restoreEvents();
+      }
+    });
+
+    // Streams have to be declared and consumed again on every new connection
+    this.connection.addEventListener('connected', () => {
+      this.handleReconnected();
+    });
+
+    this.connection.addEventListener('disconnected', () => {
+      this.handleConnectionLost();
+    });
   }
 
-  async createChannel(channelName) {
+  /**
+   * options.retention ({ maxAge, maxLengthBytes, segmentSizeBytes }) applies
+   * when the stream doesn't exist yet, without it the stream gets the
+   * default retention for its kind
+   */
+  async createChannel(channelName, { retention = null } = {}) {
     console.log('[DEBUG] createChannel called for:', channelName);
     if (this.channels.has(channelName)) {
       console.log('[DEBUG] Channel already exists:', channelName);
       return this.channels.get(channelName);
     }
-
-    const connection = this.amqpConnection.connection;
-    if (!connection) {
-      throw new Error('AMQP connection not available');
+    if (retention) {
+      validateRetention(retention);
     }
 
-    // Create a stream for this channel using WebSocket client API
-    const queueName = `chat-stream-${channelName}`;
-    console.log('[DEBUG] Creating queue:', queueName);
-    const channel = await connection.channel()
-    await channel.basicQos(1000);
-    const queue = await channel.queue(queueName,
-      {
-        durable: true,
-      },
-      {
-        'x-queue-type': 'stream',
-        'x-max-age': '1h'
-      }
-    );
-    console.log('[DEBUG] Queue created, binding to exchange');
-    await queue.bind("amq.topic", channelName);
-    console.log('[DEBUG] Queue bound successfully');
-
     const channelInfo = {
       name: channelName,
-      queue,
+      queue: null, // Transport handle for the stream (an AMQPQueue with the AMQP transport)
       consumer: null,
+      kind: null, // 'channel', 'notifications', 'directory' or 'members' once subscribed, null if only published to
+      username: null, // Who subscribed, the MQTT transport derives DM topics from it
+      onMessage: null, // Kept so the consumer can be restarted after a reconnect
+      lastOffset: null, // Stream offset of the last handled message
+      retention, // Asked for at creation, null for the kind's default
     };
+    await this.attachStream(channelInfo);
 
     this.channels.set(channelName, channelInfo);
     console.log('[DEBUG] Channel added to Map, size:', this.channels.size);
@@ -61,42 +112,288 @@ class ChatChannelManager extends EventTarget {
     return channelInfo;
   }
 
+  /**
+   * Open the stream on the transport, it stays open until it is unsubscribed
+   */
+  async attachStream(channelInfo) {
+    channelInfo.queue = await this.transport.openStream(channelInfo);
+  }
+
+  /**
+   * Start consuming a stream, resuming after the last handled offset if
+   * this channel has been consumed before. The directory and member lists
+   * are read from the start, they are rebuilt from all of it.
+   */
+  async startConsumer(channelInfo, onMessage) {
+    let offset = channelInfo.lastOffset + 1;
+    if (channelInfo.lastOffset === null) {
+      const replayed = ['directory', 'members'].includes(channelInfo.kind);
+      offset = replayed ? 0 : await this.getWindowStart(channelInfo.name);
+    }
+
+    channelInfo.onMessage = onMessage;
+    channelInfo.consumer = await this.transport.subscribe(channelInfo.queue, offset, (delivery) => {
+      try {
+        onMessage(delivery);
+      } finally {
+        this.trackOffset(channelInfo, delivery);
+      }
+    });
+  }
+
+  createMessageHandler(kind, channelName) {
+    if (kind === 'notifications') {
+      return (delivery) => {
+        console.log('Received user notification:', new Date().toLocaleTimeString(), delivery.body);
+        this.handleUserNotification(delivery, channelName);
+      };
+    }
+
+    return (delivery) => {
+      console.log('Received message:', new Date().toLocaleTimeString(), delivery.body);
+      this.handleMessage(channelName, delivery);
+    };
+  }
+
+  trackOffset(channelInfo, delivery) {
+    // Only stream transports number their deliveries
+    const offset = delivery.offset;
+    if (typeof offset === 'number' && (channelInfo.lastOffset === null || offset > channelInfo.lastOffset)) {
+      channelInfo.lastOffset = offset;
+    }
+  }
+
+  /**
+   * Where a first-time consumer starts: the last windowMessages messages, or
+   * the last windowMinutes as a timestamp offset, or the whole stream
+   */
+  async getWindowStart(streamName) {
+    const { windowMessages, windowMinutes } = this.history;
+
+    if (this.transport.supportsHistory && windowMessages > 0) {
+      const lastOffset = await this.findLastOffset(streamName);
+      return lastOffset === null ? 0 : Math.max(0, lastOffset - windowMessages + 1);
+    }
+
+    if (windowMinutes > 0) {
+      return new Date(Date.now() - windowMinutes * 60 * 1000);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Offset of the newest message in a stream, null when it is empty
+   */
+  async findLastOffset(streamName) {
+    const [delivery] = await this.readStream(streamName, 'last', () => true);
+    return delivery ? delivery.offset : null;
+  }
+
+  /**
+   * Read a stream from an offset with a temporary consumer, until done(delivery)
+   * returns true or nothing more arrives within historyTimeout
+   */
+  async readStream(streamName, offset, done) {
+    const lease = { name: streamName };
+    const queue = await this.transport.openStream(lease);
+    const deliveries = [];
+    let finished = false;
+    let finish;
+    let timer;
+
+    const waitForEnd = new Promise(resolve => {
+      finish = resolve;
+      timer = setTimeout(resolve, this.historyTimeout);
+    });
+
+    try {
+      const consumer = await this.transport.subscribe(queue, offset, delivery => {
+        if (finished) {
+          return;
+        }
+
+        deliveries.push(delivery);
+        delivery.ack();
+        clearTimeout(timer);
+        if (done(delivery)) {
+          finish();
+        } else {
+          timer = setTimeout(finish, this.historyTimeout);
+        }
+      });
+
+      await waitForEnd;
+      finished = true;
+      await consumer.cancel();
+    } finally {
+      clearTimeout(timer);
+      this.transport.closeStream(lease);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Fetch the page of messages before beforeOffset (the oldest offset the
+   * caller has), or the newest page when it has none
+   * Resolves to { messages, firstOffset, hasMore }, messages oldest first
+   */
+  async loadOlderMessages(channelName, beforeOffset = null) {
+    if (!this.channels.has(channelName) || !this.transport.supportsHistory || beforeOffset === 0) {
+      return { messages: [], firstOffset: beforeOffset, hasMore: false };
+    }
+
+    // Nothing loaded yet (no messages in the window), page back from the end of the stream
+    const end = beforeOffset === null ? await this.findLastOffset(channelName) : beforeOffset - 1;
+    if (end === null) {
+      return { messages: [], firstOffset: null, hasMore: false };
+    }
+
+    const start = Math.max(0, end - this.history.pageSize + 1);
+    const page = (await this.readStream(channelName, start, delivery => delivery.offset >= end))
+      .filter(delivery => delivery.offset >= start && delivery.offset <= end);
+
+    if (page.length === 0) {
+      return { messages: [], firstOffset: beforeOffset, hasMore: false };
+    }
+
+    return {
+      messages: page.map(delivery => this.readDelivery(channelName, delivery)).filter(Boolean),
+      firstOffset: page[0].offset,
+      // Retention may have dropped the start of the page, then this is the oldest there is
+      hasMore: page[0].offset === start && start > 0,
+    };
+  }
+
+  handleConnectionLost() {
+    // Channels, queues and consumers belong to the dead connection, keep everything else
+    this.transport.reset();
+    for (const channelInfo of this.channels.values()) {
+      channelInfo.queue = null;
+      channelInfo.consumer = null;
+    }
+  }
+
+  async handleReconnected() {
+    if (this.channels.size > 0) {
+      await this.restoreChannels();
+      await this.restoreEvents();
+    }
+
+    // Streams are usable again, send whatever was queued while offline
+    await this.flushOutbox();
+  }
+
+  async restoreChannels() {
+    console.log('[DEBUG] Reconnected, restoring', this.channels.size, 'streams');
+    for (const channelInfo of this.channels.values()) {
+      // Streams that are only published to borrow a channel when needed
+      if (channelInfo.onMessage) {
+        await this.restoreChannel(channelInfo);
+      }
+    }
+
+    this.dispatchEvent(
+      new CustomEvent('channelsRestored', {
+        detail: { channels: this.getChannels() },
+      })
+    );
+  }
+
+  async restoreChannel(channelInfo) {
+    try {
+      await this.attachStream(channelInfo);
+      await this.startConsumer(channelInfo, channelInfo.onMessage);
+    } catch (error) {
+      console.error(`Failed to restore channel ${channelInfo.name}:`, error);
+    }
+  }
+
+  /**
+   * Consume transient events again: presence, and every subscribed channel's
+   */
+  async restoreEvents() {
+    await this.watchEvents(PRESENCE_EVENTS);
+    for (const channelInfo of this.channels.values()) {
+      if (channelInfo.kind === 'channel' && channelInfo.onMessage) {
+        await this.watchEvents(channelInfo);
+      }
+    }
+  }
+
+  /**
+   * Route a channel's transient events to this client. Best effort, a
+   * channel works without its typing indicators.
+   */
+  async watchEvents(channelInfo) {
+    try {
+      await this.transport.openEvents(delivery => this.handleEvent(delivery));
+      await this.transport.watchEvents(channelInfo);
+    } catch (error) {
+      console.error(`Failed to watch transient events of ${channelInfo.name}:`, error);
+    }
+  }
+
+  /**
+   * The transport lost some streams (e.g. the broker closed a pooled channel),
+   * set up again just those
+   */
+  async handleStreamsLost(streams) {
+    const affected = streams.filter(stream => this.channels.get(stream.name) === stream && stream.queue);
+    for (const channelInfo of affected) {
+      channelInfo.queue = null;
+      channelInfo.consumer = null;
+    }
+
+    if (!this.connection.isConnected) {
+      return;
+    }
+
+    for (const channelInfo of affected) {
+      if (channelInfo.onMessage) {
+        console.log('[DEBUG] Rebinding consumer after stream loss:', channelInfo.name);
+        await this.restoreChannel(channelInfo);
+      }
+    }
+  }
+
   async subscribeToChannel(channelName, username) {
     console.log('[DEBUG] subscribeToChannel called for:', channelName, 'username:', username);
     const channelInfo = await this.createChannel(channelName);
     console.log('[DEBUG] Got channelInfo:', !!channelInfo);
 
-    if (channelInfo.consumer) {
+    // A consumer waiting for the next reconnect counts as subscribed too
+    if (channelInfo.consumer || channelInfo.onMessage) {
       console.log('[DEBUG] Already subscribed to channel:', channelName);
       // Already subscribed
       return;
     }
 
+    if (!channelInfo.queue) {
+      await this.attachStream(channelInfo);
+    }
+
     // Subscribe using WebSocket client API
     console.log('[DEBUG] Starting subscription...');
-    const consumer = await channelInfo.queue.subscribe(
-      {
-        args: {
-          'x-stream-offset': 0,
-        },
-        noAck: false
-       },
-      (message) => {
-        console.log('Received message:', new Date().toLocaleTimeString(), message.bodyToString());
-        this.handleMessage(channelName, message);
-      });
+    channelInfo.kind = 'channel';
+    channelInfo.username = username;
+    await this.startConsumer(channelInfo, this.createMessageHandler('channel', channelName));
     console.log('Subscribed to channel:', channelName);
+    await this.watchEvents(channelInfo);
 
-    channelInfo.consumer = consumer;
     this.activeChannel = channelName;
 
     // Send join message
     console.log('[DEBUG] Sending join message...');
     await this.sendSystemMessage(channelName, `${username} joined the channel`);
+    if (getStreamKind(channelName) === 'channel') {
+      await this.publishDirectoryEvent(channelName, username, 'join');
+    }
 
     this.dispatchEvent(
       new CustomEvent('channelSubscribed', {
-        detail: { channelName },
+        detail: { channelName, kind: 'channel' },
       })
     );
     console.log('[DEBUG] subscribeToChannel completed');
@@ -108,12 +405,31 @@ class ChatChannelManager extends EventTarget {
       return;
     }
 
-    // Send leave message before unsubscribing
-    await this.sendSystemMessage(channelName, `${username} left the channel`);
+    // Send leave message before unsubscribing, notifications, the directory and member lists aren't joined
+    if (channelInfo.kind === 'channel') {
+      await this.sendSystemMessage(channelName, `${username} left the channel`);
+      if (getStreamKind(channelName) === 'channel') {
+        await this.publishDirectoryEvent(channelName, username, 'leave');
+      }
+    }
+    if (isPrivateChannel(channelName)) {
+      await this.unsubscribeFromChannel(getMembersStream(channelName), username);
+    }
 
     // Unsubscribe using WebSocket client API
     await channelInfo.consumer.cancel();
     channelInfo.consumer = null;
+    channelInfo.onMessage = null;
+
+    try {
+      await this.transport.unwatchEvents(channelInfo);
+    } catch (error) {
+      console.log('[DEBUG] Transient events were not watched:', error.message);
+    }
+
+    // Hand the stream back, publishing to it borrows one from now on
+    this.transport.closeStream(channelInfo);
+    channelInfo.queue = null;
 
     this.dispatchEvent(
       new CustomEvent('channelUnsubscribed', {
@@ -122,7 +438,12 @@ class ChatChannelManager extends EventTarget {
     );
   }
 
-  async sendMessage(channelName, username, content) {
+  /**
+   * parentId makes the message a thread reply to that message. encrypted
+   * (see dm-encryption.js) is the real content of an end-to-end encrypted
+   * DM, content then only says that it is encrypted.
+   */
+  async sendMessage(channelName, username, content, parentId = null, encrypted = null) {
     console.log('[DEBUG] sendMessage called for channel:', channelName);
     console.log('[DEBUG] channels Map size:', this.channels.size);
     console.log('[DEBUG] channels Map keys:', Array.from(this.channels.keys()));
@@ -140,13 +461,230 @@ class ChatChannelManager extends EventTarget {
       content: content.trim(),
       timestamp: new Date().toISOString(),
     };
+    if (parentId) {
+      message.parentId = parentId;
+    }
+    if (encrypted) {
+      message.encrypted = encrypted;
+    }
+
+    await this.publishOrQueue(channelName, message);
+    return message;
+  }
+
+  /**
+   * Publish a file ({ name, type, bytes }) as a message describing it,
+   * followed by its chunks (see attachments.js). Resolves once the message
+   * is published, the chunks go out after it. Throws with code
+   * ATTACHMENT_TOO_LARGE when it is over attachments.maxBytes.
+   */
+  async sendAttachment(channelName, username, file, parentId = null) {
+    if (!this.channels.has(channelName)) {
+      throw new Error(`Channel ${channelName} not found`);
+    }
+
+    const { attachment, chunks } = await prepareAttachment(file, this.attachments.maxBytes);
+    const message = {
+      id: this.generateMessageId(),
+      type: 'message',
+      channel: channelName,
+      username,
+      content: attachment.name, // What clients without attachment support show
+      attachment,
+      timestamp: new Date().toISOString(),
+    };
+    if (parentId) {
+      message.parentId = parentId;
+    }
 
-    await channelInfo.queue.publish(
-      JSON.stringify(message),
-      {
-        persistent: true,
+    await this.publishOrQueue(channelName, message);
+    // Not waited for, a large file takes longer than another tab waits for an answer
+    this.publishChunks(channelName, message, chunks).catch(error => {
+      console.error('Failed to send attachment chunks:', error);
+    });
+    return message;
+  }
+
+  async publishChunks(channelName, message, chunks) {
+    for (const [index, data] of chunks.entries()) {
+      const chunk = {
+        id: this.generateMessageId(),
+        type: 'attachment-chunk',
+        channel: channelName,
+        username: message.username,
+        target: message.id,
+        index,
+        data,
+        timestamp: new Date().toISOString(),
+      };
+
+      // Held back with the attachment, retrying it sends them too
+      if (this.failedMessages.has(message.id)) {
+        this.failedMessages.set(chunk.id, { streamName: channelName, message: chunk });
+        continue;
       }
-    );
+      await this.publishOrQueue(channelName, chunk);
+    }
+  }
+
+  /**
+   * Publish a new content for original, a message received on the channel
+   */
+  async editMessage(channelName, username, original, content) {
+    this.checkCanModify(channelName, username, original);
+
+    const message = {
+      id: this.generateMessageId(),
+      type: 'edit',
+      channel: channelName,
+      username,
+      target: original.id,
+      content: content.trim(),
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.publishOrQueue(channelName, message);
+    return message;
+  }
+
+  /**
+   * Publish the deletion of original, a message received on the channel
+   */
+  async deleteMessage(channelName, username, original) {
+    this.checkCanModify(channelName, username, original);
+
+    const message = {
+      id: this.generateMessageId(),
+      type: 'delete',
+      channel: channelName,
+      username,
+      target: original.id,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.publishOrQueue(channelName, message);
+    return message;
+  }
+
+  /**
+   * Add or remove username's emoji reaction to a message on the channel
+   */
+  async sendReaction(channelName, username, messageId, emoji, action = 'add') {
+    if (!this.channels.has(channelName)) {
+      throw new Error(`Channel ${channelName} not found`);
+    }
+    if (!REACTION_ACTIONS.includes(action)) {
+      throw new Error(`Unknown reaction action ${action}`);
+    }
+
+    const message = {
+      id: this.generateMessageId(),
+      type: 'reaction',
+      channel: channelName,
+      username,
+      target: messageId,
+      emoji,
+      action,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.publishOrQueue(channelName, message);
+    return message;
+  }
+
+  /**
+   * Tell the other participant of a DM that username has read it up to messageId
+   */
+  async sendReadReceipt(channelName, username, messageId) {
+    if (!channelName.startsWith('dm-')) {
+      throw new Error(`Read receipts are only sent in DMs, not in ${channelName}`);
+    }
+    if (!this.channels.has(channelName)) {
+      throw new Error(`Channel ${channelName} not found`);
+    }
+
+    const receipt = {
+      id: this.generateMessageId(),
+      type: 'receipt',
+      channel: channelName,
+      username,
+      target: messageId,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.publishOrQueue(channelName, receipt);
+    return receipt;
+  }
+
+  /**
+   * Tell the channel username is typing. Typing events are transient, they
+   * are dropped rather than queued when they can't be sent.
+   */
+  async sendTyping(channelName, username) {
+    const channelInfo = this.channels.get(channelName);
+    if (!channelInfo || !this.connection.isConnected) {
+      return;
+    }
+
+    const event = {
+      id: this.generateMessageId(),
+      type: 'typing',
+      channel: channelName,
+      username,
+      timestamp: new Date().toISOString(),
+    };
+
+    try {
+      await this.transport.publishEvent(channelInfo, sealEnvelope(event));
+    } catch (error) {
+      console.log('[DEBUG] Typing event dropped:', error.message);
+    }
+  }
+
+  watchPresence() {
+    return this.watchEvents(PRESENCE_EVENTS);
+  }
+
+  /**
+   * Presence heartbeat of one session (tab) of username, transient like
+   * typing events
+   */
+  async sendPresence(username, status, session) {
+    if (!this.connection.isConnected) {
+      return;
+    }
+
+    const heartbeat = {
+      id: this.generateMessageId(),
+      type: 'presence',
+      username,
+      status,
+      session,
+      timestamp: new Date().toISOString(),
+    };
+
+    try {
+      await this.transport.publishEvent(PRESENCE_EVENTS, sealEnvelope(heartbeat));
+    } catch (error) {
+      console.log('[DEBUG] Presence heartbeat dropped:', error.message);
+    }
+  }
+
+  /**
+   * Receivers ignore edits and deletes from anyone but the author or a
+   * moderator, refuse them here already
+   */
+  checkCanModify(channelName, username, original) {
+    if (!this.channels.has(channelName)) {
+      throw new Error(`Channel ${channelName} not found`);
+    }
+    if (!canModify(original, username, this.isModerator(username))) {
+      throw new Error(`Only the author or a moderator can change message ${original.id}`);
+    }
+  }
+
+  isModerator(username) {
+    return this.moderators.includes(username);
   }
 
   async sendSystemMessage(channelName, content) {
@@ -163,29 +701,295 @@ class ChatChannelManager extends EventTarget {
       timestamp: new Date().toISOString(),
     };
 
-    await channelInfo.queue.publish(
-      JSON.stringify(message),
-      {
-        persistent: true,
+    await this.publishOrQueue(channelName, message);
+  }
+
+  /**
+   * A consumed stream is unusable until its consumer has been restored,
+   * any other stream can be published to with a borrowed channel
+   */
+  isStreamAvailable(streamName) {
+    const channelInfo = this.channels.get(streamName);
+    return !channelInfo?.onMessage || !!channelInfo.queue;
+  }
+
+  async publishToStream(streamName, message) {
+    if (!this.isStreamAvailable(streamName)) {
+      throw new Error(`Stream ${streamName} is not available`);
+    }
+
+    const queue = this.channels.get(streamName)?.queue;
+    if (queue) {
+      await this.publishToQueue(queue, streamName, message);
+      return;
+    }
+
+    // Nobody here consumes this stream (e.g. another user's notifications),
+    // open it just for this publish
+    const lease = { name: streamName, username: message.username || null };
+    const borrowedQueue = await this.transport.openStream(lease);
+    try {
+      await this.publishToQueue(borrowedQueue, streamName, message);
+    } finally {
+      this.transport.closeStream(lease);
+    }
+  }
+
+  async publishToQueue(queue, streamName, message) {
+    const publish = this.transport.publish(queue, sealEnvelope(message));
+    this.dispatchDeliveryStatus('messageSent', streamName, message);
+
+    await this.waitForConfirm(publish);
+    this.dispatchDeliveryStatus('messageConfirmed', streamName, message);
+  }
+
+  /**
+   * Resolve when the broker acks the publish, reject on nack or when no
+   * ack arrives within confirmTimeout
+   */
+  waitForConfirm(publish) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error('Timed out waiting for publish confirm'));
+      }, this.confirmTimeout);
+    });
+
+    return Promise.race([publish, timeout]).finally(() => {
+      clearTimeout(timer);
+    });
+  }
+
+  dispatchDeliveryStatus(type, streamName, message, error = null) {
+    this.dispatchEvent(
+      new CustomEvent(type, {
+        detail: { channelName: streamName, messageId: message.id, message, error },
+      })
+    );
+  }
+
+  markMessageFailed(streamName, message, error) {
+    console.error(`Message ${message.id} was not confirmed:`, error);
+    this.failedMessages.set(message.id, { streamName, message });
+    this.dispatchDeliveryStatus('messageFailed', streamName, message, error);
+  }
+
+  /**
+   * Publish right away when possible, otherwise park the message in the
+   * outbox until the next successful (re)connect
+   */
+  async publishOrQueue(streamName, message) {
+    await this.outbox.ready;
+
+    // Anything already waiting has to go out first to keep the order
+    if (this.connection.isConnected && this.outbox.size === 0) {
+      try {
+        await this.publishToStream(streamName, message);
+        return;
+      } catch (error) {
+        // A nack or missing ack on a live connection won't fix itself on reconnect
+        if (this.connection.isConnected) {
+          this.markMessageFailed(streamName, message, error);
+          return;
+        }
+        console.error('Publish failed, queueing message:', error);
       }
+    }
+
+    await this.outbox.enqueue(streamName, message);
+    this.dispatchEvent(
+      new CustomEvent('messageQueued', {
+        detail: { channelName: streamName, message },
+      })
     );
+
+    if (this.connection.isConnected) {
+      this.flushOutbox();
+    }
+  }
+
+  async flushOutbox() {
+    if (this.isFlushingOutbox) {
+      return;
+    }
+
+    this.isFlushingOutbox = true;
+    try {
+      await this.outbox.ready;
+      // Messages queued while a pass runs are left to the next one
+      let stopped = false;
+      while (!stopped && this.connection.isConnected && this.outbox.size > 0) {
+        for (const entry of this.outbox.getEntries()) {
+          if (!this.connection.isConnected) {
+            stopped = true;
+            break;
+          }
+
+          try {
+            await this.publishToStream(entry.streamName, entry.message);
+          } catch (error) {
+            if (this.connection.isConnected && this.isStreamAvailable(entry.streamName)) {
+              // The broker refused this one, hand it to the user instead of blocking the rest
+              await this.outbox.remove(entry);
+              this.markMessageFailed(entry.streamName, entry.message, error);
+              continue;
+            }
+
+            // Stop at the first failure so later messages don't overtake it
+            console.error('Failed to flush outbox, will retry on next connect:', error);
+            stopped = true;
+            break;
+          }
+
+          await this.outbox.remove(entry);
+          this.dispatchEvent(
+            new CustomEvent('queuedMessageSent', {
+              detail: { channelName: entry.streamName, message: entry.message },
+            })
+          );
+        }
+      }
+    } finally {
+      this.isFlushingOutbox = false;
+    }
   }
 
-  handleMessage(channelName, amqpMessage) {
-    const messageContent = amqpMessage.bodyToString();
-    const message = JSON.parse(messageContent);
+  async retryMessage(messageId) {
+    const failed = this.failedMessages.get(messageId);
+    if (!failed) {
+      return;
+    }
+
+    this.failedMessages.delete(messageId);
+    await this.publishOrQueue(failed.streamName, failed.message);
 
+    // The failed chunks of an attachment go out again after it
+    for (const [chunkId, entry] of this.failedMessages) {
+      if (entry.message.type === 'attachment-chunk' && entry.message.target === messageId) {
+        this.failedMessages.delete(chunkId);
+        await this.publishOrQueue(entry.streamName, entry.message);
+      }
+    }
+  }
+
+  getFailedMessages(channelName) {
+    return Array.from(this.failedMessages.values())
+      .filter(entry => entry.streamName === channelName)
+      .map(entry => entry.message);
+  }
+
+  getQueuedMessages(channelName) {
+    return this.outbox.getEntries()
+      .filter(entry => entry.streamName === channelName)
+      .map(entry => entry.message);
+  }
+
+  /**
+   * The flat message in a delivery, or null when it is invalid and has been
+   * quarantined instead
+   */
+  readDelivery(streamName, delivery) {
+    try {
+      return openEnvelope(delivery.body);
+    } catch (error) {
+      this.quarantineDelivery(streamName, delivery, error.message);
+      return null;
+    }
+  }
+
+  quarantineDelivery(streamName, delivery, reason) {
+    console.error(`Quarantined delivery at offset ${delivery.offset} on ${streamName}: ${reason}`);
+    const entry = {
+      streamName,
+      offset: delivery.offset ?? null,
+      body: String(delivery.body).slice(0, 2000),
+      reason,
+      receivedAt: new Date().toISOString(),
+    };
+
+    this.quarantine.push(entry);
+    if (this.quarantine.length > QUARANTINE_LIMIT) {
+      this.quarantine.shift();
+    }
     this.dispatchEvent(
-      new CustomEvent('messageReceived', {
-        detail: { channelName, message },
+      new CustomEvent('messageQuarantined', {
+        detail: { channelName: streamName, entry },
       })
     );
+  }
+
+  getQuarantine() {
+    return this.quarantine.slice();
+  }
 
-    amqpMessage.ack().then(() => {
+  /**
+   * Remembered message ids are the signed in user's, load them before subscribing
+   */
+  loadSeenMessages(username) {
+    this.seenMessages.load(username);
+  }
+
+  /**
+   * Whether a message is a copy of one already received on the stream,
+   * copies are counted so they can be shown in the debug panel
+   */
+  isDuplicate(streamName, message, offset) {
+    if (!this.seenMessages.isDuplicate(streamName, message.id, offset)) {
+      return false;
+    }
+
+    const count = (this.suppressedDuplicates.get(streamName) || 0) + 1;
+    this.suppressedDuplicates.set(streamName, count);
+    console.log('[DEBUG] Dropped duplicate', message.id, 'on', streamName);
+    this.dispatchEvent(
+      new CustomEvent('duplicateSuppressed', {
+        detail: { channelName: streamName, messageId: message.id, count },
+      })
+    );
+    return true;
+  }
+
+  /**
+   * { [streamName]: number of copies dropped }
+   */
+  getSuppressedDuplicates() {
+    return Object.fromEntries(this.suppressedDuplicates);
+  }
+
+  handleMessage(channelName, delivery) {
+    // Invalid messages are acked too, they would only come back, and so are duplicates
+    const message = this.readDelivery(channelName, delivery);
+    if (message && !this.isDuplicate(channelName, message, delivery.offset)) {
+      this.dispatchEvent(
+        new CustomEvent('messageReceived', {
+          detail: { channelName, message, offset: delivery.offset },
+        })
+      );
+    }
+
+    delivery.ack().then(() => {
       // Message acknowledged
     });
   }
 
+  handleEvent(delivery) {
+    const event = this.readDelivery(EVENTS_SOURCE, delivery);
+    if (event?.type === 'typing') {
+      this.dispatchEvent(
+        new CustomEvent('typingReceived', {
+          detail: { channelName: event.channel, username: event.username },
+        })
+      );
+    } else if (event?.type === 'presence') {
+      const { username, status, session } = event;
+      this.dispatchEvent(
+        new CustomEvent('presenceReceived', {
+          detail: { username, status, session },
+        })
+      );
+    }
+  }
+
   generateMessageId() {
     return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -194,6 +998,53 @@ class ChatChannelManager extends EventTarget {
     return Array.from(this.channels.keys());
   }
 
+  /**
+   * Plain description of every known stream, enough for another tab to take
+   * over the consumers where this one left off
+   */
+  getSubscriptionState() {
+    return Array.from(this.channels.values()).map(channelInfo => ({
+      name: channelInfo.name,
+      kind: channelInfo.kind,
+      username: channelInfo.username,
+      subscribed: !!channelInfo.onMessage,
+      lastOffset: channelInfo.lastOffset,
+    }));
+  }
+
+  /**
+   * Adopt streams consumed by another tab, they are declared and consumed
+   * from their last offset on the next connect
+   */
+  restoreSubscriptionState(state) {
+    for (const { name, kind, username, subscribed, lastOffset } of state) {
+      const channelInfo = this.channels.get(name) || {
+        name,
+        queue: null,
+        consumer: null,
+        kind: null,
+        username: null,
+        onMessage: null,
+        lastOffset: null,
+        retention: null,
+      };
+
+      channelInfo.kind = kind;
+      channelInfo.username = username ?? channelInfo.username;
+      if (lastOffset !== null && (channelInfo.lastOffset === null || lastOffset > channelInfo.lastOffset)) {
+        channelInfo.lastOffset = lastOffset;
+      }
+      if (subscribed && !channelInfo.onMessage) {
+        channelInfo.onMessage = this.createMessageHandler(kind, name);
+      }
+      if (kind === 'notifications') {
+        this.userNotificationChannel = channelInfo;
+      }
+
+      this.channels.set(name, channelInfo);
+    }
+  }
+
   async subscribeToUserNotifications(username) {
     const notificationChannelName = `user-notifications-${username}`;
 
@@ -202,76 +1053,230 @@ class ChatChannelManager extends EventTarget {
     try {
       const channelInfo = await this.createChannel(notificationChannelName);
 
-      if (channelInfo.consumer) {
+      if (channelInfo.consumer || channelInfo.onMessage) {
         // Already subscribed to notification channel
         console.log(`Already subscribed to notification channel: ${notificationChannelName}`);
         return;
       }
 
-      const consumer = await channelInfo.queue.subscribe(
-        {
-          args: {
-            'x-stream-offset': 0,
-          },
-          noAck: false
-        },
-        (message) => {
-          console.log('Received user notification:', new Date().toLocaleTimeString(), message.bodyToString());
-          this.handleUserNotification(message);
-        }
-      );
+      channelInfo.kind = 'notifications';
+      channelInfo.username = username;
+      await this.startConsumer(channelInfo, this.createMessageHandler('notifications', notificationChannelName));
 
-      channelInfo.consumer = consumer;
       this.userNotificationChannel = channelInfo;
       console.log('Successfully subscribed to user notification channel:', notificationChannelName);
+
+      this.dispatchEvent(
+        new CustomEvent('channelSubscribed', {
+          detail: { channelName: notificationChannelName, kind: 'notifications' },
+        })
+      );
     } catch (error) {
       console.error('Failed to subscribe to user notification channel:', error);
       throw error;
     }
   }
 
+  /**
+   * Consume the channel directory from its start, its messages come as
+   * 'messageReceived' like any other stream's
+   */
+  async subscribeToDirectory(username) {
+    const channelInfo = await this.createChannel(DIRECTORY_STREAM);
+    if (channelInfo.consumer || channelInfo.onMessage) {
+      return;
+    }
+
+    channelInfo.kind = 'directory';
+    channelInfo.username = username;
+    await this.startConsumer(channelInfo, this.createMessageHandler('directory', DIRECTORY_STREAM));
+
+    this.dispatchEvent(
+      new CustomEvent('channelSubscribed', {
+        detail: { channelName: DIRECTORY_STREAM, kind: 'directory' },
+      })
+    );
+  }
+
+  /**
+   * Announce a channel's creation (with its topic), a topic change, or
+   * username joining or leaving it
+   */
+  async publishDirectoryEvent(channelName, username, action, topic = null) {
+    const message = {
+      id: this.generateMessageId(),
+      type: 'directory',
+      channel: channelName,
+      username,
+      action,
+      timestamp: new Date().toISOString(),
+    };
+    if (topic !== null) {
+      message.topic = topic;
+    }
+
+    await this.publishOrQueue(DIRECTORY_STREAM, message);
+    return message;
+  }
+
+  /**
+   * Member list of a private channel as it is on its members stream, the
+   * 'membership' messages oldest first. Needs stream history.
+   */
+  async loadMembership(channelName) {
+    if (!this.transport.supportsHistory) {
+      throw new Error('Private channels need a transport with stream history');
+    }
+
+    const streamName = getMembersStream(channelName);
+    const lastOffset = await this.findLastOffset(streamName);
+    if (lastOffset === null) {
+      return [];
+    }
+
+    const deliveries = await this.readStream(streamName, 0, delivery => delivery.offset >= lastOffset);
+    return deliveries
+      .map(delivery => this.readDelivery(streamName, delivery))
+      .filter(message => message?.type === 'membership');
+  }
+
+  /**
+   * Join a private channel, or create it (username becoming its creator)
+   * when nobody has yet and create is set. Throws with code NOT_A_MEMBER
+   * when username isn't on its member list, added by the creator or a
+   * moderator. Invitations join with create off, anyone can send one.
+   */
+  async joinPrivateChannel(channelName, username, { retention = null, create = true } = {}) {
+    if (!isPrivateChannel(channelName)) {
+      throw new Error(`${channelName} is not a private channel`);
+    }
+
+    const membership = new ChannelMembership(name => this.isModerator(name));
+    (await this.loadMembership(channelName)).forEach(message => membership.record(message));
+
+    if (!membership.getCreator(channelName) && create) {
+      await this.createChannel(channelName, { retention });
+      await this.publishMembershipEvent(channelName, username, 'create');
+    } else if (!membership.isMember(channelName, username)) {
+      const error = new Error(`${channelName} is private, a member has to invite you`);
+      error.code = 'NOT_A_MEMBER';
+      throw error;
+    }
+
+    await this.subscribeToMembership(channelName, username);
+    await this.subscribeToChannel(channelName, username);
+  }
+
+  /**
+   * Consume a private channel's members stream from its start, its
+   * messages come as 'messageReceived' for the members stream
+   */
+  async subscribeToMembership(channelName, username) {
+    const streamName = getMembersStream(channelName);
+    const channelInfo = await this.createChannel(streamName);
+    if (channelInfo.consumer || channelInfo.onMessage) {
+      return;
+    }
+
+    channelInfo.kind = 'members';
+    channelInfo.username = username;
+    await this.startConsumer(channelInfo, this.createMessageHandler('members', streamName));
+
+    this.dispatchEvent(
+      new CustomEvent('channelSubscribed', {
+        detail: { channelName: streamName, kind: 'members' },
+      })
+    );
+  }
+
+  /**
+   * Publish a member list change of a private channel, member defaults to
+   * username for 'create', 'request' and leaving
+   */
+  async publishMembershipEvent(channelName, username, action, member = username) {
+    const message = {
+      id: this.generateMessageId(),
+      type: 'membership',
+      channel: channelName,
+      username,
+      action,
+      member,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.publishOrQueue(getMembersStream(channelName), message);
+    return message;
+  }
+
+  /**
+   * Add toUsername to a private channel and let them know through their
+   * notifications
+   */
+  async inviteToChannel(channelName, fromUsername, toUsername) {
+    await this.publishMembershipEvent(channelName, fromUsername, 'add', toUsername);
+
+    const invitation = {
+      id: this.generateMessageId(),
+      type: 'channel-invitation',
+      from: fromUsername,
+      to: toUsername,
+      channel: channelName,
+      timestamp: new Date().toISOString(),
+    };
+    await this.publishOrQueue(`user-notifications-${toUsername}`, invitation);
+  }
+
+  /**
+   * Send our public key for encrypted DMs to another user's notifications
+   */
+  async sendDMKey(fromUsername, toUsername, publicKey) {
+    const notification = {
+      id: this.generateMessageId(),
+      type: 'dm-key',
+      from: fromUsername,
+      to: toUsername,
+      publicKey,
+      timestamp: new Date().toISOString(),
+    };
+
+    await this.publishOrQueue(`user-notifications-${toUsername}`, notification);
+    return notification;
+  }
+
   async sendDMInitiationNotification(fromUsername, toUsername, dmChannelName) {
     // Send notification to the recipient's notification queue
     const recipientNotificationChannel = `user-notifications-${toUsername}`;
 
     console.log(`Attempting to send DM initiation from ${fromUsername} to ${toUsername}, channel: ${recipientNotificationChannel}`);
 
-    try {
-      const channelInfo = await this.createChannel(recipientNotificationChannel);
-
-      const notification = {
-        id: this.generateMessageId(),
-        type: 'dm-initiation',
-        from: fromUsername,
-        to: toUsername,
-        dmChannel: dmChannelName,
-        timestamp: new Date().toISOString(),
-      };
-
-      await channelInfo.queue.publish(
-        JSON.stringify(notification),
-        {
-          persistent: true,
-        }
-      );
+    const notification = {
+      id: this.generateMessageId(),
+      type: 'dm-initiation',
+      from: fromUsername,
+      to: toUsername,
+      dmChannel: dmChannelName,
+      timestamp: new Date().toISOString(),
+    };
 
+    try {
+      await this.publishOrQueue(recipientNotificationChannel, notification);
       console.log(`Successfully sent DM initiation notification to ${toUsername}`);
     } catch (error) {
       console.error('Failed to send DM initiation notification:', error);
     }
   }
 
-  handleUserNotification(amqpMessage) {
-    const messageContent = amqpMessage.bodyToString();
-    const notification = JSON.parse(messageContent);
-
-    this.dispatchEvent(
-      new CustomEvent('userNotificationReceived', {
-        detail: { notification },
-      })
-    );
+  handleUserNotification(delivery, channelName) {
+    const notification = this.readDelivery(channelName, delivery);
+    if (notification && !this.isDuplicate(channelName, notification, delivery.offset)) {
+      this.dispatchEvent(
+        new CustomEvent('userNotificationReceived', {
+          detail: { channelName, notification, offset: delivery.offset },
+        })
+      );
+    }
 
-    amqpMessage.ack().then(() => {
+    delivery.ack().then(() => {
       // Notification acknowledged
     });
   }
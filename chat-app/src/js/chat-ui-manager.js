@@ -3,13 +3,24 @@
  * Handles all user interface interactions
  */
 
+import { ReadMarkers } from './read-markers.js';
+import { RETENTION_PRESETS, getStreamKind } from './stream-retention.js';
+import { MessageEdits, isEditEvent, canModify } from './message-edits.js';
+import { MessageReactions, REACTION_EMOJIS } from './message-reactions.js';
+import { TypingIndicators } from './typing-indicators.js';
+import { PresenceTracker, HEARTBEAT_INTERVAL, AWAY_AFTER } from './presence-tracker.js';
+import { ReadReceipts } from './read-receipts.js';
+import { ChannelDirectory, DIRECTORY_STREAM, MAX_TOPIC_LENGTH } from './channel-directory.js';
+import { ChannelMembership, PRIVATE_PREFIX, isPrivateChannel, getMembersChannel } from './channel-membership.js';
+import { AttachmentAssembler, formatSize } from './attachments.js';
+import { DmEncryption, ENCRYPTED_PLACEHOLDER, formatFingerprint } from './dm-encryption.js';
+
 class ChatUIManager {
   constructor(channelManager) {
     this.channelManager = channelManager;
     this.username = null;
     this.defaultChannel = 'general';
     this.currentChannel = this.defaultChannel;
-    this.activeUsers = new Map(); // Map<username, lastSeen> - global active users across all channels
     this.directMessages = new Set(); // Set of usernames with DM conversations
     this.subscribedChannels = new Set(); // Set of channels the user is subscribed to
 
@@ -17,8 +28,72 @@ class ChatUIManager {
     this.messageBuffers = new Map(); // Map<channelName, Array<message>>
     this.unreadCounts = new Map(); // Map<channelName, number>
 
+    // How far the user has read, unread counts and the "New messages" divider come from it
+    this.readMarkers = new ReadMarkers();
+    this.messageOffsets = new Map(); // Map<messageId, stream offset>
+    this.viewOpenedAt = Date.now(); // When the current channel was opened
+
+    // "Load older" paging, older pages end right before the oldest offset shown
+    this.oldestOffsets = new Map(); // Map<channelName, number>
+    this.historyExhausted = new Set(); // Channels scrolled back to the start of their stream
+
+    // Delivery state of our own messages: pending, sent, confirmed or failed
+    this.deliveryStatus = new Map(); // Map<messageId, string>
+
+    // Edits and deletes, folded into the messages they refer to when those are rendered
+    this.messageEdits = new MessageEdits(username => this.channelManager.isModerator(username));
+    this.messageReactions = new MessageReactions();
+
+    // Files arrive in chunks after the message describing them
+    this.attachmentAssembler = new AttachmentAssembler({ maxBytes: channelManager.maxAttachmentBytes });
+    this.attachmentAssembler.addEventListener('attachmentUpdated', e => {
+      this.updateAttachment(e.detail.messageId);
+    });
+
+    // Keys for end-to-end encrypted DMs, and what their messages decrypted to
+    this.dmEncryption = new DmEncryption();
+    this.decryptedContent = new Map(); // Map<messageId, string or null when it can't be decrypted>
+    this.decrypting = new Set(); // Ids of messages being decrypted
+
+    // Every announced channel, rebuilt from the directory stream
+    this.channelDirectory = new ChannelDirectory(username => this.channelManager.isModerator(username));
+
+    // Member lists of the private channels we are in, rebuilt from their members streams
+    this.channelMembership = new ChannelMembership(username => this.channelManager.isModerator(username));
+    this.privateJoinTimes = new Map(); // Map<channelName, ms>, member list changes before this are replayed history
+
+    // How far DM peers have read, and the receipts this tab sent for each DM
+    this.readReceipts = new ReadReceipts();
+    this.sentReceipts = new Map(); // Map<channelName, messageId>
+
+    // Who is online, from presence heartbeats. Every tab is a session of its own.
+    this.presence = new PresenceTracker();
+    this.presenceSession = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    this.presenceTimer = null;
+    this.sentStatus = null; // Status in this session's last heartbeat
+    this.lastActivity = Date.now(); // Last input in this tab, for 'away'
+    this.presence.addEventListener('change', () => {
+      this.updateUserCount();
+      this.updateUsersList();
+    });
+
+    // Who is typing where, from transient typing events
+    this.typingIndicators = new TypingIndicators();
+    this.typingIndicators.addEventListener('change', e => {
+      if (e.detail.channelName === this.currentChannel) {
+        this.renderTypingIndicator();
+      }
+    });
+
+    // Thread replies are kept in messageBuffers with their parent's id, the open one is in the side panel
+    this.openThread = null; // { channelName, parentId }
+
+    // Invalid deliveries are listed in the sidebar when the page is opened with ?debug
+    this.debugEnabled = new URLSearchParams(window.location.search).has('debug');
+
     this.initializeElements();
     this.bindEvents();
+    this.renderRetentionPresets();
   }
 
   initializeElements() {
@@ -31,12 +106,41 @@ class ChatUIManager {
     this.connectionStatus = document.getElementById('connectionStatus');
     this.statusIndicator = this.connectionStatus.querySelector('.status-indicator');
     this.statusText = this.connectionStatus.querySelector('.status-text');
+    this.retryNowBtn = document.getElementById('retryNowBtn');
+    this.reconnectCountdown = null;
 
     // Channel management
     this.channelList = document.getElementById('channelList');
     this.newChannelInput = document.getElementById('newChannelInput');
+    this.newChannelRetention = document.getElementById('newChannelRetention');
+    this.newChannelPrivate = document.getElementById('newChannelPrivate');
+    this.newChannelPrivateOption = document.getElementById('newChannelPrivateOption');
     this.addChannelBtn = document.getElementById('addChannelBtn');
     this.currentChannelName = document.getElementById('currentChannelName');
+    this.channelTopic = document.getElementById('channelTopic');
+    this.editTopicBtn = document.getElementById('editTopicBtn');
+
+    // Channel directory
+    this.browseChannelsBtn = document.getElementById('browseChannelsBtn');
+    this.directoryModal = document.getElementById('directoryModal');
+    this.directorySearch = document.getElementById('directorySearch');
+    this.directoryList = document.getElementById('directoryList');
+    this.directoryCloseBtn = document.getElementById('directoryCloseBtn');
+
+    // Private channel members
+    this.membersBtn = document.getElementById('membersBtn');
+    this.membersModal = document.getElementById('membersModal');
+    this.membersTitle = document.getElementById('membersTitle');
+    this.membersList = document.getElementById('membersList');
+    this.inviteForm = document.getElementById('inviteForm');
+    this.inviteInput = document.getElementById('inviteInput');
+    this.membersCloseBtn = document.getElementById('membersCloseBtn');
+
+    // DM encryption
+    this.encryptionBtn = document.getElementById('encryptionBtn');
+    this.keyWarning = document.getElementById('keyWarning');
+    this.keyWarningText = document.getElementById('keyWarningText');
+    this.acceptKeyBtn = document.getElementById('acceptKeyBtn');
 
     // Users list
     this.usersList = document.getElementById('usersList');
@@ -44,11 +148,29 @@ class ChatUIManager {
     // Direct messages
     this.dmList = document.getElementById('dmList');
 
+    // Debug panel
+    this.debugPanel = document.getElementById('debugPanel');
+    this.quarantineCount = document.getElementById('quarantineCount');
+    this.quarantineList = document.getElementById('quarantineList');
+    this.duplicateCount = document.getElementById('duplicateCount');
+    this.duplicateList = document.getElementById('duplicateList');
+
     // Chat area
     this.messagesContainer = document.getElementById('messagesContainer');
     this.messageForm = document.getElementById('messageForm');
     this.messageInput = document.getElementById('messageInput');
     this.sendButton = document.getElementById('sendButton');
+    this.attachButton = document.getElementById('attachButton');
+    this.attachmentInput = document.getElementById('attachmentInput');
+    this.typingIndicator = document.getElementById('typingIndicator');
+
+    // Thread panel
+    this.appMain = document.querySelector('.app-main');
+    this.threadPanel = document.getElementById('threadPanel');
+    this.threadMessages = document.getElementById('threadMessages');
+    this.threadForm = document.getElementById('threadForm');
+    this.threadInput = document.getElementById('threadInput');
+    this.threadCloseBtn = document.getElementById('threadCloseBtn');
     this.userCount = document.getElementById('userCount');
   }
 
@@ -64,6 +186,61 @@ class ChatUIManager {
       this.handleAddChannel();
     });
 
+    if (this.directoryModal) {
+      this.browseChannelsBtn.addEventListener('click', () => {
+        this.openDirectory();
+      });
+      this.directoryCloseBtn.addEventListener('click', () => {
+        this.closeDirectory();
+      });
+      this.directorySearch.addEventListener('input', () => {
+        this.renderDirectory();
+      });
+      this.directoryList.addEventListener('click', e => {
+        const joinButton = e.target.closest('.directory-join-btn');
+        if (joinButton) {
+          this.closeDirectory();
+          this.switchChannel(joinButton.closest('.directory-item').dataset.channel);
+        }
+      });
+      this.editTopicBtn.addEventListener('click', () => {
+        this.editTopic();
+      });
+    }
+
+    if (this.membersModal) {
+      this.membersBtn.addEventListener('click', () => {
+        this.openMembers();
+      });
+      this.membersCloseBtn.addEventListener('click', () => {
+        this.closeMembers();
+      });
+      this.inviteForm.addEventListener('submit', e => {
+        e.preventDefault();
+        this.inviteMember(this.inviteInput.value.trim());
+      });
+      this.membersList.addEventListener('click', e => {
+        const button = e.target.closest('.member-action-btn');
+        if (button) {
+          const { member } = button.closest('.directory-item').dataset;
+          if (button.dataset.action === 'approve') {
+            this.inviteMember(member);
+          } else {
+            this.removeMember(member);
+          }
+        }
+      });
+    }
+
+    if (this.encryptionBtn) {
+      this.encryptionBtn.addEventListener('click', () => {
+        this.handleEncryptionClick();
+      });
+      this.acceptKeyBtn.addEventListener('click', () => {
+        this.acceptNewKey();
+      });
+    }
+
     this.newChannelInput.addEventListener('keypress', e => {
       if (e.key === 'Enter') {
         this.handleAddChannel();
@@ -78,8 +255,32 @@ class ChatUIManager {
 
     this.messageInput.addEventListener('input', () => {
       this.updateSendButtonState();
+      this.notifyTyping(this.messageInput);
     });
 
+    if (this.attachButton) {
+      this.attachButton.addEventListener('click', () => {
+        this.attachmentInput.click();
+      });
+
+      this.attachmentInput.addEventListener('change', () => {
+        const [file] = this.attachmentInput.files;
+        this.attachmentInput.value = '';
+        if (file) {
+          this.handleAttachmentSelected(file);
+        }
+      });
+    }
+
+    // Skip the reconnect backoff
+    if (this.retryNowBtn) {
+      this.retryNowBtn.addEventListener('click', () => {
+        if (this._retryNowCallback) {
+          this._retryNowCallback();
+        }
+      });
+    }
+
     // Channel list clicks (event delegation)
     this.channelList.addEventListener('click', e => {
       const channelItem = e.target.closest('.channel-item');
@@ -113,6 +314,105 @@ class ChatUIManager {
       this.handleMessageReceived(e.detail);
     });
 
+    this.channelManager.addEventListener('presenceReceived', e => {
+      this.presence.record(e.detail);
+    });
+
+    this.channelManager.addEventListener('typingReceived', e => {
+      const { channelName, username } = e.detail;
+      if (username !== this.username) {
+        this.typingIndicators.record(channelName, username);
+      }
+    });
+
+    this.channelManager.addEventListener('messageQueued', e => {
+      this.handleDeliveryStatus(e.detail, 'pending');
+    });
+
+    this.channelManager.addEventListener('messageSent', e => {
+      this.handleDeliveryStatus(e.detail, 'sent');
+    });
+
+    this.channelManager.addEventListener('messageConfirmed', e => {
+      this.handleDeliveryStatus(e.detail, 'confirmed');
+    });
+
+    this.channelManager.addEventListener('messageFailed', e => {
+      this.handleDeliveryStatus(e.detail, 'failed');
+    });
+
+    // The "load older" control, unread and thread buttons (event delegation)
+    this.messagesContainer.addEventListener('click', e => {
+      if (e.target.closest('.load-older-btn')) {
+        this.loadOlderMessages();
+      }
+
+      if (e.target.closest('.jump-to-unread-btn')) {
+        this.jumpToFirstUnread();
+      }
+
+      const threadButton = e.target.closest('.thread-summary-btn, .message-reply-btn');
+      if (threadButton) {
+        this.openThreadPanel(threadButton.closest('.message').dataset.messageId);
+      }
+    });
+
+    // Message buttons work the same in the message list and the thread panel
+    [this.messagesContainer, this.threadMessages].filter(Boolean).forEach(container => {
+      container.addEventListener('click', e => {
+        this.handleMessageActionClick(e);
+      });
+      container.addEventListener('keydown', e => {
+        this.handleEditKeydown(e);
+      });
+    });
+
+    if (this.threadForm) {
+      this.threadForm.addEventListener('submit', e => {
+        e.preventDefault();
+        this.handleThreadReplySubmit();
+      });
+      this.threadInput.addEventListener('input', () => {
+        this.notifyTyping(this.threadInput);
+      });
+      this.threadCloseBtn.addEventListener('click', () => {
+        this.closeThreadPanel();
+      });
+    }
+
+    // scrollend rather than scroll, smooth scrolling to the bottom passes over the divider
+    this.messagesContainer.addEventListener('scrollend', () => {
+      this.updateJumpToUnread();
+    });
+
+    // Messages that arrive in a background tab stay unread until it is looked at
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden && this.username) {
+        this.markChannelRead(this.currentChannel);
+        this.markThreadRead();
+      }
+      this.updatePresence();
+    });
+
+    // A DM in a tab that's visible but not focused isn't read yet
+    window.addEventListener('focus', () => {
+      if (this.username && !document.hidden) {
+        this.sendReadReceipt(this.currentChannel);
+      }
+    });
+
+    // Any input makes an away session online again
+    ['keydown', 'pointerdown'].forEach(type => {
+      document.addEventListener(type, () => {
+        this.lastActivity = Date.now();
+        this.updatePresence();
+      });
+    });
+
+    this.readMarkers.addEventListener('change', () => {
+      this.refreshUnreadCounts();
+    });
+
     this.channelManager.addEventListener('channelCreated', e => {
       this.addChannelToUI(e.detail.channelName);
     });
@@ -124,6 +424,14 @@ class ChatUIManager {
     this.channelManager.addEventListener('userNotificationReceived', e => {
       this.handleUserNotification(e.detail.notification);
     });
+
+    this.channelManager.addEventListener('messageQuarantined', () => {
+      this.renderQuarantine();
+    });
+
+    this.channelManager.addEventListener('duplicateSuppressed', () => {
+      this.renderDuplicates();
+    });
   }
 
   showUsernameModal(isOAuthConfigured = false, oauthLoginCallback = null) {
@@ -185,6 +493,8 @@ class ChatUIManager {
 
     this.username = username;
     console.log('[DEBUG] Username set to:', username);
+    this.readMarkers.load(username);
+    this.viewOpenedAt = Date.now();
     this.hideUsernameModal();
 
     // Update page title to include username
@@ -192,6 +502,10 @@ class ChatUIManager {
 
     // Subscribe to default channel and user notifications
     try {
+      // Copies of messages seen before the reload are dropped too
+      await this.channelManager.loadSeenMessages(this.username);
+      await this.loadEncryptionKeys();
+
       console.log('[DEBUG] About to subscribe to default channel:', this.defaultChannel);
       await this.channelManager.subscribeToChannel(this.defaultChannel, this.username);
       console.log('[DEBUG] Subscribed to default channel');
@@ -202,13 +516,23 @@ class ChatUIManager {
       await this.channelManager.subscribeToUserNotifications(this.username);
       console.log('[DEBUG] Subscribed to user notifications');
 
+      // Replaying the directory rebuilds the channel catalog, the chat works without it
+      this.channelManager.subscribeToDirectory(this.username).catch(error => {
+        console.error('Failed to subscribe to the channel directory:', error);
+      });
+
       // Add default channel to UI
       this.addChannelToUI(this.defaultChannel);
 
       this.updateChannelUI(this.defaultChannel);
+      this.renderLoadOlderControl(this.defaultChannel);
+      this.renderQuarantine();
+      this.renderDuplicates();
 
-      // Add current user to global active users list
-      this.activeUsers.set(username, Date.now());
+      // Show messages still waiting in the outbox from a previous session
+      this.displayQueuedMessages(this.defaultChannel);
+
+      this.startPresence();
       this.updateUserCount();
       this.updateUsersList();
 
@@ -221,6 +545,27 @@ class ChatUIManager {
     }
   }
 
+  /**
+   * Retention choices for new channels, only stream transports keep messages.
+   * Private channels need the history too, for their member lists.
+   */
+  renderRetentionPresets() {
+    if (!this.newChannelRetention) {
+      return;
+    }
+
+    this.newChannelRetention.hidden = !this.channelManager.supportsHistory;
+    if (this.newChannelPrivateOption) {
+      this.newChannelPrivateOption.hidden = !this.channelManager.supportsHistory;
+    }
+    for (const [id, preset] of Object.entries(RETENTION_PRESETS)) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = preset.label;
+      this.newChannelRetention.appendChild(option);
+    }
+  }
+
   async handleAddChannel() {
     const channelName = this.newChannelInput.value.trim().toLowerCase();
     if (!channelName || channelName.length > 50) {
@@ -232,15 +577,76 @@ class ChatUIManager {
       this.showError('Channel name can only contain letters, numbers, and dashes');
       return;
     }
+    if (channelName.startsWith(PRIVATE_PREFIX)) {
+      this.showError(`Channel names can't start with ${PRIVATE_PREFIX}, use the Private option instead`);
+      return;
+    }
+
+    const preset = RETENTION_PRESETS[this.newChannelRetention?.value];
+    const retention = preset && this.channelManager.supportsHistory ? preset : null;
+
+    if (this.newChannelPrivate?.checked) {
+      const privateChannel = `${PRIVATE_PREFIX}${channelName}`;
+      if (await this.joinPrivateChannel(privateChannel, { retention })) {
+        this.newChannelInput.value = '';
+        this.switchChannel(privateChannel);
+      }
+      return;
+    }
 
     try {
-      await this.channelManager.createChannel(channelName);
+      await this.channelManager.createChannel(channelName, { retention });
+      // Ignored by the directory if someone created it before
+      await this.channelManager.publishDirectoryEvent(channelName, this.username, 'create');
       this.newChannelInput.value = '';
       this.switchChannel(channelName);
     } catch (error) {
       console.error('Failed to create channel:', error);
-      this.showError('Failed to create channel');
+      this.showError(error.code === 'STREAM_ARGUMENTS_MISMATCH' ? error.message : 'Failed to create channel');
+    }
+  }
+
+  /**
+   * Join (or create) a private channel and list it in the sidebar, resolves
+   * to whether that worked. Non-members are offered to ask its creator and
+   * moderators to let them in, unless askToJoin is false. invited joins
+   * only a channel whose member list already has us, never creates one.
+   */
+  async joinPrivateChannel(channelName, { retention = null, askToJoin = true, invited = false } = {}) {
+    const label = this.getChannelLabel(channelName);
+    this.privateJoinTimes.set(channelName, Date.now());
+
+    try {
+      await this.channelManager.joinPrivateChannel(channelName, this.username, {
+        retention,
+        create: !invited,
+      });
+      this.subscribedChannels.add(channelName);
+    } catch (error) {
+      this.privateJoinTimes.delete(channelName);
+      if (invited) {
+        console.log('[DEBUG] Ignoring invitation to', channelName, error.code || error.message);
+        return false;
+      }
+      if (error.code !== 'NOT_A_MEMBER') {
+        console.error('Failed to join private channel:', error);
+        this.showError(error.code === 'STREAM_ARGUMENTS_MISMATCH' ? error.message : 'Failed to join channel');
+        return false;
+      }
+
+      if (askToJoin && window.confirm(`${label} is private. Ask to join it?`)) {
+        try {
+          await this.channelManager.publishMembershipEvent(channelName, this.username, 'request');
+        } catch (requestError) {
+          console.error('Failed to ask to join:', requestError);
+          this.showError('Failed to ask to join');
+        }
+      }
+      return false;
     }
+
+    this.addChannelToUI(channelName);
+    return true;
   }
 
   async handleMessageSubmit() {
@@ -250,18 +656,79 @@ class ChatUIManager {
     }
 
     try {
-      await this.channelManager.sendMessage(this.currentChannel, this.username, content);
+      const [text, encrypted] = await this.encryptContent(this.currentChannel, content);
+      await this.channelManager.sendMessage(this.currentChannel, this.username, text, null, encrypted);
+      this.typingIndicators.resetThrottle(this.currentChannel);
       this.messageInput.value = '';
       this.updateSendButtonState();
     } catch (error) {
       console.error('Failed to send message:', error);
-      this.showError('Failed to send message');
+      this.showError(error.code === 'KEY_NOT_READY' ? error.message : 'Failed to send message');
+    }
+  }
+
+  async handleAttachmentSelected(file) {
+    // Files aren't encrypted, they would give away what the DM is about
+    if (this.dmEncryption.isEnabled(this.currentChannel)) {
+      this.showError('Files can not be sent in encrypted DMs');
+      return;
     }
+
+    const maxBytes = this.channelManager.maxAttachmentBytes;
+    if (file.size > maxBytes) {
+      this.showError(`${file.name} is larger than the ${formatSize(maxBytes)} limit`);
+      return;
+    }
+
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      await this.channelManager.sendAttachment(this.currentChannel, this.username, {
+        name: file.name,
+        type: file.type,
+        bytes,
+      });
+    } catch (error) {
+      console.error('Failed to send attachment:', error);
+      const known = error.code === 'ATTACHMENT_TOO_LARGE' || error.code === 'ATTACHMENT_EMPTY';
+      this.showError(known ? error.message : 'Failed to send file');
+    }
+  }
+
+  /**
+   * Send a typing event for the current channel, throttled, while input
+   * holds something
+   */
+  notifyTyping(input) {
+    const channelName = this.currentChannel;
+    if (!this.username || !input.value.trim() || !this.typingIndicators.shouldSend(channelName)) {
+      return;
+    }
+
+    this.channelManager.sendTyping(channelName, this.username).catch(error => {
+      console.log('[DEBUG] Failed to send typing event:', error);
+    });
+  }
+
+  renderTypingIndicator() {
+    if (!this.typingIndicator) {
+      return;
+    }
+
+    const typists = this.typingIndicators.getTypists(this.currentChannel);
+    let text = '';
+    if (typists.length === 1) {
+      text = `${typists[0]} is typing…`;
+    } else if (typists.length === 2) {
+      text = `${typists[0]} and ${typists[1]} are typing…`;
+    } else if (typists.length > 2) {
+      text = 'Several people are typing…';
+    }
+    this.typingIndicator.textContent = text;
   }
 
   async switchChannel(channelName) {
-    // Don't allow switching to user notification channels
-    if (channelName.startsWith('user-notifications-')) {
+    // Don't allow switching to user notification channels, the directory or member lists
+    if (channelName.startsWith('user-notifications-') || ['directory', 'members'].includes(getStreamKind(channelName))) {
       return;
     }
 
@@ -269,6 +736,12 @@ class ChatUIManager {
       return;
     }
 
+    // Private channels check the member list first
+    if (isPrivateChannel(channelName) && !this.subscribedChannels.has(channelName)
+      && !(await this.joinPrivateChannel(channelName))) {
+      return;
+    }
+
     // Subscribe to new channel (both regular channels and DMs need to be created in channel manager)
     const isDM = this.isDMChannel(channelName);
 
@@ -284,16 +757,19 @@ class ChatUIManager {
     }
 
     // Update current channel and UI
+    this.closeThreadPanel();
     this.currentChannel = channelName;
+    this.viewOpenedAt = Date.now();
     this.updateChannelUI(channelName);
+    this.renderTypingIndicator();
 
     // Clear current messages and load buffered messages for this channel
     this.clearMessages();
+    this.renderLoadOlderControl(channelName);
     this.loadBufferedMessages(channelName);
 
-    // Reset unread count for this channel
-    this.unreadCounts.set(channelName, 0);
-    this.updateUnreadIndicator(channelName);
+    // Everything shown now counts as read
+    this.markChannelRead(channelName);
   }
 
   updateChannelUI(channelName) {
@@ -314,19 +790,250 @@ class ChatUIManager {
     // Update channel name in header
     if (isDM) {
       const dmUsername = this.getDMUsernameFromChannel(channelName);
-      this.currentChannelName.textContent = `@ ${dmUsername}`;
+      const lock = this.dmEncryption.isEnabled(channelName) ? '🔒 ' : '';
+      this.currentChannelName.textContent = `${lock}@ ${dmUsername}`;
+    } else if (isPrivateChannel(channelName)) {
+      this.currentChannelName.textContent = `🔒 ${this.getChannelLabel(channelName)}`;
     } else {
       this.currentChannelName.textContent = `# ${channelName}`;
     }
 
+    this.updateChannelTopic();
+    if (this.membersBtn) {
+      this.membersBtn.hidden = !isPrivateChannel(channelName);
+    }
+    this.updateEncryptionState();
+
     // Always show global active users (for both channels and DMs)
     this.updateUserCount();
     this.updateUsersList();
   }
 
+  /**
+   * The current channel's topic from the directory, DMs and private channels have none
+   */
+  updateChannelTopic() {
+    if (!this.channelTopic) {
+      return;
+    }
+
+    const isListed = getStreamKind(this.currentChannel) === 'channel';
+    this.channelTopic.textContent = isListed ? this.channelDirectory.get(this.currentChannel)?.topic || '' : '';
+    this.editTopicBtn.hidden = !isListed || !this.channelDirectory.canSetTopic(this.currentChannel, this.username);
+  }
+
+  async editTopic() {
+    const channelName = this.currentChannel;
+    const current = this.channelDirectory.get(channelName)?.topic || '';
+    const topic = window.prompt(`Topic for #${channelName}`, current);
+    if (topic === null || topic.trim() === current) {
+      return;
+    }
+    if (topic.trim().length > MAX_TOPIC_LENGTH) {
+      this.showError(`Topics can be at most ${MAX_TOPIC_LENGTH} characters`);
+      return;
+    }
+
+    try {
+      await this.channelManager.publishDirectoryEvent(channelName, this.username, 'topic', topic.trim());
+    } catch (error) {
+      console.error('Failed to set topic:', error);
+      this.showError('Failed to set topic');
+    }
+  }
+
+  /**
+   * Keep a directory announcement, the catalog and the topic shown follow it
+   */
+  handleDirectoryMessage(message) {
+    if (message.type !== 'directory') {
+      return;
+    }
+
+    this.channelDirectory.record(message);
+    if (message.channel === this.currentChannel) {
+      this.updateChannelTopic();
+    }
+    if (this.isDirectoryOpen()) {
+      this.renderDirectory();
+    }
+  }
+
+  isDirectoryOpen() {
+    return this.directoryModal?.style.display === 'flex';
+  }
+
+  openDirectory() {
+    this.directorySearch.value = '';
+    this.renderDirectory();
+    this.directoryModal.style.display = 'flex';
+    this.directorySearch.focus();
+  }
+
+  closeDirectory() {
+    this.directoryModal.style.display = 'none';
+  }
+
+  renderDirectory() {
+    const channels = this.channelDirectory.search(this.directorySearch.value);
+    if (channels.length === 0) {
+      this.directoryList.innerHTML = '<li class="directory-empty">No channels found</li>';
+      return;
+    }
+
+    this.directoryList.innerHTML = channels.map(({ name, topic, memberCount }) => `
+      <li class="directory-item" data-channel="${this.escapeHtml(name)}">
+        <div class="directory-info">
+          <div class="directory-name"># ${this.escapeHtml(name)}</div>
+          ${topic ? `<div class="directory-topic">${this.escapeHtml(topic)}</div>` : ''}
+          <div class="directory-members">${memberCount === 1 ? '1 member' : `${memberCount} members`}</div>
+        </div>
+        ${this.subscribedChannels.has(name)
+          ? '<span class="directory-joined">Joined</span>'
+          : '<button class="directory-join-btn" type="button">Join</button>'}
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Keep a member list change of a private channel. Being removed, after
+   * joining, leaves the channel.
+   */
+  handleMembershipMessage(channelName, message) {
+    // Only the channel's own members stream speaks for it
+    if (message.type !== 'membership' || message.channel !== channelName) {
+      return;
+    }
+
+    this.channelMembership.record(message);
+    if (this.isMembersOpen() && channelName === this.currentChannel) {
+      this.renderMembers();
+    }
+
+    const joinedAt = this.privateJoinTimes.get(channelName);
+    if (message.action === 'remove' && message.member === this.username && joinedAt !== undefined
+      && Date.parse(message.timestamp) >= joinedAt && !this.channelMembership.isMember(channelName, this.username)) {
+      this.privateJoinTimes.delete(channelName);
+      if (message.username !== this.username) {
+        this.showError(`You were removed from ${this.getChannelLabel(channelName)}`);
+      }
+      this.leaveChannel(channelName);
+    }
+  }
+
+  isMembersOpen() {
+    return this.membersModal?.style.display === 'flex';
+  }
+
+  openMembers() {
+    this.inviteInput.value = '';
+    this.renderMembers();
+    this.membersModal.style.display = 'flex';
+  }
+
+  closeMembers() {
+    this.membersModal.style.display = 'none';
+  }
+
+  /**
+   * Members of the current private channel, and for its creator and
+   * moderators the join requests and the invite form
+   */
+  renderMembers() {
+    const channelName = this.currentChannel;
+    const creator = this.channelMembership.getCreator(channelName);
+    const canManage = this.channelMembership.canManage(channelName, this.username);
+
+    this.membersTitle.textContent = `Members of 🔒 ${this.getChannelLabel(channelName)}`;
+    this.inviteForm.hidden = !canManage;
+
+    const requests = canManage ? this.channelMembership.getRequests(channelName) : [];
+    const items = [
+      ...requests.map(username =>
+        this.createMemberItem(username, 'Asked to join', { action: 'approve', label: 'Let in' })
+      ),
+      ...this.channelMembership.getMembers(channelName).map(username =>
+        this.createMemberItem(
+          username,
+          username === creator ? 'Creator' : null,
+          canManage && username !== creator ? { action: 'remove', label: 'Remove' } : null
+        )
+      ),
+    ];
+    this.membersList.replaceChildren(...items);
+  }
+
+  /**
+   * One entry of the members dialog, usernames come from other users' messages
+   * so they only go in as text
+   */
+  createMemberItem(username, note, button) {
+    const item = document.createElement('li');
+    item.className = 'directory-item';
+    item.dataset.member = username;
+
+    const info = document.createElement('div');
+    info.className = 'directory-info';
+    const name = document.createElement('div');
+    name.className = 'directory-name';
+    name.textContent = username;
+    info.appendChild(name);
+    if (note) {
+      const noteElement = document.createElement('div');
+      noteElement.className = 'directory-members';
+      noteElement.textContent = note;
+      info.appendChild(noteElement);
+    }
+    item.appendChild(info);
+
+    if (button) {
+      const actionButton = document.createElement('button');
+      actionButton.className = 'member-action-btn';
+      actionButton.type = 'button';
+      actionButton.dataset.action = button.action;
+      actionButton.textContent = button.label;
+      item.appendChild(actionButton);
+    }
+    return item;
+  }
+
+  /**
+   * Add username to the current private channel, they hear about it in their notifications
+   */
+  async inviteMember(username) {
+    const channelName = this.currentChannel;
+    if (!username || this.channelMembership.isMember(channelName, username)) {
+      return;
+    }
+
+    try {
+      await this.channelManager.inviteToChannel(channelName, this.username, username);
+      this.inviteInput.value = '';
+    } catch (error) {
+      console.error('Failed to invite:', error);
+      this.showError(`Failed to invite ${username}`);
+    }
+  }
+
+  async removeMember(username) {
+    try {
+      await this.channelManager.publishMembershipEvent(this.currentChannel, this.username, 'remove', username);
+    } catch (error) {
+      console.error('Failed to remove member:', error);
+      this.showError(`Failed to remove ${username}`);
+    }
+  }
+
+  /**
+   * Name shown for a channel, private channels without their stream prefix
+   */
+  getChannelLabel(channelName) {
+    return isPrivateChannel(channelName) ? channelName.slice(PRIVATE_PREFIX.length) : channelName;
+  }
+
   addChannelToUI(channelName) {
-    // Hide user notification channels from UI
-    if (channelName.startsWith('user-notifications-')) {
+    // Hide user notification channels, the directory and member lists from UI
+    if (channelName.startsWith('user-notifications-') || ['directory', 'members'].includes(getStreamKind(channelName))) {
       return;
     }
 
@@ -336,27 +1043,26 @@ class ChatUIManager {
     }
 
     // Check if channel already exists in UI
-    if (document.querySelector(`[data-channel="${channelName}"]`)) {
+    if (document.querySelector(`[data-channel="${CSS.escape(channelName)}"]`)) {
       return;
     }
 
     const channelItem = document.createElement('div');
     channelItem.className = 'channel-item';
     channelItem.dataset.channel = channelName;
+    channelItem.innerHTML = `
+      <span class="channel-hash">${isPrivateChannel(channelName) ? '🔒' : '#'}</span>
+      <span class="channel-name"></span>
+    `;
+    // Names come from other users' invitations too, never as markup
+    channelItem.querySelector('.channel-name').textContent = this.getChannelLabel(channelName);
 
-    if (channelName === this.defaultChannel) {
-      // Default channel without leave button
-      channelItem.innerHTML = `
-        <span class="channel-hash">#</span>
-        <span class="channel-name">${channelName}</span>
-      `;
-    } else {
-      // Other channels with leave button
-      channelItem.innerHTML = `
-        <span class="channel-hash">#</span>
-        <span class="channel-name">${channelName}</span>
-        <button class="channel-leave-btn" type="button" title="Leave channel">×</button>
-      `;
+    // The default channel has no leave button
+    if (channelName !== this.defaultChannel) {
+      channelItem.insertAdjacentHTML(
+        'beforeend',
+        '<button class="channel-leave-btn" type="button" title="Leave channel">×</button>'
+      );
 
       // Add event listener for leave button
       const leaveBtn = channelItem.querySelector('.channel-leave-btn');
@@ -369,14 +1075,52 @@ class ChatUIManager {
     this.channelList.appendChild(channelItem);
   }
 
-  handleMessageReceived({ channelName, message }) {
+  handleMessageReceived({ channelName, message, offset }) {
     // Don't display messages from user notification channels
     if (channelName.startsWith('user-notifications-')) {
       return;
     }
 
-    // Track active users based on message activity
-    this.updateActiveUsers(channelName, message);
+    if (channelName === DIRECTORY_STREAM) {
+      this.handleDirectoryMessage(message);
+      return;
+    }
+
+    if (getStreamKind(channelName) === 'members') {
+      this.handleMembershipMessage(getMembersChannel(channelName), message);
+      return;
+    }
+
+    const oldestOffset = this.oldestOffsets.get(channelName);
+    if (typeof offset === 'number' && (oldestOffset === undefined || offset < oldestOffset)) {
+      this.oldestOffsets.set(channelName, offset);
+    }
+    if (typeof offset === 'number' && message.id) {
+      this.messageOffsets.set(message.id, offset);
+    }
+
+    // Our own queued or failed message made it to the stream, drop the local copy
+    this.removeLocalMessage(message.id);
+
+    // Edits, deletes, reactions and receipts change the message they refer to instead of showing up themselves
+    if (this.recordMessageEvent(message)) {
+      if (message.type === 'reaction') {
+        this.updateReactions(channelName, message.target);
+      } else if (message.type === 'receipt') {
+        this.updateSeenIndicator(channelName);
+      } else if (isEditEvent(message)) {
+        this.refreshMessage(channelName, message.target);
+      }
+      return;
+    }
+
+    // Their message is in, whatever they were typing has been sent
+    if (message.type === 'message') {
+      this.typingIndicators.clear(channelName, message.username);
+    }
+
+    // A DM from someone new adds them to the DM list
+    this.updateDirectMessages(channelName, message);
 
     // Initialize message buffer for this channel if it doesn't exist
     if (!this.messageBuffers.has(channelName)) {
@@ -389,23 +1133,330 @@ class ChatUIManager {
     // Add message to buffer
     this.messageBuffers.get(channelName).push(message);
 
-    // If this is the active channel, display the message immediately and don't increment unread count
-    if (channelName === this.currentChannel) {
-      this.displayMessage(message);
-    } else {
-      // If not the active channel, increment unread count and update UI indicator
-      this.unreadCounts.set(channelName, this.unreadCounts.get(channelName) + 1);
-      this.updateUnreadIndicator(channelName);
+    // Replies show in their thread, the message list only shows how many there are
+    if (message.parentId) {
+      this.handleThreadReply(channelName, message);
+      return;
     }
-  }
 
-  displayMessage(message) {
-    // Filter out join/leave system messages in DM channels
+    const unread = this.isUnread(channelName, message);
+
+    // If this is the active channel, display the message immediately
+    if (channelName === this.currentChannel) {
+      // Unread messages sent before the channel was opened (replayed after a reload),
+      // or while the tab is hidden, start the "New messages" section
+      if (unread && (document.hidden || Date.parse(message.timestamp) < this.viewOpenedAt)) {
+        this.showUnreadDivider();
+      }
+      this.displayMessage(message);
+
+      if (!document.hidden) {
+        this.markChannelRead(channelName);
+        return;
+      }
+    }
+
+    // Otherwise count it if it's past the read marker, replayed history isn't
+    if (unread) {
+      this.unreadCounts.set(channelName, this.unreadCounts.get(channelName) + 1);
+      this.updateUnreadIndicator(channelName);
+    }
+  }
+
+  /**
+   * Chat messages from others past the channel's read marker
+   */
+  isUnread(channelName, message) {
+    return message.type !== 'system'
+      && !message.parentId
+      && message.username !== this.username
+      && this.readMarkers.isAfter(channelName, message, this.messageOffsets.get(message.id));
+  }
+
+  /**
+   * Move the read marker to the newest message in the channel
+   */
+  markChannelRead(channelName) {
+    // Replies are read in their thread
+    const buffer = (this.messageBuffers.get(channelName) || []).filter(message => !message.parentId);
+    const latest = buffer[buffer.length - 1];
+    if (latest) {
+      this.readMarkers.markRead(channelName, latest, this.messageOffsets.get(latest.id));
+    }
+
+    this.unreadCounts.set(channelName, 0);
+    this.updateUnreadIndicator(channelName);
+    this.sendReadReceipt(channelName);
+  }
+
+  /**
+   * Tell a DM peer we've read their latest message, while the conversation
+   * is on screen in the focused window
+   */
+  sendReadReceipt(channelName) {
+    if (!this.isDMChannel(channelName) || channelName !== this.currentChannel
+      || document.hidden || !document.hasFocus()) {
+      return;
+    }
+
+    const buffer = (this.messageBuffers.get(channelName) || []).filter(message => !message.parentId);
+    const latest = buffer[buffer.length - 1];
+    // Our own messages need no receipt, the peer knows we've seen them
+    if (!latest || latest.type !== 'message' || latest.username === this.username) {
+      return;
+    }
+    if (this.sentReceipts.get(channelName) === latest.id
+      || this.readReceipts.getReadUpTo(channelName, this.username) === latest.id) {
+      return;
+    }
+
+    this.sentReceipts.set(channelName, latest.id);
+    this.channelManager.sendReadReceipt(channelName, this.username, latest.id).catch(error => {
+      console.error('Failed to send read receipt:', error);
+      this.sentReceipts.delete(channelName);
+    });
+  }
+
+  /**
+   * Our latest message in a DM the peer has read, either by their receipt
+   * or because they wrote something after it
+   */
+  getSeenMessageId(channelName) {
+    const peer = this.getDMUsernameFromChannel(channelName);
+    const readUpTo = this.readReceipts.getReadUpTo(channelName, peer);
+    const buffer = (this.messageBuffers.get(channelName) || []).filter(message => message.type === 'message' && !message.parentId);
+
+    let read = buffer.length - 1;
+    while (read >= 0 && buffer[read].id !== readUpTo && buffer[read].username !== peer) {
+      read--;
+    }
+    for (let i = read; i >= 0; i--) {
+      if (buffer[i].username === this.username) {
+        return buffer[i].id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Put "Seen" under the last of our messages the DM peer has read
+   */
+  updateSeenIndicator(channelName) {
+    if (channelName !== this.currentChannel || !this.isDMChannel(channelName)) {
+      return;
+    }
+
+    const seenId = this.getSeenMessageId(channelName);
+    const current = this.messagesContainer.querySelector('.message-seen');
+    if (current?.closest('.message')?.dataset.messageId === seenId) {
+      return;
+    }
+
+    current?.remove();
+    const element = seenId && this.messagesContainer.querySelector(`.message[data-message-id="${CSS.escape(seenId)}"]`);
+    if (element) {
+      element.insertAdjacentHTML('beforeend', '<div class="message-seen">Seen</div>');
+    }
+  }
+
+  /**
+   * Recount unread messages after another tab moved the read markers
+   */
+  refreshUnreadCounts() {
+    for (const [channelName, buffer] of this.messageBuffers) {
+      if (channelName === this.currentChannel && !document.hidden) {
+        continue;
+      }
+
+      this.unreadCounts.set(channelName, buffer.filter(message => this.isUnread(channelName, message)).length);
+      this.updateUnreadIndicator(channelName);
+    }
+    this.updateThreadSummaries(this.currentChannel);
+  }
+
+  /**
+   * Add the "New messages" divider below what's on screen, once per channel view,
+   * with a button to jump to it
+   */
+  showUnreadDivider() {
+    if (this.messagesContainer.querySelector('.unread-divider')) {
+      return;
+    }
+
+    const divider = document.createElement('div');
+    divider.className = 'unread-divider';
+    divider.innerHTML = '<span>New messages</span>';
+    this.messagesContainer.appendChild(divider);
+
+    const jumpButton = document.createElement('button');
+    jumpButton.className = 'jump-to-unread-btn';
+    jumpButton.type = 'button';
+    jumpButton.textContent = 'Jump to first unread';
+    this.messagesContainer.prepend(jumpButton);
+  }
+
+  jumpToFirstUnread() {
+    const divider = this.messagesContainer.querySelector('.unread-divider');
+    if (divider) {
+      divider.scrollIntoView({ block: 'start' });
+    }
+    this.messagesContainer.querySelector('.jump-to-unread-btn')?.remove();
+  }
+
+  /**
+   * The jump button goes away once the divider has been scrolled into view
+   */
+  updateJumpToUnread() {
+    const jumpButton = this.messagesContainer.querySelector('.jump-to-unread-btn');
+    const divider = this.messagesContainer.querySelector('.unread-divider');
+    if (!jumpButton || !divider) {
+      return;
+    }
+
+    const dividerTop = divider.getBoundingClientRect().top;
+    const { top, bottom } = this.messagesContainer.getBoundingClientRect();
+    if (dividerTop >= top && dividerTop <= bottom) {
+      jumpButton.remove();
+    }
+  }
+
+  handleDeliveryStatus({ channelName, message }, status) {
+    // Only chat messages get a delivery indicator, system and DM notifications don't
+    if (message.type !== 'message') {
+      return;
+    }
+
+    this.deliveryStatus.set(message.id, status);
+
+    if (channelName !== this.currentChannel) {
+      return;
+    }
+
+    // Queued and failed messages are not on the stream, so render a local copy
+    if (status === 'pending' || status === 'failed') {
+      this.removeLocalMessage(message.id);
+      if (!message.parentId) {
+        this.displayMessage(message);
+      } else if (this.isThreadOpen(channelName, message.parentId)) {
+        this.displayThreadMessage(message);
+      }
+    } else {
+      this.updateDeliveryIndicator(message.id);
+    }
+  }
+
+  /**
+   * Local copies of the channel's messages that aren't on the stream, or of
+   * the replies to parentId
+   */
+  displayQueuedMessages(channelName, parentId = null) {
+    const display = parentId
+      ? message => this.displayThreadMessage(message)
+      : message => this.displayMessage(message);
+    const isShown = message => message.type === 'message' && (message.parentId || null) === parentId;
+
+    this.channelManager.getQueuedMessages(channelName)
+      .filter(isShown)
+      .forEach(message => {
+        this.deliveryStatus.set(message.id, 'pending');
+        display(message);
+      });
+
+    this.channelManager.getFailedMessages(channelName)
+      .filter(isShown)
+      .forEach(message => {
+        this.deliveryStatus.set(message.id, 'failed');
+        display(message);
+      });
+  }
+
+  removeLocalMessage(messageId) {
+    if (!messageId) {
+      return;
+    }
+
+    this.getMessageElements(messageId)
+      .filter(element => element.matches('.pending, .failed'))
+      .forEach(element => element.remove());
+  }
+
+  async retryMessage(messageId) {
+    this.removeLocalMessage(messageId);
+    this.deliveryStatus.delete(messageId);
+
+    try {
+      await this.channelManager.retryMessage(messageId);
+    } catch (error) {
+      console.error('Failed to retry message:', error);
+      this.showError('Failed to resend message');
+    }
+  }
+
+  renderDeliveryStatus(status) {
+    const labels = {
+      pending: 'Pending',
+      sent: 'Sending…',
+      confirmed: 'Delivered',
+      failed: 'Not delivered',
+    };
+
+    if (!labels[status]) {
+      return '';
+    }
+
+    const retryButton = status === 'failed'
+      ? '<button class="message-retry-btn" type="button">Retry</button>'
+      : '';
+    return `<span class="message-status ${status}">${labels[status]}</span>${retryButton}`;
+  }
+
+  updateDeliveryIndicator(messageId) {
+    for (const messageElement of this.getMessageElements(messageId)) {
+      const delivery = messageElement.querySelector('.message-delivery');
+      if (delivery) {
+        delivery.innerHTML = this.renderDeliveryStatus(this.deliveryStatus.get(messageId));
+      }
+    }
+  }
+
+  /**
+   * A message's elements, in the message list and in the thread panel
+   */
+  getMessageElements(messageId) {
+    const selector = `.message[data-message-id="${CSS.escape(messageId)}"]`;
+    return [this.messagesContainer, this.threadMessages]
+      .filter(Boolean)
+      .flatMap(container => Array.from(container.querySelectorAll(selector)));
+  }
+
+  displayMessage(message) {
+    const messageElement = this.createMessageElement(message);
+    if (!messageElement) {
+      return;
+    }
+
+    // Remove welcome message if it exists
+    const welcomeMessage = this.messagesContainer.querySelector('.welcome-message');
+    if (welcomeMessage) {
+      welcomeMessage.remove();
+    }
+
+    this.messagesContainer.appendChild(messageElement);
+    this.updateSeenIndicator(this.currentChannel);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Build the element for a message, null for messages that aren't shown.
+   * In the thread panel messages have no reply count or reply button.
+   */
+  createMessageElement(message, { inThread = false } = {}) {
+    // Filter out join/leave system messages in DM channels
     if (message.type === 'system' && this.isDMChannel(this.currentChannel)) {
       const content = message.content;
       // Don't show join/leave messages in DMs
       if (content.includes(' joined the channel') || content.includes(' left the channel')) {
-        return;
+        return null;
       }
     }
 
@@ -415,24 +1466,623 @@ class ChatUIManager {
       messageElement.className = 'system-message';
       messageElement.textContent = message.content;
     } else {
-      messageElement.className = 'message';
+      const status = message.id ? this.deliveryStatus.get(message.id) : undefined;
+      const isLocal = status === 'pending' || status === 'failed';
+      const shown = this.messageEdits.apply(message);
+      messageElement.className = isLocal ? `message ${status}` : 'message';
+      if (message.id) {
+        messageElement.dataset.messageId = message.id;
+      }
+
+      // Only messages that are on the stream can be referred to
+      const onStream = !isLocal && !shown.deleted && message.id;
+      const canReply = onStream && !inThread && !message.parentId;
+      const actions = onStream && (canReply || this.canModify(message))
+        ? `<span class="message-actions">
+            ${canReply ? '<button class="message-reply-btn" type="button">Reply</button>' : ''}
+            ${this.canModify(message) ? `
+              ${message.attachment || message.encrypted ? '' : '<button class="message-edit-btn" type="button">Edit</button>'}
+              <button class="message-delete-btn" type="button">Delete</button>
+            ` : ''}
+          </span>`
+        : '';
+      let content = `<div class="message-content">${this.escapeHtml(shown.content)}</div>`;
+      if (shown.deleted) {
+        content = '<div class="message-content message-deleted">message deleted</div>';
+      } else if (message.attachment) {
+        content = `<div class="message-content message-attachment">${this.renderAttachment(message)}</div>`;
+      } else if (message.encrypted) {
+        content = this.renderEncryptedContent(message);
+      }
+      const hasReactions = !isLocal && !shown.deleted && message.id;
+
       messageElement.innerHTML = `
         <div class="message-header">
           <span class="message-author">${this.escapeHtml(message.username)}</span>
           <span class="message-timestamp">${this.formatTimestamp(message.timestamp)}</span>
+          ${message.encrypted ? '<span class="message-lock" title="End-to-end encrypted">🔒</span>' : ''}
+          ${shown.edited ? '<span class="message-edited">(edited)</span>' : ''}
+          <span class="message-delivery">${this.renderDeliveryStatus(status)}</span>
+          ${actions}
         </div>
-        <div class="message-content">${this.escapeHtml(message.content)}</div>
+        ${content}
+        ${hasReactions ? '<div class="message-reactions"></div>' : ''}
+        ${!inThread && message.id ? `<div class="message-thread">${this.renderThreadSummary(message.id)}</div>` : ''}
       `;
+      if (hasReactions) {
+        this.renderReactions(message.id, messageElement.querySelector('.message-reactions'));
+      }
     }
 
-    // Remove welcome message if it exists
-    const welcomeMessage = this.messagesContainer.querySelector('.welcome-message');
-    if (welcomeMessage) {
-      welcomeMessage.remove();
+    return messageElement;
+  }
+
+  /**
+   * Keep edits, deletes, reactions, read receipts and attachment chunks,
+   * which refer to another message instead of being shown. Returns whether
+   * message was one of them.
+   */
+  recordMessageEvent(message) {
+    if (isEditEvent(message)) {
+      this.messageEdits.record(message);
+      return true;
+    }
+    if (message.type === 'reaction') {
+      this.messageReactions.record(message);
+      return true;
+    }
+    if (message.type === 'receipt') {
+      this.readReceipts.record(message);
+      return true;
+    }
+    if (message.type === 'attachment-chunk') {
+      this.attachmentAssembler.addChunk(message);
+      return true;
     }
+    if (message.attachment) {
+      this.attachmentAssembler.expect(message);
+    }
+    return false;
+  }
 
-    this.messagesContainer.appendChild(messageElement);
-    this.scrollToBottom();
+  /**
+   * Inline preview of a received image, a download link for other files,
+   * otherwise how far receiving the file got
+   */
+  renderAttachment({ id, attachment }) {
+    const state = this.attachmentAssembler.getState(id);
+    const name = this.escapeHtml(attachment.name);
+    const nameAttribute = name.replace(/"/g, '&quot;');
+    const size = `<span class="attachment-size">${formatSize(attachment.size)}</span>`;
+    const url = state?.status === 'complete' ? this.attachmentAssembler.getUrl(id) : null;
+
+    if (url && attachment.mimeType.startsWith('image/')) {
+      return `
+        <a class="attachment-preview" href="${url}" download="${nameAttribute}" title="${nameAttribute}">
+          <img class="attachment-image" src="${url}" alt="${nameAttribute}" />
+        </a>
+      `;
+    }
+    if (url) {
+      return `<a class="attachment-file" href="${url}" download="${nameAttribute}">📎 ${name} ${size}</a>`;
+    }
+
+    // Our own attachment before it is back from the stream has no state yet
+    const status = state?.status || 'sending';
+    const labels = {
+      sending: 'Sending…',
+      receiving: `Receiving ${state?.received} of ${attachment.chunks} parts…`,
+      verifying: 'Checking…',
+      incomplete: `Upload incomplete, ${state?.received} of ${attachment.chunks} parts arrived`,
+      corrupted: 'File is corrupted',
+      'too-large': `Larger than the ${formatSize(this.channelManager.maxAttachmentBytes)} limit`,
+    };
+    const failed = ['incomplete', 'corrupted', 'too-large'].includes(status);
+    return `
+      <span class="attachment-file${failed ? ' attachment-error' : ''}">
+        📎 ${name} ${size}
+        <span class="attachment-status">${labels[status]}</span>
+      </span>
+    `;
+  }
+
+  /**
+   * Content of an encrypted DM message, decrypted on first render
+   */
+  renderEncryptedContent(message) {
+    if (!this.decryptedContent.has(message.id)) {
+      this.decryptMessage(message);
+      return '<div class="message-content message-encrypted">Decrypting…</div>';
+    }
+
+    const content = this.decryptedContent.get(message.id);
+    return content === null
+      ? '<div class="message-content message-encrypted">🔒 This message can\'t be decrypted</div>'
+      : `<div class="message-content">${this.escapeHtml(content)}</div>`;
+  }
+
+  async decryptMessage(message) {
+    if (this.decrypting.has(message.id)) {
+      return;
+    }
+
+    this.decrypting.add(message.id);
+    const peer = this.getDMUsernameFromChannel(message.channel);
+    try {
+      this.decryptedContent.set(message.id, await this.dmEncryption.decrypt(message.channel, peer, message));
+    } catch (error) {
+      console.log('[DEBUG] Could not decrypt message', message.id, error.code);
+      this.decryptedContent.set(message.id, null);
+    } finally {
+      this.decrypting.delete(message.id);
+    }
+
+    for (const element of this.getMessageElements(message.id)) {
+      const content = element.querySelector('.message-content');
+      if (content && !content.matches('.message-deleted')) {
+        content.outerHTML = this.renderEncryptedContent(message);
+      }
+    }
+  }
+
+  /**
+   * Try again the messages of a DM that couldn't be decrypted, after its keys changed
+   */
+  retryDecryption(channelName) {
+    for (const message of this.messageBuffers.get(channelName) || []) {
+      if (message.encrypted && this.decryptedContent.get(message.id) === null) {
+        this.decryptedContent.delete(message.id);
+        this.decryptMessage(message);
+      }
+    }
+  }
+
+  updateAttachment(messageId) {
+    const state = this.attachmentAssembler.getState(messageId);
+    if (!state) {
+      return;
+    }
+
+    for (const element of this.getMessageElements(messageId)) {
+      const content = element.querySelector('.message-attachment');
+      if (content) {
+        content.innerHTML = this.renderAttachment({ id: messageId, attachment: state.attachment });
+      }
+    }
+  }
+
+  /**
+   * Reaction counts of a message, with a button opening the emoji choices
+   */
+  /**
+   * Fill the reaction bar of a message, emojis come from other users' messages
+   * so they only go in as text
+   */
+  renderReactions(messageId, bar) {
+    const chips = this.messageReactions.summarize(messageId, this.username).map(({ emoji, count, mine }) => {
+      const chip = this.createReactionButton(mine ? 'reaction-chip mine' : 'reaction-chip', emoji);
+      const countElement = document.createElement('span');
+      countElement.className = 'reaction-count';
+      countElement.textContent = count;
+      chip.append(' ', countElement);
+      return chip;
+    });
+
+    const addButton = document.createElement('button');
+    addButton.className = 'reaction-add-btn';
+    addButton.type = 'button';
+    addButton.title = 'Add reaction';
+    addButton.textContent = '+';
+
+    const picker = document.createElement('span');
+    picker.className = 'reaction-picker';
+    picker.append(...REACTION_EMOJIS.map(emoji => this.createReactionButton('reaction-option', emoji)));
+
+    bar.replaceChildren(...chips, addButton, picker);
+  }
+
+  createReactionButton(className, emoji) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.type = 'button';
+    button.dataset.emoji = emoji;
+    button.textContent = emoji;
+    return button;
+  }
+
+  updateReactions(channelName, messageId) {
+    if (channelName !== this.currentChannel) {
+      return;
+    }
+
+    for (const element of this.getMessageElements(messageId)) {
+      const bar = element.querySelector('.message-reactions');
+      if (bar) {
+        this.renderReactions(messageId, bar);
+      }
+    }
+  }
+
+  /**
+   * Add our reaction with emoji, or take it back if it's there
+   */
+  async toggleReaction(messageId, emoji) {
+    const channelName = this.currentChannel;
+    const action = this.messageReactions.hasReacted(messageId, emoji, this.username) ? 'remove' : 'add';
+    this.getMessageElements(messageId).forEach(element => {
+      element.querySelector('.message-reactions')?.classList.remove('picking');
+    });
+
+    try {
+      await this.channelManager.sendReaction(channelName, this.username, messageId, emoji, action);
+    } catch (error) {
+      console.error('Failed to send reaction:', error);
+      this.showError('Failed to send reaction');
+    }
+  }
+
+  canModify(message) {
+    return canModify(message, this.username, this.channelManager.isModerator(this.username));
+  }
+
+  findBufferedMessage(channelName, messageId) {
+    return (this.messageBuffers.get(channelName) || []).find(message => message.id === messageId) || null;
+  }
+
+  /**
+   * Render a message on screen again, after an edit or delete
+   */
+  refreshMessage(channelName, messageId) {
+    if (channelName !== this.currentChannel) {
+      return;
+    }
+
+    const message = this.findBufferedMessage(channelName, messageId);
+    if (!message) {
+      return;
+    }
+    for (const element of this.getMessageElements(messageId)) {
+      const inThread = !!element.closest('.thread-messages');
+      element.replaceWith(this.createMessageElement(message, { inThread }));
+    }
+    this.updateSeenIndicator(channelName);
+  }
+
+  /**
+   * Retry, edit, delete and reaction buttons on a message
+   */
+  handleMessageActionClick(e) {
+    const messageElement = e.target.closest('.message');
+    if (!messageElement) {
+      return;
+    }
+    const messageId = messageElement.dataset.messageId;
+
+    if (e.target.closest('.message-retry-btn')) {
+      this.retryMessage(messageId);
+    }
+
+    if (e.target.closest('.message-edit-btn')) {
+      this.startEditing(messageElement);
+    }
+
+    if (e.target.closest('.message-delete-btn')) {
+      this.deleteMessage(messageId);
+    }
+
+    if (e.target.closest('.reaction-add-btn')) {
+      e.target.closest('.message-reactions').classList.toggle('picking');
+    }
+
+    const reactionButton = e.target.closest('.reaction-chip, .reaction-option');
+    if (reactionButton) {
+      this.toggleReaction(messageId, reactionButton.dataset.emoji);
+    }
+  }
+
+  /**
+   * Enter saves an edit, Escape cancels it
+   */
+  handleEditKeydown(e) {
+    const input = e.target.closest('.message-edit-input');
+    if (!input) {
+      return;
+    }
+
+    const messageId = input.closest('.message').dataset.messageId;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this.saveEdit(messageId, input.value);
+    } else if (e.key === 'Escape') {
+      this.refreshMessage(this.currentChannel, messageId);
+    }
+  }
+
+  /**
+   * Swap the message's content for an input holding it
+   */
+  startEditing(element) {
+    const message = this.findBufferedMessage(this.currentChannel, element.dataset.messageId);
+    if (!message) {
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'message-edit-input';
+    input.maxLength = 1000;
+    input.value = this.messageEdits.apply(message).content;
+    element.querySelector('.message-content').replaceChildren(input);
+    input.focus();
+  }
+
+  async saveEdit(messageId, content) {
+    const channelName = this.currentChannel;
+    const message = this.findBufferedMessage(channelName, messageId);
+    const trimmed = content.trim();
+    if (!message || !trimmed || trimmed.length > 1000 || trimmed === this.messageEdits.apply(message).content) {
+      this.refreshMessage(channelName, messageId);
+      return;
+    }
+
+    try {
+      await this.channelManager.editMessage(channelName, this.username, message, trimmed);
+    } catch (error) {
+      console.error('Failed to edit message:', error);
+      this.showError('Failed to edit message');
+    }
+    // The edit shows once it comes back from the stream
+    this.refreshMessage(channelName, messageId);
+  }
+
+  async deleteMessage(messageId) {
+    const channelName = this.currentChannel;
+    const message = this.findBufferedMessage(channelName, messageId);
+    if (!message || !window.confirm('Delete this message?')) {
+      return;
+    }
+
+    try {
+      await this.channelManager.deleteMessage(channelName, this.username, message);
+    } catch (error) {
+      console.error('Failed to delete message:', error);
+      this.showError('Failed to delete message');
+    }
+  }
+
+  getReplies(channelName, parentId) {
+    return (this.messageBuffers.get(channelName) || []).filter(message => message.parentId === parentId);
+  }
+
+  getThreadMarkerKey(channelName, parentId) {
+    return `${channelName}/thread/${parentId}`;
+  }
+
+  /**
+   * Replies from others past the thread's read marker. Threads that were
+   * never opened go by the channel's marker, so old replies aren't new.
+   */
+  isThreadUnread(channelName, reply) {
+    const threadKey = this.getThreadMarkerKey(channelName, reply.parentId);
+    const key = this.readMarkers.get(threadKey) ? threadKey : channelName;
+    return reply.username !== this.username
+      && this.readMarkers.isAfter(key, reply, this.messageOffsets.get(reply.id));
+  }
+
+  isThreadOpen(channelName, parentId) {
+    return this.openThread?.channelName === channelName && this.openThread.parentId === parentId;
+  }
+
+  /**
+   * "3 replies · 2 new" under a message, empty when it has no replies
+   */
+  renderThreadSummary(parentId) {
+    const replies = this.getReplies(this.currentChannel, parentId);
+    if (replies.length === 0) {
+      return '';
+    }
+
+    const unread = replies.filter(reply => this.isThreadUnread(this.currentChannel, reply)).length;
+    const label = replies.length === 1 ? '1 reply' : `${replies.length} replies`;
+    return `
+      <button class="thread-summary-btn" type="button">
+        ${label}${unread > 0 ? `<span class="thread-unread">${unread} new</span>` : ''}
+      </button>
+    `;
+  }
+
+  updateThreadSummary(channelName, parentId) {
+    if (channelName !== this.currentChannel) {
+      return;
+    }
+
+    const element = this.messagesContainer.querySelector(`.message[data-message-id="${CSS.escape(parentId)}"] .message-thread`);
+    if (element) {
+      element.innerHTML = this.renderThreadSummary(parentId);
+    }
+  }
+
+  updateThreadSummaries(channelName) {
+    const parentIds = new Set(
+      (this.messageBuffers.get(channelName) || []).filter(message => message.parentId).map(message => message.parentId)
+    );
+    parentIds.forEach(parentId => this.updateThreadSummary(channelName, parentId));
+  }
+
+  handleThreadReply(channelName, reply) {
+    if (this.isThreadOpen(channelName, reply.parentId)) {
+      this.displayThreadMessage(reply);
+      if (!document.hidden) {
+        this.markThreadRead();
+      }
+    }
+    this.updateThreadSummary(channelName, reply.parentId);
+  }
+
+  /**
+   * Show a message and its replies in the side panel
+   */
+  openThreadPanel(parentId) {
+    const channelName = this.currentChannel;
+    const parent = this.findBufferedMessage(channelName, parentId);
+    if (!parent || !this.threadPanel) {
+      return;
+    }
+
+    this.openThread = { channelName, parentId };
+    this.threadMessages.innerHTML = '';
+    this.displayThreadMessage(parent);
+    this.getReplies(channelName, parentId).forEach(reply => this.displayThreadMessage(reply));
+    this.displayQueuedMessages(channelName, parentId);
+
+    this.threadPanel.hidden = false;
+    this.appMain?.classList.add('thread-open');
+    this.threadInput.focus();
+    this.markThreadRead();
+  }
+
+  closeThreadPanel() {
+    this.openThread = null;
+    if (this.threadPanel) {
+      this.threadPanel.hidden = true;
+      this.threadMessages.innerHTML = '';
+      this.appMain?.classList.remove('thread-open');
+    }
+  }
+
+  displayThreadMessage(message) {
+    const messageElement = this.createMessageElement(message, { inThread: true });
+    if (messageElement) {
+      this.threadMessages.appendChild(messageElement);
+      this.threadMessages.scrollTop = this.threadMessages.scrollHeight;
+    }
+  }
+
+  /**
+   * Move the open thread's read marker to its newest reply
+   */
+  markThreadRead() {
+    if (!this.openThread) {
+      return;
+    }
+
+    const { channelName, parentId } = this.openThread;
+    const replies = this.getReplies(channelName, parentId);
+    const latest = replies[replies.length - 1];
+    if (latest) {
+      this.readMarkers.markRead(
+        this.getThreadMarkerKey(channelName, parentId),
+        latest,
+        this.messageOffsets.get(latest.id)
+      );
+    }
+    this.updateThreadSummary(channelName, parentId);
+  }
+
+  async handleThreadReplySubmit() {
+    const content = this.threadInput.value.trim();
+    if (!this.openThread || !content || content.length > 1000) {
+      return;
+    }
+
+    const { channelName, parentId } = this.openThread;
+    try {
+      const [text, encrypted] = await this.encryptContent(channelName, content);
+      await this.channelManager.sendMessage(channelName, this.username, text, parentId, encrypted);
+      this.typingIndicators.resetThrottle(channelName);
+      this.threadInput.value = '';
+    } catch (error) {
+      console.error('Failed to send reply:', error);
+      this.showError(error.code === 'KEY_NOT_READY' ? error.message : 'Failed to send reply');
+    }
+  }
+
+  /**
+   * Put the "load older messages" control at the top of the message list,
+   * for transports that keep history
+   */
+  renderLoadOlderControl(channelName) {
+    this.messagesContainer.querySelector('.load-older')?.remove();
+    if (!this.channelManager.supportsHistory) {
+      return;
+    }
+
+    const control = document.createElement('div');
+    control.className = 'load-older';
+    control.innerHTML = this.historyExhausted.has(channelName)
+      ? '<span class="load-older-end">Beginning of the conversation</span>'
+      : '<button class="load-older-btn" type="button">Load older messages</button>';
+    this.messagesContainer.prepend(control);
+  }
+
+  async loadOlderMessages() {
+    const channelName = this.currentChannel;
+    const button = this.messagesContainer.querySelector('.load-older-btn');
+    if (!button || button.disabled) {
+      return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Loading…';
+
+    let page;
+    try {
+      page = await this.channelManager.loadOlderMessages(channelName, this.oldestOffsets.get(channelName) ?? null);
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+      this.showError('Failed to load older messages');
+      button.disabled = false;
+      button.textContent = 'Load older messages';
+      return;
+    }
+
+    const buffer = this.messageBuffers.get(channelName) || [];
+    const known = new Set(buffer.map(message => message.id));
+    const older = page.messages
+      .filter(message => !this.recordMessageEvent(message))
+      .filter(message => !known.has(message.id));
+
+    this.messageBuffers.set(channelName, [...older, ...buffer]);
+    if (typeof page.firstOffset === 'number') {
+      this.oldestOffsets.set(channelName, page.firstOffset);
+    }
+    if (!page.hasMore) {
+      this.historyExhausted.add(channelName);
+    }
+
+    // The user may have switched channels while the page was loading
+    if (channelName !== this.currentChannel) {
+      return;
+    }
+
+    this.prependMessages(older.filter(message => !message.parentId));
+    this.updateThreadSummaries(channelName);
+    this.updateSeenIndicator(channelName);
+    this.renderLoadOlderControl(channelName);
+  }
+
+  /**
+   * Insert older messages above the current ones, keeping what's on screen in place
+   */
+  prependMessages(messages) {
+    const elements = messages.map(message => this.createMessageElement(message)).filter(Boolean);
+    if (elements.length === 0) {
+      return;
+    }
+
+    this.messagesContainer.querySelector('.welcome-message')?.remove();
+
+    const { scrollHeight, scrollTop } = this.messagesContainer;
+    const control = this.messagesContainer.querySelector('.load-older');
+    if (control) {
+      control.after(...elements);
+    } else {
+      this.messagesContainer.prepend(...elements);
+    }
+    // Jump rather than smooth-scroll, the content should appear not to move
+    this.messagesContainer.style.scrollBehavior = 'auto';
+    this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight - scrollHeight + scrollTop;
+    this.messagesContainer.style.scrollBehavior = '';
   }
 
   clearMessages() {
@@ -443,9 +2093,16 @@ class ChatUIManager {
     this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
   }
 
-  updateConnectionStatus(status) {
+  onRetryNow(callback) {
+    this._retryNowCallback = callback;
+  }
+
+  updateConnectionStatus(status, { retryAt = null } = {}) {
     this.statusIndicator.className = `status-indicator ${status}`;
 
+    clearInterval(this.reconnectCountdown);
+    this.reconnectCountdown = null;
+
     const statusTexts = {
       connected: 'Connected',
       connecting: 'Connecting...',
@@ -453,16 +2110,36 @@ class ChatUIManager {
       error: 'Connection Error',
     };
 
-    this.statusText.textContent = statusTexts[status] || 'Unknown';
+    if (status === 'reconnecting' && retryAt) {
+      // Count down to the next attempt until the connection manager reports back
+      const updateCountdown = () => {
+        const seconds = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 0);
+        this.statusText.textContent = `Reconnecting in ${seconds}s`;
+      };
+      updateCountdown();
+      this.reconnectCountdown = setInterval(updateCountdown, 1000);
+    } else {
+      this.statusText.textContent = statusTexts[status] || 'Unknown';
+    }
+
+    if (this.retryNowBtn) {
+      this.retryNowBtn.style.display = status === 'reconnecting' ? 'inline-block' : 'none';
+    }
   }
 
   enableChatInterface() {
     this.messageInput.disabled = false;
+    if (this.attachButton) {
+      this.attachButton.disabled = false;
+    }
     this.updateSendButtonState();
   }
 
   disableChatInterface() {
     this.messageInput.disabled = true;
+    if (this.attachButton) {
+      this.attachButton.disabled = true;
+    }
     this.sendButton.disabled = true;
   }
 
@@ -499,6 +2176,52 @@ class ChatUIManager {
     }
   }
 
+  /**
+   * List the quarantined deliveries in the debug panel, newest first
+   */
+  renderQuarantine() {
+    if (!this.debugEnabled || !this.debugPanel) {
+      return;
+    }
+
+    const entries = this.channelManager.getQuarantine();
+    this.debugPanel.hidden = false;
+    this.quarantineCount.textContent = entries.length;
+    this.quarantineList.innerHTML = entries
+      .slice()
+      .reverse()
+      .map(entry => `
+        <li class="quarantine-entry">
+          <div class="quarantine-meta">
+            ${this.escapeHtml(entry.streamName)}${entry.offset !== null ? ` @ ${entry.offset}` : ''}
+            · ${this.formatTimestamp(entry.receivedAt)}
+          </div>
+          <div class="quarantine-reason">${this.escapeHtml(entry.reason)}</div>
+          <pre class="quarantine-body">${this.escapeHtml(entry.body)}</pre>
+        </li>
+      `)
+      .join('');
+  }
+
+  /**
+   * How many copies of messages were dropped, per stream
+   */
+  renderDuplicates() {
+    if (!this.debugEnabled || !this.duplicateList) {
+      return;
+    }
+
+    const counts = Object.entries(this.channelManager.getSuppressedDuplicates());
+    this.duplicateCount.textContent = counts.reduce((total, [, count]) => total + count, 0);
+    this.duplicateList.innerHTML = counts
+      .map(([streamName, count]) => `
+        <li class="quarantine-entry">
+          <div class="quarantine-meta">${this.escapeHtml(streamName)} · ${count}</div>
+        </li>
+      `)
+      .join('');
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -526,16 +2249,13 @@ class ChatUIManager {
       await this.channelManager.unsubscribeFromChannel(channelName, this.username);
       this.subscribedChannels.delete(channelName);
 
-      // Remove from active users
-      this.activeUsers.delete(channelName);
-
       // If we're currently in this channel, switch to default
       if (this.currentChannel === channelName) {
         await this.switchChannel(this.defaultChannel);
       }
 
       // Remove channel from UI
-      const channelItem = document.querySelector(`[data-channel="${channelName}"]`);
+      const channelItem = document.querySelector(`[data-channel="${CSS.escape(channelName)}"]`);
       if (channelItem) {
         channelItem.remove();
       }
@@ -610,6 +2330,178 @@ class ChatUIManager {
     return null;
   }
 
+  async loadEncryptionKeys() {
+    try {
+      await this.dmEncryption.load(this.username);
+    } catch (error) {
+      console.error('Failed to load the encryption keys:', error);
+    }
+  }
+
+  /**
+   * content as sent to channelName: in DMs with encryption on, the
+   * placeholder and the encrypted content. Throws with code KEY_NOT_READY
+   * when the other user's key is missing or has changed, nothing is sent
+   * in the clear then and the message stays in the input.
+   */
+  async encryptContent(channelName, content) {
+    if (!this.isDMChannel(channelName) || !this.dmEncryption.isEnabled(channelName)) {
+      return [content, null];
+    }
+
+    const peer = this.getDMUsernameFromChannel(channelName);
+    if (!this.dmEncryption.canEncrypt(peer)) {
+      const keyChanged = this.dmEncryption.hasChangedKey(peer);
+      // The key we sent may have expired from their notification stream
+      if (!keyChanged) {
+        await this.sendDMKey(peer);
+      }
+      const error = new Error(keyChanged
+        ? `Not sent, accept ${peer}'s new encryption key first`
+        : `Not sent, ${peer}'s encryption key hasn't arrived yet. Yours was sent to them again, `
+          + 'they have to be online once. Until then encryption can be turned off with the 🔒 button.');
+      error.code = 'KEY_NOT_READY';
+      throw error;
+    }
+    return [ENCRYPTED_PLACEHOLDER, await this.dmEncryption.encrypt(channelName, peer, content)];
+  }
+
+  async enableEncryption() {
+    const channelName = this.currentChannel;
+    const peer = this.getDMUsernameFromChannel(channelName);
+    if (!peer || !this.dmEncryption.isSupported) {
+      return;
+    }
+
+    this.dmEncryption.enable(channelName);
+    await this.sendDMKey(peer);
+    this.updateChannelUI(channelName);
+  }
+
+  /**
+   * Turns encryption on. While the other user's key hasn't arrived, sends
+   * ours again and offers to turn encryption back off.
+   */
+  async handleEncryptionClick() {
+    const channelName = this.currentChannel;
+    const peer = this.getDMUsernameFromChannel(channelName);
+    if (!peer) {
+      return;
+    }
+    if (!this.dmEncryption.isEnabled(channelName)) {
+      await this.enableEncryption();
+      return;
+    }
+
+    await this.sendDMKey(peer);
+    if (window.confirm(`${peer}'s encryption key hasn't arrived yet, yours was sent again. `
+      + 'Turn encryption off for this conversation?')) {
+      this.dmEncryption.disable(channelName, peer);
+      this.updateChannelUI(channelName);
+    }
+  }
+
+  async sendDMKey(peer) {
+    try {
+      await this.channelManager.sendDMKey(this.username, peer, this.dmEncryption.publicKey);
+      this.dmEncryption.markKeySent(peer);
+    } catch (error) {
+      console.error('Failed to send encryption key:', error);
+      this.showError(`Failed to send your encryption key to ${peer}`);
+    }
+  }
+
+  /**
+   * Someone sent us their key: encryption is on for the DM with them from
+   * now on. A key different from the one we have waits to be accepted.
+   */
+  async handleDMKey(notification) {
+    // Anyone can publish to our notifications, a key meant for someone else isn't one to encrypt with
+    if (!this.dmEncryption.isSupported || notification.to !== this.username) {
+      return;
+    }
+
+    const peer = notification.from;
+    const channelName = this.getDMChannelName(peer);
+    let status;
+    try {
+      status = await this.dmEncryption.recordKey(notification);
+    } catch (error) {
+      console.error(`Ignoring invalid encryption key from ${peer}:`, error);
+      return;
+    }
+    if (status === 'stale') {
+      return;
+    }
+
+    // A changed key is only used once it has been accepted, see acceptNewKey()
+    if (status !== 'changed') {
+      this.dmEncryption.enable(channelName);
+    }
+    if (status === 'trusted' || (status === 'same' && this.dmEncryption.needsToSendKey(peer))) {
+      await this.sendDMKey(peer);
+    }
+    if (status === 'trusted') {
+      this.retryDecryption(channelName);
+    }
+    if (channelName === this.currentChannel) {
+      this.updateChannelUI(channelName);
+    }
+  }
+
+  async acceptNewKey() {
+    const channelName = this.currentChannel;
+    const peer = this.getDMUsernameFromChannel(channelName);
+    await this.dmEncryption.acceptKey(peer);
+    this.dmEncryption.enable(channelName);
+
+    // They may have lost our key along with theirs
+    await this.sendDMKey(peer);
+    this.retryDecryption(channelName);
+    this.updateChannelUI(channelName);
+  }
+
+  /**
+   * Encryption button, key change warning and file button of the current DM
+   */
+  updateEncryptionState() {
+    if (!this.encryptionBtn) {
+      return;
+    }
+
+    const peer = this.getDMUsernameFromChannel(this.currentChannel);
+    const enabled = !!peer && this.dmEncryption.isEnabled(this.currentChannel);
+    const keyChanged = enabled && this.dmEncryption.hasChangedKey(peer);
+
+    this.encryptionBtn.hidden = !peer || !this.dmEncryption.isSupported;
+    // Can only be turned off until their key has arrived
+    this.encryptionBtn.disabled = enabled && (keyChanged || this.dmEncryption.canEncrypt(peer));
+    if (!enabled) {
+      this.encryptionBtn.textContent = '🔓 Encrypt';
+      this.encryptionBtn.title = 'Encrypt this conversation end-to-end';
+    } else if (this.dmEncryption.canEncrypt(peer)) {
+      this.encryptionBtn.textContent = '🔒 Encrypted';
+      this.encryptionBtn.title = `Compare these with ${peer} to make sure nobody is in between.\n`
+        + `Your key: ${formatFingerprint(this.dmEncryption.fingerprint)}\n`
+        + `${peer}'s key: ${formatFingerprint(this.dmEncryption.getPeerFingerprint(peer))}`;
+    } else {
+      this.encryptionBtn.textContent = keyChanged ? '⚠️ Key changed' : '🔒 Waiting for key…';
+      this.encryptionBtn.title = keyChanged ? '' : 'Send your key again or turn encryption off';
+    }
+
+    this.keyWarning.hidden = !keyChanged;
+    if (keyChanged) {
+      this.keyWarningText.textContent = `${peer}'s encryption key has changed `
+        + `(new key ${formatFingerprint(this.dmEncryption.getChangedFingerprint(peer))}). `
+        + 'That happens when they sign in from another browser, but could also mean someone '
+        + 'else is posing as them. Messages sent with the new key stay hidden until you accept it.';
+    }
+
+    if (this.attachButton) {
+      this.attachButton.hidden = enabled;
+    }
+  }
+
   getUsername() {
     return this.username;
   }
@@ -627,6 +2519,11 @@ class ChatUIManager {
   handleUserNotification(notification) {
     console.log('Processing user notification:', notification);
 
+    // Tabs share one connection, skip notifications meant for a user signed in elsewhere
+    if (notification.to && notification.to !== this.username) {
+      return;
+    }
+
     if (notification.type === 'dm-initiation') {
       // Someone is trying to start a DM with us
       const fromUsername = notification.from;
@@ -655,82 +2552,96 @@ class ChatUIManager {
       } else {
         console.log(`Already subscribed to DM channel: ${dmChannelName}`);
       }
+    } else if (notification.type === 'channel-invitation') {
+      // Someone says we were added to a private channel, its member list has the final say.
+      // List it without opening it.
+      if (!this.subscribedChannels.has(notification.channel)) {
+        this.joinPrivateChannel(notification.channel, { askToJoin: false, invited: true });
+      }
+    } else if (notification.type === 'dm-key') {
+      this.handleDMKey(notification);
     }
   }
 
-  updateActiveUsers(channelName, message) {
-    // Don't track users on user notification channels
-    if (channelName.startsWith('user-notifications-')) {
+  updateDirectMessages(channelName, message) {
+    if (!this.isDMChannel(channelName) || message.type !== 'message' || !message.username
+      || message.username === this.username) {
       return;
     }
 
-    // Handle DM channels differently
-    if (this.isDMChannel(channelName)) {
-      // For DM channels, automatically add the other user to DM list if not already there
-      if (message.type === 'message' && message.username && message.username !== this.username) {
-        const dmUsername = message.username;
-        if (!this.directMessages.has(dmUsername)) {
-          this.directMessages.add(dmUsername);
-          this.addDMToUI(dmUsername);
-        }
-
-        // Make sure we're subscribed to this DM channel
-        if (!this.subscribedChannels.has(channelName)) {
-          this.channelManager.subscribeToChannel(channelName, this.username)
-            .then(() => {
-              this.subscribedChannels.add(channelName);
-            })
-            .catch(error => {
-              console.error('Failed to subscribe to DM channel:', error);
-            });
-        }
-      }
-      // Still track users globally even for DM channels
+    const dmUsername = message.username;
+    if (!this.directMessages.has(dmUsername)) {
+      this.directMessages.add(dmUsername);
+      this.addDMToUI(dmUsername);
     }
 
-    // Handle system messages for join/leave events
-    if (message.type === 'system') {
-      const content = message.content;
+    // Make sure we're subscribed to this DM channel
+    if (!this.subscribedChannels.has(channelName)) {
+      this.channelManager.subscribeToChannel(channelName, this.username)
+        .then(() => {
+          this.subscribedChannels.add(channelName);
+        })
+        .catch(error => {
+          console.error('Failed to subscribe to DM channel:', error);
+        });
+    }
+  }
 
-      // Check if it's a "left the channel" message
-      const leftMatch = content.match(/^(.+) left the channel$/);
-      if (leftMatch) {
-        const username = leftMatch[1];
-        // Remove from global active users
-        this.activeUsers.delete(username);
-        // Update UI
-        this.updateUserCount();
-        this.updateUsersList();
-        return;
-      }
+  /**
+   * Start sending this session's heartbeats and following everyone else's
+   */
+  startPresence() {
+    if (this.presenceTimer) {
+      return;
+    }
 
-      // Check if it's a "joined the channel" message
-      const joinedMatch = content.match(/^(.+) joined the channel$/);
-      if (joinedMatch) {
-        const username = joinedMatch[1];
-        // Add to global active users
-        this.activeUsers.set(username, Date.now());
-        // Update UI
-        this.updateUserCount();
-        this.updateUsersList();
-        return;
-      }
+    this.channelManager.watchPresence().catch(error => {
+      console.error('Failed to watch presence:', error);
+    });
+    this.presenceTimer = setInterval(() => {
+      this.sendHeartbeat();
+      this.presence.sweep();
+    }, HEARTBEAT_INTERVAL);
+    this.sendHeartbeat();
+  }
 
-      // For other system messages, don't track users
+  /**
+   * Tell the others this session is gone, instead of letting it time out
+   */
+  stopPresence() {
+    if (!this.presenceTimer) {
       return;
     }
 
-    // Track users from regular messages globally
-    if (message.type === 'message' && message.username) {
-      this.activeUsers.set(message.username, Date.now());
-      // Update UI
-      this.updateUserCount();
-      this.updateUsersList();
+    clearInterval(this.presenceTimer);
+    this.presenceTimer = null;
+    this.sendHeartbeat('offline');
+  }
+
+  getPresenceStatus() {
+    return document.hidden || Date.now() - this.lastActivity > AWAY_AFTER ? 'away' : 'online';
+  }
+
+  /**
+   * Send a heartbeat right away when this session's status changed
+   */
+  updatePresence() {
+    if (this.presenceTimer && this.getPresenceStatus() !== this.sentStatus) {
+      this.sendHeartbeat();
     }
   }
 
+  sendHeartbeat(status = this.getPresenceStatus()) {
+    this.sentStatus = status;
+    // Our own heartbeats come back too, show ours without waiting for them
+    this.presence.record({ username: this.username, session: this.presenceSession, status });
+    return this.channelManager.sendPresence(this.username, status, this.presenceSession).catch(error => {
+      console.log('[DEBUG] Failed to send presence heartbeat:', error);
+    });
+  }
+
   updateUserCount() {
-    const userCount = this.activeUsers.size;
+    const userCount = this.presence.getUsers().length;
     const countText = userCount === 1 ? '1 user' : `${userCount} users`;
     this.userCount.textContent = countText;
   }
@@ -739,7 +2650,8 @@ class ChatUIManager {
     // Clear the current users list
     this.usersList.innerHTML = '';
 
-    if (this.activeUsers.size === 0) {
+    const users = this.presence.getUsers();
+    if (users.length === 0) {
       const emptyMessage = document.createElement('div');
       emptyMessage.className = 'users-empty';
       emptyMessage.textContent = 'No active users';
@@ -748,22 +2660,23 @@ class ChatUIManager {
     }
 
     // Sort users alphabetically, but put current user first
-    const sortedUsers = Array.from(this.activeUsers.keys()).sort((a, b) => {
+    const sortedUsers = users.sort(({ username: a }, { username: b }) => {
       if (a === this.username) return -1;
       if (b === this.username) return 1;
       return a.localeCompare(b);
     });
 
     // Create user items
-    sortedUsers.forEach(username => {
+    sortedUsers.forEach(({ username, status }) => {
       const userItem = document.createElement('div');
-      userItem.className = 'user-item';
+      userItem.className = `user-item ${status}`;
 
       if (username === this.username) {
         userItem.classList.add('current-user');
       }
 
       userItem.innerHTML = `
+        <span class="user-status" title="${status === 'online' ? 'Online' : 'Away'}"></span>
         <span class="user-avatar">@</span>
         <span class="user-name">${this.escapeHtml(username)}</span>
       `;
@@ -775,11 +2688,21 @@ class ChatUIManager {
   loadBufferedMessages(channelName) {
     const bufferedMessages = this.messageBuffers.get(channelName);
     if (bufferedMessages && bufferedMessages.length > 0) {
-      // Display all buffered messages for this channel
-      bufferedMessages.forEach(message => {
-        this.displayMessage(message);
-      });
+      // Display all buffered messages for this channel, the divider goes above the first unread
+      const firstUnread = bufferedMessages.find(message => this.isUnread(channelName, message));
+      bufferedMessages
+        .filter(message => !message.parentId)
+        .forEach(message => {
+          if (message === firstUnread) {
+            this.showUnreadDivider();
+          }
+          this.displayMessage(message);
+        });
     }
+
+    // Messages still in the outbox or refused by the broker go last,
+    // they haven't reached the stream
+    this.displayQueuedMessages(channelName);
   }
 
   updateUnreadIndicator(channelName) {
@@ -795,7 +2718,7 @@ class ChatUIManager {
       }
     } else {
       // Update channel item unread indicator
-      const channelItem = document.querySelector(`[data-channel="${channelName}"]`);
+      const channelItem = document.querySelector(`[data-channel="${CSS.escape(channelName)}"]`);
       if (channelItem) {
         this.updateItemUnreadIndicator(channelItem, unreadCount);
       }
@@ -0,0 +1,352 @@
+/**
+ * DM Encryption
+ * Opt-in end-to-end encryption of direct messages. Every user has an ECDH
+ * (P-256) key pair. Turning encryption on in a DM sends our public key to
+ * the other user's notification stream as a 'dm-key' message, and their
+ * client answers with its own. Both sides then derive the same AES-GCM key
+ * for the DM (ECDH, then HKDF over the DM stream name) and the content of
+ * every message is encrypted before it is published.
+ *
+ * The first key seen from someone is trusted. A different one later on (a
+ * new browser, cleared storage, or someone posing as them) isn't used until
+ * it is accepted, and messages sent with it can't be read until then.
+ *
+ * Keys are kept in localStorage per user, like the read markers, so they
+ * are as safe as the browser profile.
+ */
+
+const STORAGE_PREFIX = 'wamschat_dm_keys_';
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const PUBLIC_KEY_LENGTH = 88; // Base64 of an uncompressed P-256 point (65 bytes)
+const MAX_ENCRYPTED_LENGTH = 8192; // Base64 of the longest content as UTF-8, with the GCM tag
+const ENCRYPTED_PLACEHOLDER = 'Encrypted message'; // Content shown by clients that can't decrypt
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(data) {
+  return Uint8Array.from(atob(data), character => character.charCodeAt(0));
+}
+
+async function getFingerprint(publicKey) {
+  const digest = await crypto.subtle.digest('SHA-256', fromBase64(publicKey));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The start of a fingerprint in groups of four, for comparing out of band
+ */
+function formatFingerprint(fingerprint) {
+  return fingerprint.slice(0, 32).match(/.{4}/g).join(' ');
+}
+
+function isBase64(value, maxLength) {
+  return (
+    typeof value === 'string' && value.length <= maxLength && /^[A-Za-z0-9+/]+={0,2}$/.test(value)
+  );
+}
+
+/**
+ * Reason why the encrypted part of a message is invalid, or null
+ */
+function checkEncrypted(encrypted) {
+  if (typeof encrypted !== 'object' || encrypted === null) {
+    return 'encrypted must be an object';
+  }
+  const { iv, data, sender, recipient } = encrypted;
+  if (!isBase64(iv, 16) || iv.length !== 16) {
+    return 'encrypted iv is invalid';
+  }
+  if (!isBase64(data, MAX_ENCRYPTED_LENGTH)) {
+    return 'encrypted data is invalid';
+  }
+  return [sender, recipient].every(key => typeof key === 'string' && /^[0-9a-f]{64}$/.test(key))
+    ? null
+    : 'encrypted keys are invalid';
+}
+
+function checkPublicKey(publicKey) {
+  return isBase64(publicKey, PUBLIC_KEY_LENGTH) && publicKey.length === PUBLIC_KEY_LENGTH
+    ? null
+    : 'publicKey is invalid';
+}
+
+class DmEncryption {
+  constructor() {
+    this.username = null;
+    this.keyPair = null; // Our ECDH key pair, null until loaded
+    this.exportedKeyPair = null; // The same as JWKs, for storing
+    this.publicKey = null; // Base64 of our raw public key
+    this.fingerprint = null;
+    this.peers = new Map(); // Map<username, { publicKey, fingerprint, timestamp }> trusted keys
+    this.changedKeys = new Map(); // Map<username, { publicKey, fingerprint, timestamp }> waiting to be accepted
+    this.enabled = new Set(); // DM streams encryption is on for
+    this.sentKeys = new Map(); // Map<username, fingerprint> of our key as last sent to them
+    this.sharedKeys = new Map(); // Map<`${dmChannel}:${fingerprint}`, Promise<CryptoKey>>
+    this.onStorage = e => {
+      if (e.key === this.getStorageKey()) {
+        this.readState(JSON.parse(e.newValue) || {});
+      }
+    };
+  }
+
+  /**
+   * Whether this browser can encrypt, WebCrypto is only there on secure origins
+   */
+  get isSupported() {
+    return !!globalThis.crypto?.subtle && this.keyPair !== null;
+  }
+
+  getStorageKey() {
+    return `${STORAGE_PREFIX}${this.username}`;
+  }
+
+  /**
+   * Load username's keys, making a key pair on first use
+   */
+  async load(username) {
+    this.username = username;
+    this.keyPair = null;
+    this.exportedKeyPair = null;
+    this.sharedKeys = new Map();
+    if (!globalThis.crypto?.subtle) {
+      console.log('[DEBUG] WebCrypto is not available, DMs can not be encrypted');
+      return;
+    }
+
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(this.getStorageKey())) || {};
+    } catch (error) {
+      console.error('Failed to read the stored encryption keys:', error);
+    }
+    this.readState(stored);
+
+    if (stored.keyPair) {
+      this.keyPair = {
+        publicKey: await crypto.subtle.importKey('jwk', stored.keyPair.publicKey, ECDH, true, []),
+        privateKey: await crypto.subtle.importKey('jwk', stored.keyPair.privateKey, ECDH, true, [
+          'deriveBits',
+        ]),
+      };
+    } else {
+      this.keyPair = await crypto.subtle.generateKey(ECDH, true, ['deriveBits']);
+    }
+    this.exportedKeyPair = {
+      publicKey: await crypto.subtle.exportKey('jwk', this.keyPair.publicKey),
+      privateKey: await crypto.subtle.exportKey('jwk', this.keyPair.privateKey),
+    };
+    this.publicKey = toBase64(await crypto.subtle.exportKey('raw', this.keyPair.publicKey));
+    this.fingerprint = await getFingerprint(this.publicKey);
+    this.save();
+
+    // Other tabs of the same user change the same state
+    window.removeEventListener('storage', this.onStorage);
+    window.addEventListener('storage', this.onStorage);
+  }
+
+  readState({ peers = [], changedKeys = [], enabled = [], sentKeys = [] }) {
+    this.peers = new Map(peers);
+    this.changedKeys = new Map(changedKeys);
+    this.enabled = new Set(enabled);
+    this.sentKeys = new Map(sentKeys);
+  }
+
+  save() {
+    if (!this.exportedKeyPair) {
+      return;
+    }
+
+    const stored = {
+      keyPair: this.exportedKeyPair,
+      peers: Array.from(this.peers),
+      changedKeys: Array.from(this.changedKeys),
+      enabled: Array.from(this.enabled),
+      sentKeys: Array.from(this.sentKeys),
+    };
+    try {
+      localStorage.setItem(this.getStorageKey(), JSON.stringify(stored));
+    } catch (error) {
+      console.error('Failed to store the encryption keys:', error);
+    }
+  }
+
+  isEnabled(dmChannel) {
+    return this.enabled.has(dmChannel);
+  }
+
+  enable(dmChannel) {
+    if (!this.enabled.has(dmChannel)) {
+      this.enabled.add(dmChannel);
+      this.save();
+    }
+  }
+
+  /**
+   * Turn encryption off again, only allowed until peer's key has arrived
+   */
+  disable(dmChannel, peer) {
+    if (this.peers.has(peer) || !this.enabled.has(dmChannel)) {
+      return false;
+    }
+    this.enabled.delete(dmChannel);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Keep a key received from peer. Returns 'trusted' for their first key,
+   * 'same' for the one we have, 'changed' for a new one that has to be
+   * accepted, and 'stale' for one published before the key we have.
+   * Throws when publicKey isn't a P-256 key.
+   */
+  async recordKey({ from, publicKey, timestamp }) {
+    await crypto.subtle.importKey('raw', fromBase64(publicKey), ECDH, false, []);
+    const entry = { publicKey, fingerprint: await getFingerprint(publicKey), timestamp };
+    const known = this.peers.get(from);
+
+    if (!known) {
+      this.peers.set(from, entry);
+      this.save();
+      return 'trusted';
+    }
+    if (known.fingerprint === entry.fingerprint) {
+      return 'same';
+    }
+    // History replayed after a reload brings back keys they have since replaced
+    if (Date.parse(timestamp) <= Date.parse(known.timestamp)) {
+      return 'stale';
+    }
+
+    this.changedKeys.set(from, entry);
+    this.save();
+    return 'changed';
+  }
+
+  hasChangedKey(peer) {
+    return this.changedKeys.has(peer);
+  }
+
+  getPeerFingerprint(peer) {
+    return this.peers.get(peer)?.fingerprint || null;
+  }
+
+  getChangedFingerprint(peer) {
+    return this.changedKeys.get(peer)?.fingerprint || null;
+  }
+
+  async acceptKey(peer) {
+    if (!this.changedKeys.has(peer)) {
+      return;
+    }
+    this.peers.set(peer, this.changedKeys.get(peer));
+    this.changedKeys.delete(peer);
+    this.save();
+  }
+
+  /**
+   * Whether messages to peer can be encrypted: we have their key and it
+   * hasn't changed since
+   */
+  canEncrypt(peer) {
+    return this.isSupported && this.peers.has(peer) && !this.changedKeys.has(peer);
+  }
+
+  /**
+   * Whether peer may not have our current key
+   */
+  needsToSendKey(peer) {
+    return this.sentKeys.get(peer) !== this.fingerprint;
+  }
+
+  markKeySent(peer) {
+    this.sentKeys.set(peer, this.fingerprint);
+    this.save();
+  }
+
+  /**
+   * The AES-GCM key shared with peer in dmChannel
+   */
+  getSharedKey(dmChannel, peerKey) {
+    const cacheKey = `${dmChannel}:${peerKey.fingerprint}`;
+    if (!this.sharedKeys.has(cacheKey)) {
+      this.sharedKeys.set(cacheKey, this.deriveSharedKey(dmChannel, peerKey.publicKey));
+    }
+    return this.sharedKeys.get(cacheKey);
+  }
+
+  async deriveSharedKey(dmChannel, publicKey) {
+    const peerKey = await crypto.subtle.importKey('raw', fromBase64(publicKey), ECDH, false, []);
+    const secret = await crypto.subtle.deriveBits(
+      { name: 'ECDH', public: peerKey },
+      this.keyPair.privateKey,
+      256
+    );
+    const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: new Uint8Array(32),
+        info: new TextEncoder().encode(dmChannel),
+      },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * The encrypted part of a message with content, sent to peer in dmChannel
+   */
+  async encrypt(dmChannel, peer, content) {
+    const peerKey = this.peers.get(peer);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await this.getSharedKey(dmChannel, peerKey),
+      new TextEncoder().encode(content)
+    );
+
+    return {
+      iv: toBase64(iv),
+      data: toBase64(data),
+      sender: this.fingerprint,
+      recipient: peerKey.fingerprint,
+    };
+  }
+
+  /**
+   * The content of an encrypted message in dmChannel, sent by us or by peer.
+   * Throws with code UNKNOWN_KEY when it was encrypted with keys other than
+   * ours and peer's trusted one, DECRYPT_FAILED when it doesn't decrypt.
+   */
+  async decrypt(dmChannel, peer, message) {
+    const { iv, data, sender, recipient } = message.encrypted;
+    const peerKey = this.peers.get(peer);
+    const [ours, theirs] =
+      message.username === this.username ? [sender, recipient] : [recipient, sender];
+    if (!this.isSupported || ours !== this.fingerprint || theirs !== peerKey?.fingerprint) {
+      const error = new Error('Message was encrypted with a key we do not have');
+      error.code = 'UNKNOWN_KEY';
+      throw error;
+    }
+
+    try {
+      const content = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(iv) },
+        await this.getSharedKey(dmChannel, peerKey),
+        fromBase64(data)
+      );
+      return new TextDecoder().decode(content);
+    } catch (cause) {
+      const error = new Error('Message could not be decrypted', { cause });
+      error.code = 'DECRYPT_FAILED';
+      throw error;
+    }
+  }
+}
+
+export { DmEncryption, ENCRYPTED_PLACEHOLDER, checkEncrypted, checkPublicKey, formatFingerprint };
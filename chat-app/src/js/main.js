@@ -4,23 +4,56 @@
  */
 
 import { AmqpConnectionManager } from './amqp-connection.js';
+import { AmqpTransport } from './amqp-transport.js';
+import { MqttConnectionManager } from './mqtt-connection.js';
+import { MqttTransport } from './mqtt-transport.js';
 import { ChatChannelManager } from './chat-channel-manager.js';
 import { ChatUIManager } from './chat-ui-manager.js';
 import { OAuth2Client } from './oauth-client.js';
+import { loadConfig } from './app-config.js';
+import { TabCoordinator } from './tab-coordinator.js';
+import { SharedChannelManager } from './shared-channel-manager.js';
 
 class WamsChatApp {
-  constructor() {
-    this.amqpConnection = new AmqpConnectionManager();
-    this.channelManager = new ChatChannelManager(this.amqpConnection);
+  constructor(config) {
+    this.config = config;
+    const transport = this.createTransport(config);
+    this.tabCoordinator = new TabCoordinator();
+    // Only the leader tab's channel manager talks to the broker, other tabs go through it
+    this.channelManager = new SharedChannelManager(
+      new ChatChannelManager(this.connection, {
+        transport,
+        history: config.history,
+        moderators: config.moderators,
+        attachments: config.attachments,
+      }),
+      this.connection,
+      this.tabCoordinator
+    );
     this.uiManager = new ChatUIManager(this.channelManager);
-    this.oauthClient = new OAuth2Client();
+    this.oauthClient = new OAuth2Client(config.oauth);
     this.logoutBtn = document.getElementById('logoutBtn');
 
     this.bindConnectionEvents();
+    this.bindTokenRefreshEvents();
+    this.bindTabEvents();
     this.bindLogoutButton();
     this.initialize();
   }
 
+  /**
+   * Set up the broker connection and the transport the chat runs over
+   */
+  createTransport(config) {
+    if (config.transport === 'mqtt') {
+      this.connection = new MqttConnectionManager(config.amqp, config.mqtt);
+      return new MqttTransport(this.connection);
+    }
+
+    this.connection = new AmqpConnectionManager(config.amqp);
+    return new AmqpTransport(this.connection);
+  }
+
   bindLogoutButton() {
     if (this.logoutBtn) {
       this.logoutBtn.addEventListener('click', () => this.handleLogout());
@@ -30,6 +63,7 @@ class WamsChatApp {
   async handleLogout() {
     await this.shutdown();
     this.oauthClient.logout();
+    this.tabCoordinator.broadcastLogout();
     window.location.reload();
   }
 
@@ -40,45 +74,121 @@ class WamsChatApp {
   }
 
   bindConnectionEvents() {
-    this.amqpConnection.addEventListener('connecting', () => {
-      console.log('Connecting to AMQP broker...');
+    // Connection events come through the shared channel manager, so tabs
+    // without their own connection see the leader's status
+    this.channelManager.addEventListener('connecting', () => {
+      console.log('Connecting to broker...');
       this.uiManager.updateConnectionStatus('connecting');
     });
 
-    this.amqpConnection.addEventListener('connected', () => {
-      console.log('Connected to AMQP broker');
+    this.channelManager.addEventListener('connected', () => {
+      console.log('Connected to broker');
       this.uiManager.updateConnectionStatus('connected');
       this.uiManager.enableChatInterface();
     });
 
-    this.amqpConnection.addEventListener('disconnected', () => {
-      console.log('Disconnected from AMQP broker');
+    this.channelManager.addEventListener('disconnected', () => {
+      console.log('Disconnected from broker');
+      // Keep the input enabled, messages are queued in the outbox until reconnected
       this.uiManager.updateConnectionStatus('disconnected');
-      this.uiManager.disableChatInterface();
     });
 
-    this.amqpConnection.addEventListener('error', event => {
-      console.error('AMQP connection error:', event.detail);
+    this.channelManager.addEventListener('reconnecting', event => {
+      const { attempt, delay, endpoint } = event.detail;
+      console.log(`Reconnect attempt ${attempt} to ${endpoint} in ${delay}ms`);
+      this.uiManager.updateConnectionStatus('reconnecting', event.detail);
+    });
+
+    this.channelManager.addEventListener('error', event => {
+      console.error('Broker connection error:', event.detail);
       this.uiManager.updateConnectionStatus('error');
-      this.uiManager.showError('Connection failed. Please check the AMQP broker.');
+      // Reconnecting never stops, so only report the first failure in the chat
+      if (event.detail.reconnectAttempts === 0) {
+        this.uiManager.showError('Connection failed. Please check the broker.');
+      }
     });
+
+    this.uiManager.onRetryNow(() => this.channelManager.retryNow());
+  }
+
+  bindTokenRefreshEvents() {
+    this.oauthClient.addEventListener('tokenRefreshed', async event => {
+      console.log('OAuth token refreshed, updating broker credentials');
+      try {
+        await this.connection.updateOAuthToken(event.detail.token);
+      } catch (error) {
+        // The new token is still used on the next reconnect
+        console.error('Failed to update broker credentials:', error);
+      }
+    });
+
+    this.oauthClient.addEventListener('tokenRefreshFailed', event => {
+      console.error('OAuth token refresh failed:', event.detail);
+      this.handleSessionExpired();
+    });
+  }
+
+  bindTabEvents() {
+    this.channelManager.beforeConnect = () => this.prepareLeaderToken();
+
+    this.tabCoordinator.addEventListener('logout', () => {
+      window.location.reload();
+    });
+  }
+
+  /**
+   * This tab now owns the connection, it needs the latest token and keeps it
+   * fresh. Only the leader refreshes, a refresh token may be good for one use.
+   * The other tabs get the new token from localStorage, their start() waits
+   * for the leader to connect with it. Resolves false once signed out.
+   */
+  async prepareLeaderToken() {
+    if (!this.oauthClient.isAuthenticated()) {
+      return true;
+    }
+
+    if (this.oauthClient.isTokenExpired()) {
+      try {
+        console.log('OAuth token expired, refreshing');
+        await this.oauthClient.refreshAccessToken();
+      } catch (error) {
+        console.log('OAuth token refresh failed, clearing and showing login:', error);
+        await this.handleSessionExpired();
+        return false;
+      }
+    }
+
+    this.connection.setOAuthToken(this.oauthClient.getAccessToken());
+    this.oauthClient.scheduleTokenRefresh();
+    return true;
+  }
+
+  async handleSessionExpired() {
+    await this.shutdown();
+    this.oauthClient.logout();
+    this.tabCoordinator.broadcastLogout();
+    this.uiManager.showError('Your session has expired. Please sign in again.');
+    this.uiManager.showUsernameModal(true, () => this.oauthClient.startOAuthFlow());
   }
 
   async initialize() {
     try {
+      if (this.config.errors.length > 0) {
+        this.uiManager.showError(`Invalid config.json, using defaults: ${this.config.errors.join('; ')}`);
+      }
+
       // Check if OAuth is configured
-      const isOAuthConfigured = !!import.meta.env.VITE_OAUTH_CLIENT_ID;
+      const isOAuthConfigured = !!this.config.oauth.clientId;
 
       // Handle OAuth callback if present
       if (this.oauthClient.isCallback()) {
         try {
-          const token = await this.oauthClient.handleCallback();
+          await this.oauthClient.handleCallback();
           const username = this.oauthClient.getUsername();
-          this.amqpConnection.setOAuthToken(token);
           console.log('OAuth authentication successful for user:', username);
 
-          // Connect to AMQP after getting token
-          await this.amqpConnection.connect();
+          // Connect to AMQP (or join the tab that owns the connection) after getting token
+          await this.channelManager.start();
 
           // Set username from JWT token
           this.uiManager.setUsername(username);
@@ -93,23 +203,17 @@ class WamsChatApp {
         }
       }
 
-      // Check if already authenticated with OAuth
+      // Check if already authenticated with OAuth, an expired token is refreshed by the leader tab
       if (isOAuthConfigured && this.oauthClient.isAuthenticated()) {
-        // Check if token is expired before trying to connect
-        if (this.oauthClient.isTokenExpired()) {
-          console.log('OAuth token expired, clearing and showing login');
-          this.oauthClient.logout();
-          this.uiManager.showUsernameModal(isOAuthConfigured, () => this.oauthClient.startOAuthFlow());
-          return;
-        }
-
-        const token = this.oauthClient.getAccessToken();
         const username = this.oauthClient.getUsername();
-        this.amqpConnection.setOAuthToken(token);
 
-        // Connect to AMQP
+        // Connect to AMQP, or join the tab that owns the connection
         try {
-          await this.amqpConnection.connect();
+          await this.channelManager.start();
+          // The leader couldn't refresh the token and has signed out
+          if (!this.oauthClient.isAuthenticated()) {
+            return;
+          }
         } catch (error) {
           // If connection fails due to expired token, clear and show login
           if (error.message?.includes('ACCESS_REFUSED') || error.message?.includes('expired')) {
@@ -134,7 +238,7 @@ class WamsChatApp {
 
       // Connect to AMQP broker (for basic auth)
       if (!isOAuthConfigured) {
-        await this.amqpConnection.connect();
+        await this.channelManager.start();
       }
     } catch (error) {
       console.error('Failed to initialize app:', error);
@@ -145,6 +249,9 @@ class WamsChatApp {
   async shutdown() {
     console.log('Shutting down WamsChat...');
 
+    this.oauthClient.cancelTokenRefresh();
+    this.uiManager.stopPresence();
+
     // Unsubscribe from channels
     const username = this.uiManager.getUsername();
     if (username) {
@@ -159,17 +266,34 @@ class WamsChatApp {
     }
 
     // Disconnect from AMQP
-    await this.amqpConnection.disconnect();
+    this.channelManager.stop();
+    await this.connection.disconnect();
+  }
+
+  /**
+   * Closing one of several tabs only hands the connection over, the user is
+   * still in the chat through the other tabs
+   */
+  handleUnload() {
+    if (this.channelManager.hasOtherTabs()) {
+      // This tab's presence session ends with it
+      this.uiManager.stopPresence();
+      this.channelManager.stop();
+      return;
+    }
+
+    this.shutdown();
   }
 }
 
 // Initialize the application when the DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  const app = new WamsChatApp();
+document.addEventListener('DOMContentLoaded', async () => {
+  const config = await loadConfig();
+  const app = new WamsChatApp(config);
 
   // Handle page unload
   window.addEventListener('beforeunload', () => {
-    app.shutdown();
+    app.handleUnload();
   });
 
   // Make app available globally for debugging
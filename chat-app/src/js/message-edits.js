@@ -0,0 +1,58 @@
+/**
+ * Message Edits
+ * Streams are append-only, so edits and deletes are messages of their own
+ * ('edit' and 'delete') that name an earlier message as their target.
+ * MessageEdits collects them and folds them into their targets when those
+ * are rendered, in whatever order the two are seen (a "load older" page
+ * brings targets in after their edits).
+ *
+ * Only the target's author or a moderator may edit or delete it, events
+ * from anyone else are ignored.
+ */
+
+const EDIT_TYPES = ['edit', 'delete'];
+
+function isEditEvent(message) {
+  return EDIT_TYPES.includes(message.type);
+}
+
+/**
+ * Whether username, a moderator or not, may edit or delete message
+ */
+function canModify(message, username, isModerator) {
+  return message.type === 'message' && (message.username === username || isModerator);
+}
+
+class MessageEdits {
+  constructor(isModerator = () => false) {
+    this.isModerator = isModerator;
+    this.events = new Map(); // Map<targetId, Array<edit or delete message>>
+  }
+
+  record(event) {
+    const events = this.events.get(event.target) || [];
+    if (!events.some(known => known.id === event.id)) {
+      events.push(event);
+      this.events.set(event.target, events);
+    }
+  }
+
+  /**
+   * message as it should be shown: with the newest allowed edit applied and
+   * edited set, or with deleted set
+   */
+  apply(message) {
+    const allowed = (this.events.get(message.id) || [])
+      .filter(event => canModify(message, event.username, this.isModerator(event.username)))
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    if (allowed.some(event => event.type === 'delete')) {
+      return { ...message, content: '', deleted: true };
+    }
+
+    const lastEdit = allowed[allowed.length - 1];
+    return lastEdit ? { ...message, content: lastEdit.content, edited: true } : message;
+  }
+}
+
+export { MessageEdits, isEditEvent, canModify };
@@ -0,0 +1,324 @@
+/**
+ * Message Envelope
+ * Wire format of everything published to a stream:
+ *   { v, type, id, sender, timestamp, payload }
+ * Incoming envelopes are upgraded to the current version, then checked by
+ * the validator for their type. The rest of the app keeps working with flat
+ * message objects, sealEnvelope() and openEnvelope() convert at the edge.
+ *
+ * Version 1 is the flat message object itself, published before envelopes.
+ */
+
+import { REACTION_ACTIONS, REACTION_EMOJIS } from './message-reactions.js';
+import { PRESENCE_STATUSES } from './presence-tracker.js';
+import { DIRECTORY_ACTIONS, MAX_TOPIC_LENGTH } from './channel-directory.js';
+import {
+  MEMBERSHIP_ACTIONS,
+  PRIVATE_PREFIX,
+  isValidPrivateChannel,
+  isValidUsername,
+} from './channel-membership.js';
+import { checkAttachment, checkChunkData } from './attachments.js';
+import { checkEncrypted, checkPublicKey } from './dm-encryption.js';
+
+const ENVELOPE_VERSION = 2;
+const MAX_CONTENT_LENGTH = 1000; // Same limit as the message input
+
+/**
+ * Reason why value doesn't have the fields with the given typeof types, or null
+ */
+function checkFields(value, fields) {
+  for (const [field, type] of Object.entries(fields)) {
+    if (typeof value[field] !== type) {
+      return `${field} must be a ${type}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Attachments and encrypted content (only in DMs) of a chat message
+ */
+function checkMessageExtras({ channel, attachment, encrypted }) {
+  const reason = attachment ? checkAttachment(attachment) : null;
+  if (reason || !encrypted) {
+    return reason;
+  }
+  return channel.startsWith('dm-') ? checkEncrypted(encrypted) : 'channel is not a DM stream';
+}
+
+function checkContent({ content }) {
+  if (content.trim() === '') {
+    return 'content is empty';
+  }
+  return content.length > MAX_CONTENT_LENGTH ? 'content is too long' : null;
+}
+
+/**
+ * Per message type: the flat field holding the sender (if any), the payload
+ * fields, fields that may be left out, and a validator returning the reason
+ * a payload (from sender) is invalid
+ */
+const MESSAGE_TYPES = {
+  message: {
+    senderField: 'username',
+    payloadFields: { channel: 'string', content: 'string' },
+    // parentId is set on thread replies, attachment on files (see attachments.js),
+    // encrypted on end-to-end encrypted DMs (see dm-encryption.js)
+    optionalFields: { parentId: 'string', attachment: 'object', encrypted: 'object' },
+    validate: payload => checkContent(payload) || checkMessageExtras(payload),
+  },
+  system: {
+    senderField: null,
+    payloadFields: { channel: 'string', content: 'string' },
+    validate: payload => checkContent(payload),
+  },
+  'dm-initiation': {
+    senderField: 'from',
+    payloadFields: { to: 'string', dmChannel: 'string' },
+    validate: ({ dmChannel }) =>
+      dmChannel.startsWith('dm-') ? null : 'dmChannel is not a DM stream',
+  },
+  // Sent to the invitee's notifications once they have been added to a private channel
+  'channel-invitation': {
+    senderField: 'from',
+    payloadFields: { to: 'string', channel: 'string' },
+    validate: ({ channel }) => (isValidPrivateChannel(channel) ? null : 'channel is not private'),
+  },
+  // Public key for encrypted DMs, sent to the other user's notifications
+  'dm-key': {
+    senderField: 'from',
+    payloadFields: { to: 'string', publicKey: 'string' },
+    validate: ({ publicKey }) => checkPublicKey(publicKey),
+  },
+  // Edits and deletes refer to an earlier message in the same stream by id
+  edit: {
+    senderField: 'username',
+    payloadFields: { channel: 'string', target: 'string', content: 'string' },
+    validate: payload => (payload.target ? checkContent(payload) : 'target is empty'),
+  },
+  delete: {
+    senderField: 'username',
+    payloadFields: { channel: 'string', target: 'string' },
+    validate: ({ target }) => (target ? null : 'target is empty'),
+  },
+  // Part of the file of an earlier attachment message
+  'attachment-chunk': {
+    senderField: 'username',
+    payloadFields: { channel: 'string', target: 'string', index: 'number', data: 'string' },
+    validate: payload => (payload.target ? checkChunkData(payload) : 'target is empty'),
+  },
+  reaction: {
+    senderField: 'username',
+    payloadFields: { channel: 'string', target: 'string', emoji: 'string', action: 'string' },
+    validate: ({ target, emoji, action }) => {
+      if (!target) {
+        return 'target is empty';
+      }
+      if (!REACTION_EMOJIS.includes(emoji)) {
+        return 'emoji is invalid';
+      }
+      return REACTION_ACTIONS.includes(action) ? null : 'action is invalid';
+    },
+  },
+  // Latest message the sender has read in a DM
+  receipt: {
+    senderField: 'username',
+    payloadFields: { channel: 'string', target: 'string' },
+    validate: ({ channel, target }) => {
+      if (!channel.startsWith('dm-')) {
+        return 'channel is not a DM stream';
+      }
+      return target ? null : 'target is empty';
+    },
+  },
+  // Channel announcements on the directory stream
+  directory: {
+    senderField: 'username',
+    payloadFields: { channel: 'string', action: 'string' },
+    optionalFields: { topic: 'string' },
+    validate: ({ channel, action, topic }) => {
+      if (
+        !/^[a-z0-9-]+$/.test(channel) ||
+        channel.startsWith('dm-') ||
+        channel.startsWith(PRIVATE_PREFIX)
+      ) {
+        return 'channel is invalid';
+      }
+      if (!DIRECTORY_ACTIONS.includes(action)) {
+        return 'action is invalid';
+      }
+      return topic && topic.length > MAX_TOPIC_LENGTH ? 'topic is too long' : null;
+    },
+  },
+  // Member list changes of a private channel, on its members stream
+  membership: {
+    senderField: 'username',
+    payloadFields: { channel: 'string', action: 'string', member: 'string' },
+    validate: ({ channel, action, member }, sender) => {
+      if (!isValidPrivateChannel(channel)) {
+        return 'channel is not private';
+      }
+      if (!MEMBERSHIP_ACTIONS.includes(action)) {
+        return 'action is invalid';
+      }
+      // Both end up in the member list or the join requests
+      return isValidUsername(member) && isValidUsername(sender) ? null : 'member is invalid';
+    },
+  },
+  // Transient, sent through the events exchange instead of the stream
+  typing: {
+    senderField: 'username',
+    payloadFields: { channel: 'string' },
+    validate: ({ channel }) => (channel ? null : 'channel is empty'),
+  },
+  // Transient heartbeat of one open tab (session), see presence-tracker.js
+  presence: {
+    senderField: 'username',
+    payloadFields: { status: 'string', session: 'string' },
+    validate: ({ status, session }) => {
+      if (!session) {
+        return 'session is empty';
+      }
+      return PRESENCE_STATUSES.includes(status) ? null : 'status is invalid';
+    },
+  },
+};
+
+function getSchema(type) {
+  const schema = Object.hasOwn(MESSAGE_TYPES, type) ? MESSAGE_TYPES[type] : null;
+  if (!schema) {
+    throw new Error(`Unknown message type ${type}`);
+  }
+  return schema;
+}
+
+/**
+ * Copy the payload fields of a message type from one object to another,
+ * optional fields only when they are set
+ */
+function copyPayload(schema, from, to) {
+  for (const field of Object.keys(schema.payloadFields)) {
+    to[field] = from[field];
+  }
+  for (const field of Object.keys(schema.optionalFields || {})) {
+    if (from[field] !== undefined && from[field] !== null) {
+      to[field] = from[field];
+    }
+  }
+  return to;
+}
+
+/**
+ * Envelope fields of a flat message
+ */
+function wrapMessage(message) {
+  const schema = getSchema(message.type);
+  const { senderField } = schema;
+  const payload = copyPayload(schema, message, {});
+
+  return {
+    type: message.type,
+    id: message.id,
+    sender: senderField ? message[senderField] : null,
+    timestamp: message.timestamp,
+    payload,
+  };
+}
+
+/**
+ * Upgrades from each version to the next one
+ */
+const UPGRADES = {
+  1: message => ({ v: 2, ...wrapMessage(message) }),
+};
+
+function upgradeEnvelope(envelope) {
+  let upgraded = envelope.v === undefined ? { ...envelope, v: 1 } : envelope;
+  if (!Number.isInteger(upgraded.v) || upgraded.v < 1 || upgraded.v > ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version ${upgraded.v}`);
+  }
+
+  while (upgraded.v < ENVELOPE_VERSION) {
+    upgraded = UPGRADES[upgraded.v](upgraded);
+  }
+  return upgraded;
+}
+
+/**
+ * Reason why a current version envelope is invalid, or null
+ */
+function validateEnvelope(envelope) {
+  const schema = getSchema(envelope.type);
+
+  const reason = checkFields(envelope, { id: 'string', timestamp: 'string' });
+  if (reason) {
+    return reason;
+  }
+  if (!envelope.id || Number.isNaN(Date.parse(envelope.timestamp))) {
+    return 'id or timestamp is invalid';
+  }
+  if (
+    schema.senderField
+      ? typeof envelope.sender !== 'string' || !envelope.sender
+      : envelope.sender !== null
+  ) {
+    return 'sender is invalid';
+  }
+  if (typeof envelope.payload !== 'object' || envelope.payload === null) {
+    return 'payload must be an object';
+  }
+
+  const optionalFields = Object.fromEntries(
+    Object.entries(schema.optionalFields || {}).filter(
+      ([field]) => envelope.payload[field] !== undefined
+    )
+  );
+  return (
+    checkFields(envelope.payload, { ...schema.payloadFields, ...optionalFields }) ||
+    schema.validate(envelope.payload, envelope.sender)
+  );
+}
+
+/**
+ * Wrap a flat message for publishing
+ */
+function sealEnvelope(message) {
+  return { v: ENVELOPE_VERSION, ...wrapMessage(message) };
+}
+
+/**
+ * Parse, upgrade and validate a delivery body, throws with the reason when
+ * it isn't a valid envelope. Returns the flat message.
+ */
+function openEnvelope(body) {
+  let envelope;
+  try {
+    envelope = JSON.parse(body);
+  } catch {
+    throw new Error('Body is not JSON');
+  }
+  if (typeof envelope !== 'object' || envelope === null || Array.isArray(envelope)) {
+    throw new Error('Body is not an object');
+  }
+
+  envelope = upgradeEnvelope(envelope);
+  const reason = validateEnvelope(envelope);
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  const schema = getSchema(envelope.type);
+  const { senderField } = schema;
+  const message = copyPayload(schema, envelope.payload, {
+    id: envelope.id,
+    type: envelope.type,
+    timestamp: envelope.timestamp,
+  });
+  if (senderField) {
+    message[senderField] = envelope.sender;
+  }
+  return message;
+}
+
+export { ENVELOPE_VERSION, MESSAGE_TYPES, sealEnvelope, openEnvelope };
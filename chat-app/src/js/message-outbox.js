@@ -0,0 +1,100 @@
+/**
+ * Message Outbox
+ * Holds outgoing publishes while the broker is unreachable and keeps them
+ * in IndexedDB so they survive a page reload
+ */
+
+const DB_NAME = 'wamschat-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+class MessageOutbox {
+  constructor() {
+    this.entries = []; // Array<{ seq, streamName, message }> in publish order
+    this.db = null;
+    this.ready = this.load();
+  }
+
+  /**
+   * Open the outbox database, resolves to null when IndexedDB is unavailable
+   * (private browsing, tests) so the outbox keeps working in memory
+   */
+  openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a single request against the outbox store
+   */
+  transaction(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(STORE_NAME, mode);
+      const request = operation(tx.objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async load() {
+    try {
+      this.db = this.db || await this.openDatabase();
+      if (this.db) {
+        // Keys are auto-incremented, so getAll returns entries in publish order
+        this.entries = await this.transaction('readonly', store => store.getAll());
+      }
+    } catch (error) {
+      console.error('Failed to open outbox database, queueing in memory only:', error);
+      this.db = null;
+    }
+  }
+
+  /**
+   * Pick up entries written by another tab since this one loaded
+   */
+  reload() {
+    this.ready = this.load();
+    return this.ready;
+  }
+
+  async enqueue(streamName, message) {
+    await this.ready;
+
+    const entry = { streamName, message };
+    if (this.db) {
+      entry.seq = await this.transaction('readwrite', store => store.add(entry));
+    } else {
+      entry.seq = (this.entries.at(-1)?.seq ?? 0) + 1;
+    }
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  async remove(entry) {
+    this.entries = this.entries.filter(e => e.seq !== entry.seq);
+    if (this.db) {
+      await this.transaction('readwrite', store => store.delete(entry.seq));
+    }
+  }
+
+  getEntries() {
+    return [...this.entries];
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+}
+
+export { MessageOutbox };
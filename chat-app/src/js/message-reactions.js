@@ -0,0 +1,55 @@
+/**
+ * Message Reactions
+ * Reactions are 'reaction' messages on the same stream as the message they
+ * refer to, each adding or removing one user's emoji. The newest event per
+ * message, emoji and user wins, so the counts come out the same whether the
+ * events are replayed in stream order or a "load older" page arrives late.
+ */
+
+const REACTION_ACTIONS = ['add', 'remove'];
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉']; // What the picker offers
+
+class MessageReactions {
+  constructor() {
+    // Map<messageId, Map<emoji, Map<username, { added, timestamp }>>>
+    this.reactions = new Map();
+  }
+
+  record({ target, emoji, username, action, timestamp }) {
+    if (!this.reactions.has(target)) {
+      this.reactions.set(target, new Map());
+    }
+    const emojis = this.reactions.get(target);
+    if (!emojis.has(emoji)) {
+      emojis.set(emoji, new Map());
+    }
+    const users = emojis.get(emoji);
+
+    const current = users.get(username);
+    if (current && Date.parse(current.timestamp) > Date.parse(timestamp)) {
+      return;
+    }
+    users.set(username, { added: action === 'add', timestamp });
+  }
+
+  hasReacted(messageId, emoji, username) {
+    return !!this.reactions.get(messageId)?.get(emoji)?.get(username)?.added;
+  }
+
+  /**
+   * Reactions on a message as [{ emoji, count, mine }], in the order they were first used
+   */
+  summarize(messageId, username) {
+    const emojis = this.reactions.get(messageId) || new Map();
+    const summary = [];
+    for (const [emoji, users] of emojis) {
+      const count = Array.from(users.values()).filter(reaction => reaction.added).length;
+      if (count > 0) {
+        summary.push({ emoji, count, mine: this.hasReacted(messageId, emoji, username) });
+      }
+    }
+    return summary;
+  }
+}
+
+export { MessageReactions, REACTION_ACTIONS, REACTION_EMOJIS };
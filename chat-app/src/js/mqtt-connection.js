@@ -0,0 +1,120 @@
+/**
+ * MQTT Connection Manager
+ * Connects to LavinMQ's MQTT-over-WebSocket listener. Endpoint failover,
+ * backoff and the connection events are inherited from AmqpConnectionManager,
+ * only the protocol client differs. Incoming publishes are re-dispatched as
+ * 'message' events (detail: { topic, payload }) for MqttTransport.
+ */
+
+import { AmqpConnectionManager } from './amqp-connection.js';
+import { getDefaultConfig } from './app-config.js';
+
+const CLIENT_ID_KEY = 'wamschat_mqtt_client_id';
+
+class MqttConnectionManager extends AmqpConnectionManager {
+  constructor(config = getDefaultConfig().amqp, mqttConfig = getDefaultConfig().mqtt) {
+    super(config);
+    this.mqttConfig = { ...mqttConfig };
+    this.endpoints = this.endpoints.map(endpoint => this.withPath(endpoint));
+  }
+
+  /**
+   * Endpoints without a path go to the MQTT listener path (e.g. /mqtt)
+   */
+  withPath(endpoint) {
+    const url = new URL(endpoint);
+    if (url.pathname === '/') {
+      url.pathname = this.mqttConfig.path;
+    }
+    return url.toString();
+  }
+
+  /**
+   * Keep the client id across reloads so the broker holds on to the session,
+   * and the QoS 1 messages that arrive for it, while the page is closed
+   */
+  getClientId() {
+    let clientId = localStorage.getItem(CLIENT_ID_KEY);
+    if (!clientId) {
+      clientId = `wamschat_${Math.random().toString(36).substr(2, 12)}`;
+      localStorage.setItem(CLIENT_ID_KEY, clientId);
+    }
+    return clientId;
+  }
+
+  async openConnection(url, username, password) {
+    // Loaded on demand, AMQP deployments never download the MQTT client
+    const { connect } = await import('mqtt');
+
+    const client = connect(url, {
+      clientId: this.getClientId(),
+      username,
+      password,
+      clean: false,
+      reconnectPeriod: 0, // Reconnects follow the backoff and failover in AmqpConnectionManager
+      connectTimeout: 10000,
+    });
+
+    // Listen right away, a resumed session delivers its queued messages straight after CONNACK
+    client.on('message', (topic, payload) => {
+      this.dispatchEvent(
+        new CustomEvent('message', {
+          detail: { topic, payload: payload.toString() },
+        })
+      );
+    });
+
+    // The startup listeners go once it has settled, watchConnection() takes over from there
+    await new Promise((resolve, reject) => {
+      const onConnect = () => {
+        stopWaiting();
+        resolve();
+      };
+      const onError = error => {
+        stopWaiting();
+        reject(error);
+      };
+      const onClose = () => onError(new Error(`MQTT connection to ${url} closed`));
+      const stopWaiting = () => {
+        client.off('connect', onConnect);
+        client.off('error', onError);
+        client.off('close', onClose);
+      };
+
+      client.on('connect', onConnect);
+      client.on('error', onError);
+      client.on('close', onClose);
+    }).catch(error => {
+      client.end(true);
+      throw error;
+    });
+
+    return client;
+  }
+
+  watchConnection(client) {
+    // mqtt.js throws errors nobody listens to, and the client isn't usable after one
+    client.on('error', _error => {
+      client.end(true);
+      this.handleDisconnection();
+    });
+
+    client.on('close', () => {
+      this.handleDisconnection();
+    });
+  }
+
+  closeConnection(client) {
+    return client.endAsync();
+  }
+
+  /**
+   * MQTT 3.1.1 can't replace the credentials of a live connection, the new
+   * token is used from the next (re)connect on
+   */
+  async updateOAuthToken(token) {
+    this.oauthToken = token;
+  }
+}
+
+export { MqttConnectionManager };
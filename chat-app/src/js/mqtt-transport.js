@@ -0,0 +1,195 @@
+/**
+ * MQTT Transport
+ * Carries the chat over MQTT topics instead of AMQP streams, with the same
+ * interface as AmqpTransport. Chat channels map to wamschat/channels/<channel>,
+ * DMs and notifications to per-user topics under wamschat/users/<user>/, so
+ * every user only subscribes to their own tree.
+ *
+ * MQTT has no stream offsets: there is no history to replay, and messages
+ * published while a user is offline come from the broker's persistent session.
+ * Transient events use the same topics under wamschat/events/ with QoS 0, so
+ * the session doesn't keep them either.
+ */
+
+const TOPIC_PREFIX = 'wamschat';
+const NOTIFICATIONS_PREFIX = 'user-notifications-';
+const DM_PREFIX = 'dm-';
+const PENDING_LIMIT = 1000; // Deliveries kept per topic until its subscription is back
+const EVENTS_LEVEL = 'events';
+
+/**
+ * Topic levels can't contain '/', '+' or '#', and usernames are free-form
+ */
+function encodeLevel(value) {
+  return encodeURIComponent(value);
+}
+
+function getUserTopic(username, ...levels) {
+  return [TOPIC_PREFIX, 'users', encodeLevel(username), ...levels.map(encodeLevel)].join('/');
+}
+
+/**
+ * The other participant of a DM, DM streams are named dm-<a>-<b> with sorted usernames
+ */
+function getDMPeer(streamName, username) {
+  const users = streamName.slice(DM_PREFIX.length);
+  if (users.startsWith(`${username}-`)) {
+    return users.slice(username.length + 1);
+  }
+  if (users.endsWith(`-${username}`)) {
+    return users.slice(0, -(username.length + 1));
+  }
+  return null;
+}
+
+/**
+ * Topics a stream is consumed from and published to
+ */
+function getTopics({ name, username }) {
+  if (name.startsWith(NOTIFICATIONS_PREFIX)) {
+    const topic = getUserTopic(name.slice(NOTIFICATIONS_PREFIX.length), 'notifications');
+    return { subscribe: topic, publish: [topic] };
+  }
+
+  if (name.startsWith(DM_PREFIX)) {
+    const peer = username && getDMPeer(name, username);
+    if (!peer) {
+      throw new Error(`Cannot map ${name} to MQTT topics without knowing its participants`);
+    }
+    // Each participant gets a copy in their own tree
+    const own = getUserTopic(username, 'dms', name);
+    return { subscribe: own, publish: [own, getUserTopic(peer, 'dms', name)] };
+  }
+
+  const topic = [TOPIC_PREFIX, 'channels', encodeLevel(name)].join('/');
+  return { subscribe: topic, publish: [topic] };
+}
+
+/**
+ * Topics a stream's transient events are consumed from and published to
+ */
+function getEventTopics(stream) {
+  const toEvents = topic => topic.replace(`${TOPIC_PREFIX}/`, `${TOPIC_PREFIX}/${EVENTS_LEVEL}/`);
+  const { subscribe, publish } = getTopics(stream);
+  return { subscribe: toEvents(subscribe), publish: publish.map(toEvents) };
+}
+
+class MqttTransport extends EventTarget {
+  constructor(mqttConnection) {
+    super();
+    this.mqttConnection = mqttConnection;
+    this.supportsHistory = false; // Offsets are ignored, subscriptions only see new messages
+    this.handlers = new Map(); // Map<topic, onDelivery>
+    this.pending = new Map(); // Map<topic, Array<delivery>> received before the topic was subscribed
+    this.eventsHandler = null;
+    this.eventTopics = new Set(); // Event topics subscribed to
+
+    this.mqttConnection.addEventListener('message', e => {
+      this.handleMessage(e.detail.topic, e.detail.payload);
+    });
+  }
+
+  getClient() {
+    const client = this.mqttConnection.connection;
+    if (!client) {
+      throw new Error('MQTT connection not available');
+    }
+    return client;
+  }
+
+  /**
+   * Topics are worked out when they are used, a stream's username may be set after it is opened
+   */
+  async openStream(stream) {
+    this.getClient();
+    return { stream };
+  }
+
+  closeStream() {
+    // Nothing is held per stream, subscriptions end with their consumer
+  }
+
+  async subscribe(handle, offset, onDelivery) {
+    const client = this.getClient();
+    const topic = getTopics(handle.stream).subscribe;
+
+    this.handlers.set(topic, onDelivery);
+    await client.subscribeAsync(topic, { qos: 1 });
+
+    const pending = this.pending.get(topic) || [];
+    this.pending.delete(topic);
+    pending.forEach(onDelivery);
+
+    return {
+      cancel: async () => {
+        this.handlers.delete(topic);
+        await client.unsubscribeAsync(topic);
+      },
+    };
+  }
+
+  /**
+   * QoS 1 publishes resolve on PUBACK, the MQTT counterpart of a publisher confirm
+   */
+  publish(handle, message) {
+    const client = this.getClient();
+    const body = JSON.stringify(message);
+    return Promise.all(
+      getTopics(handle.stream).publish.map(topic => client.publishAsync(topic, body, { qos: 1 }))
+    );
+  }
+
+  async openEvents(onDelivery) {
+    this.getClient();
+    this.eventsHandler = onDelivery;
+  }
+
+  async watchEvents(stream) {
+    const topic = getEventTopics(stream).subscribe;
+    await this.getClient().subscribeAsync(topic, { qos: 0 });
+    this.eventTopics.add(topic);
+  }
+
+  async unwatchEvents(stream) {
+    const topic = getEventTopics(stream).subscribe;
+    this.eventTopics.delete(topic);
+    await this.getClient().unsubscribeAsync(topic);
+  }
+
+  publishEvent(stream, event) {
+    const client = this.getClient();
+    const body = JSON.stringify(event);
+    return Promise.all(
+      getEventTopics(stream).publish.map(topic => client.publishAsync(topic, body, { qos: 0 }))
+    );
+  }
+
+  handleMessage(topic, payload) {
+    // mqtt.js acknowledges QoS 1 deliveries itself
+    const delivery = { body: payload, offset: undefined, ack: () => Promise.resolve() };
+
+    if (this.eventTopics.has(topic)) {
+      this.eventsHandler?.(delivery);
+      return;
+    }
+
+    const handler = this.handlers.get(topic);
+    if (handler) {
+      handler(delivery);
+      return;
+    }
+
+    const pending = this.pending.get(topic) || [];
+    pending.push(delivery);
+    this.pending.set(topic, pending.slice(-PENDING_LIMIT));
+  }
+
+  reset() {
+    this.handlers.clear();
+    this.pending.clear();
+    this.eventsHandler = null;
+    this.eventTopics.clear();
+  }
+}
+
+export { MqttTransport, getTopics, getEventTopics };
@@ -1,20 +1,31 @@
 /**
  * OAuth 2.0 PKCE (Proof Key for Code Exchange) client
- * Supports any OAuth2 provider configured via environment variables
+ * Supports any OAuth2 provider configured via config.json or environment variables
+ * Dispatches 'tokenRefreshed' and 'tokenRefreshFailed' while a refresh is scheduled
  */
-export class OAuth2Client {
-  constructor() {
-    // Load OAuth config from environment
-    this.clientId = import.meta.env.VITE_OAUTH_CLIENT_ID;
-    this.authorizationEndpoint = import.meta.env.VITE_OAUTH_AUTH_URL;
-    this.tokenEndpoint = import.meta.env.VITE_OAUTH_TOKEN_URL;
-    this.redirectUri = import.meta.env.VITE_OAUTH_REDIRECT_URI || `${window.location.origin}/callback`;
-    this.scope = import.meta.env.VITE_OAUTH_SCOPE || 'user:email';
+
+import { getDefaultConfig } from './app-config.js';
+
+export class OAuth2Client extends EventTarget {
+  constructor(config = getDefaultConfig().oauth) {
+    super();
+    // OAuth config from the runtime configuration (see app-config.js)
+    this.clientId = config.clientId;
+    this.authorizationEndpoint = config.authorizationEndpoint;
+    this.tokenEndpoint = config.tokenEndpoint;
+    this.redirectUri = config.redirectUri;
+    this.scope = config.scope;
 
     // Storage keys
     this.TOKEN_KEY = 'oauth_access_token';
+    this.REFRESH_TOKEN_KEY = 'oauth_refresh_token';
+    this.EXPIRES_AT_KEY = 'oauth_expires_at';
     this.USERNAME_KEY = 'oauth_username';
     this.CODE_VERIFIER_KEY = 'pkce_code_verifier';
+
+    // Refresh this long before the access token expires
+    this.refreshMarginMs = 60 * 1000;
+    this.refreshTimer = null;
   }
 
   /**
@@ -49,7 +60,7 @@ export class OAuth2Client {
    */
   async startOAuthFlow() {
     if (!this.clientId || !this.authorizationEndpoint) {
-      throw new Error('OAuth not configured. Set VITE_OAUTH_CLIENT_ID and VITE_OAUTH_AUTH_URL in .env');
+      throw new Error('OAuth not configured. Set oauth.clientId and oauth.authorizationEndpoint in config.json, or VITE_OAUTH_CLIENT_ID and VITE_OAUTH_AUTH_URL in .env');
     }
 
     // Generate and store PKCE verifier
@@ -122,8 +133,8 @@ export class OAuth2Client {
 
     const data = await response.json();
 
-    // Store access token
-    localStorage.setItem(this.TOKEN_KEY, data.access_token);
+    // Store access token, refresh token and expiry
+    this.storeTokens(data);
 
     // Extract and store username from JWT token
     try {
@@ -142,6 +153,113 @@ export class OAuth2Client {
     return data.access_token;
   }
 
+  /**
+   * Store the tokens from a token endpoint response
+   */
+  storeTokens(data) {
+    localStorage.setItem(this.TOKEN_KEY, data.access_token);
+
+    // Providers may rotate the refresh token or leave it out on refresh
+    if (data.refresh_token) {
+      localStorage.setItem(this.REFRESH_TOKEN_KEY, data.refresh_token);
+    }
+
+    if (data.expires_in) {
+      const expiresAt = Date.now() + data.expires_in * 1000;
+      localStorage.setItem(this.EXPIRES_AT_KEY, expiresAt.toString());
+    } else {
+      localStorage.removeItem(this.EXPIRES_AT_KEY);
+    }
+  }
+
+  /**
+   * Exchange the stored refresh token for a new access token
+   */
+  async refreshAccessToken() {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    const tokenParams = new URLSearchParams({
+      client_id: this.clientId,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    });
+
+    const response = await fetch(this.tokenEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+      },
+      body: tokenParams.toString(),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      throw new Error(`Token refresh failed: ${response.status} ${errorData}`);
+    }
+
+    const data = await response.json();
+    this.storeTokens(data);
+
+    return data.access_token;
+  }
+
+  /**
+   * Refresh the access token shortly before it expires, and keep doing so
+   * until cancelled or a refresh fails
+   */
+  scheduleTokenRefresh() {
+    this.cancelTokenRefresh();
+
+    const expiresAt = this.getTokenExpiry();
+    if (!expiresAt || !this.getRefreshToken()) {
+      return;
+    }
+
+    const delay = Math.max(expiresAt - this.refreshMarginMs - Date.now(), 0);
+    this.refreshTimer = setTimeout(async () => {
+      this.refreshTimer = null;
+      try {
+        const token = await this.refreshAccessToken();
+        this.dispatchEvent(new CustomEvent('tokenRefreshed', { detail: { token } }));
+        this.scheduleTokenRefresh();
+      } catch (error) {
+        this.dispatchEvent(new CustomEvent('tokenRefreshFailed', { detail: error }));
+      }
+    }, delay);
+  }
+
+  /**
+   * Stop the scheduled token refresh
+   */
+  cancelTokenRefresh() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Get the access token expiry in milliseconds, from expires_in or the JWT exp claim
+   */
+  getTokenExpiry() {
+    const expiresAt = parseInt(localStorage.getItem(this.EXPIRES_AT_KEY));
+    if (expiresAt) {
+      return expiresAt;
+    }
+
+    const token = this.getAccessToken();
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1]));
+      return payload.exp ? payload.exp * 1000 : null;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Extract username from JWT token
    */
@@ -174,6 +292,13 @@ export class OAuth2Client {
     return localStorage.getItem(this.TOKEN_KEY);
   }
 
+  /**
+   * Get stored refresh token
+   */
+  getRefreshToken() {
+    return localStorage.getItem(this.REFRESH_TOKEN_KEY);
+  }
+
   /**
    * Get stored username
    */
@@ -232,7 +357,10 @@ export class OAuth2Client {
    * Logout - clear stored tokens
    */
   logout() {
+    this.cancelTokenRefresh();
     localStorage.removeItem(this.TOKEN_KEY);
+    localStorage.removeItem(this.REFRESH_TOKEN_KEY);
+    localStorage.removeItem(this.EXPIRES_AT_KEY);
     localStorage.removeItem(this.USERNAME_KEY);
     sessionStorage.removeItem(this.CODE_VERIFIER_KEY);
   }
@@ -0,0 +1,97 @@
+/**
+ * Presence Tracker
+ * Works out who is online from presence heartbeats. Every open tab is a
+ * session that sends its status ('online' or 'away') every
+ * HEARTBEAT_INTERVAL, and 'offline' when it closes. A session that stops
+ * sending (crashed tab, lost network) counts as offline after OFFLINE_AFTER.
+ * A user's status is the liveliest of their sessions.
+ *
+ * Events: 'change' (detail: { username })
+ */
+
+const PRESENCE_STATUSES = ['online', 'away', 'offline'];
+const HEARTBEAT_INTERVAL = 15000;
+const OFFLINE_AFTER = 45000; // Three missed heartbeats
+const AWAY_AFTER = 5 * 60 * 1000; // Without input in the tab
+
+class PresenceTracker extends EventTarget {
+  constructor({ offlineAfter = OFFLINE_AFTER } = {}) {
+    super();
+    this.offlineAfter = offlineAfter;
+    this.sessions = new Map(); // Map<username, Map<session, { status, lastSeen }>>
+    this.announced = new Map(); // Map<username, status> as last told with 'change'
+  }
+
+  record({ username, session, status }, now = Date.now()) {
+    if (!this.sessions.has(username)) {
+      this.sessions.set(username, new Map());
+    }
+    const sessions = this.sessions.get(username);
+    if (status === 'offline') {
+      sessions.delete(session);
+    } else {
+      sessions.set(session, { status, lastSeen: now });
+    }
+    this.announce(username, now);
+  }
+
+  getStatus(username, now = Date.now()) {
+    const statuses = Array.from(this.sessions.get(username)?.values() || [])
+      .filter(({ lastSeen }) => now - lastSeen < this.offlineAfter)
+      .map(({ status }) => status);
+
+    if (statuses.includes('online')) {
+      return 'online';
+    }
+    return statuses.length > 0 ? 'away' : 'offline';
+  }
+
+  /**
+   * Forget sessions that stopped sending heartbeats, telling who went offline
+   */
+  sweep(now = Date.now()) {
+    for (const [username, sessions] of this.sessions) {
+      for (const [session, { lastSeen }] of sessions) {
+        if (now - lastSeen >= this.offlineAfter) {
+          sessions.delete(session);
+        }
+      }
+      if (sessions.size === 0) {
+        this.sessions.delete(username);
+      }
+      this.announce(username, now);
+    }
+  }
+
+  /**
+   * Users that are online or away, as [{ username, status }]
+   */
+  getUsers(now = Date.now()) {
+    return Array.from(this.sessions.keys())
+      .map(username => ({ username, status: this.getStatus(username, now) }))
+      .filter(({ status }) => status !== 'offline');
+  }
+
+  /**
+   * Dispatch 'change' when username's status isn't the one last told
+   */
+  announce(username, now) {
+    const status = this.getStatus(username, now);
+    if (status === (this.announced.get(username) || 'offline')) {
+      return;
+    }
+
+    if (status === 'offline') {
+      this.announced.delete(username);
+    } else {
+      this.announced.set(username, status);
+    }
+    this.dispatchEvent(
+      new CustomEvent('change', {
+        detail: { username },
+      })
+    );
+  }
+}
+
+export { PresenceTracker, PRESENCE_STATUSES, HEARTBEAT_INTERVAL, AWAY_AFTER };
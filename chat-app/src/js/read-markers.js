@@ -0,0 +1,92 @@
+/**
+ * Read Markers
+ * Remembers how far the user has read in every channel and DM, in localStorage
+ * so unread counts survive reloads. A marker holds the stream offset of the
+ * last read message when the transport numbers messages, and always its id
+ * and timestamp as a fallback.
+ *
+ * Events: 'change' when another tab moved a marker
+ */
+
+const STORAGE_PREFIX = 'wamschat_read_markers_';
+
+class ReadMarkers extends EventTarget {
+  constructor() {
+    super();
+    this.username = null;
+    this.markers = {}; // { [channelName]: { offset, messageId, timestamp } }
+
+    // Reading in one tab clears the badges in the others
+    window.addEventListener('storage', e => {
+      if (this.username && e.key === this.getStorageKey()) {
+        this.load(this.username);
+        this.dispatchEvent(new CustomEvent('change'));
+      }
+    });
+  }
+
+  getStorageKey() {
+    return `${STORAGE_PREFIX}${this.username}`;
+  }
+
+  load(username) {
+    this.username = username;
+    try {
+      this.markers = JSON.parse(localStorage.getItem(this.getStorageKey())) || {};
+    } catch (error) {
+      console.error('Failed to read the stored read markers:', error);
+      this.markers = {};
+    }
+  }
+
+  save() {
+    if (!this.username) {
+      return;
+    }
+    try {
+      localStorage.setItem(this.getStorageKey(), JSON.stringify(this.markers));
+    } catch (error) {
+      console.error('Failed to store the read markers:', error);
+    }
+  }
+
+  get(channelName) {
+    return this.markers[channelName] || null;
+  }
+
+  /**
+   * Whether a message comes after the channel's marker, everything is unread without one
+   */
+  isAfter(channelName, message, offset) {
+    const marker = this.get(channelName);
+    if (!marker) {
+      return true;
+    }
+
+    if (typeof offset === 'number' && typeof marker.offset === 'number') {
+      return offset > marker.offset;
+    }
+    if (message.id === marker.messageId) {
+      return false;
+    }
+    return Date.parse(message.timestamp) > Date.parse(marker.timestamp);
+  }
+
+  /**
+   * Move the marker up to message, it never moves back
+   */
+  markRead(channelName, message, offset) {
+    if (!this.isAfter(channelName, message, offset)) {
+      return;
+    }
+
+    this.markers[channelName] = {
+      offset: typeof offset === 'number' ? offset : null,
+      messageId: message.id,
+      timestamp: message.timestamp,
+    };
+    this.save();
+  }
+}
+
+export { ReadMarkers };
@@ -0,0 +1,35 @@
+/**
+ * Read Receipts
+ * In DMs each participant publishes 'receipt' messages naming the latest
+ * message they have read, on the DM stream itself so receipts are still
+ * there after a reload. Only the newest receipt per reader counts, readers
+ * only ever move forward.
+ */
+
+class ReadReceipts {
+  constructor() {
+    this.receipts = new Map(); // Map<channelName, Map<username, receipt>>
+  }
+
+  record(receipt) {
+    const { channel, username, timestamp } = receipt;
+    if (!this.receipts.has(channel)) {
+      this.receipts.set(channel, new Map());
+    }
+    const readers = this.receipts.get(channel);
+
+    const current = readers.get(username);
+    if (!current || Date.parse(current.timestamp) <= Date.parse(timestamp)) {
+      readers.set(username, receipt);
+    }
+  }
+
+  /**
+   * Id of the latest message username has read in channelName, or null
+   */
+  getReadUpTo(channelName, username) {
+    return this.receipts.get(channelName)?.get(username)?.target || null;
+  }
+}
+
+export { ReadReceipts };
@@ -0,0 +1,90 @@
+/**
+ * Seen Messages
+ * The ids of the last messages received on every stream, so copies of a
+ * message (outbox retries, publishes from several tabs, MQTT redeliveries)
+ * are dropped. Kept in localStorage per user next to the read markers, so
+ * duplicates are still caught after a reload.
+ *
+ * A message read again at the offset it was first seen at is the same
+ * stream entry (history replayed after a reload), not a duplicate. Without
+ * offsets every repeated id is one.
+ */
+
+const STORAGE_PREFIX = 'wamschat_seen_messages_';
+const SAVE_DELAY = 1000; // Replays record many ids at once, write them out together
+
+class SeenMessages {
+  constructor({ limit = 500 } = {}) {
+    this.limit = limit; // Ids kept per stream, the oldest are forgotten first
+    this.username = null;
+    this.streams = new Map(); // Map<streamName, Map<messageId, offset or null>> oldest first
+    this.saveTimer = null;
+  }
+
+  getStorageKey() {
+    return `${STORAGE_PREFIX}${this.username}`;
+  }
+
+  load(username) {
+    this.username = username;
+    this.streams = new Map();
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.getStorageKey())) || {};
+      for (const [streamName, entries] of Object.entries(stored)) {
+        this.streams.set(streamName, new Map(entries));
+      }
+    } catch (error) {
+      console.error('Failed to read the stored message ids:', error);
+    }
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.username) {
+      return;
+    }
+
+    const stored = {};
+    for (const [streamName, ids] of this.streams) {
+      stored[streamName] = Array.from(ids);
+    }
+    try {
+      localStorage.setItem(this.getStorageKey(), JSON.stringify(stored));
+    } catch (error) {
+      console.error('Failed to store the seen message ids:', error);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer === null) {
+      this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+  }
+
+  /**
+   * Whether a delivery is a copy of a message already seen on the stream,
+   * remembers the message when it isn't
+   */
+  isDuplicate(streamName, messageId, offset) {
+    if (!this.streams.has(streamName)) {
+      this.streams.set(streamName, new Map());
+    }
+    const ids = this.streams.get(streamName);
+    const position = typeof offset === 'number' ? offset : null;
+
+    if (ids.has(messageId)) {
+      const seenAt = ids.get(messageId);
+      return position === null || seenAt === null || seenAt !== position;
+    }
+
+    ids.set(messageId, position);
+    if (ids.size > this.limit) {
+      ids.delete(ids.keys().next().value);
+    }
+    this.scheduleSave();
+    return false;
+  }
+}
+
+export { SeenMessages };
@@ -0,0 +1,602 @@
+/**
+ * Shared Channel Manager
+ * Lets all open tabs share one broker connection. The leader tab runs the real
+ * ChatChannelManager and forwards its events to the other tabs; the other tabs
+ * send their calls to the leader. The UI uses this class exactly like a
+ * ChatChannelManager, whichever role the tab has.
+ *
+ * Connection events ('connecting', 'connected', 'disconnected', 'reconnecting',
+ * 'error') are re-dispatched on this object so followers can show them too.
+ */
+
+import { DIRECTORY_STREAM } from './channel-directory.js';
+import { getMembersStream, isPrivateChannel } from './channel-membership.js';
+
+// Channel manager events that are shown in every tab
+const RELAYED_EVENTS = [
+  'messageReceived',
+  'userNotificationReceived',
+  'channelCreated',
+  'channelSubscribed',
+  'channelUnsubscribed',
+  'channelsRestored',
+  'messageQueued',
+  'queuedMessageSent',
+  'messageSent',
+  'messageConfirmed',
+  'messageFailed',
+  'messageQuarantined',
+  'typingReceived',
+  'presenceReceived',
+  'duplicateSuppressed',
+];
+
+const CONNECTION_EVENTS = ['connecting', 'connected', 'disconnected', 'reconnecting', 'error'];
+
+// Calls a follower tab may make on the leader
+const REMOTE_METHODS = [
+  'createChannel',
+  'subscribeToChannel',
+  'unsubscribeFromChannel',
+  'subscribeToUserNotifications',
+  'subscribeToDirectory',
+  'publishDirectoryEvent',
+  'joinPrivateChannel',
+  'publishMembershipEvent',
+  'inviteToChannel',
+  'sendMessage',
+  'sendAttachment',
+  'editMessage',
+  'deleteMessage',
+  'sendReaction',
+  'sendReadReceipt',
+  'sendTyping',
+  'watchPresence',
+  'sendPresence',
+  'sendDMInitiationNotification',
+  'sendDMKey',
+  'loadSeenMessages',
+  'retryMessage',
+  'loadOlderMessages',
+  'retryNow',
+  'getHistory',
+  'getSnapshot',
+];
+
+const HISTORY_LIMIT = 1000; // Messages per channel kept to sync tabs that join later
+const QUARANTINE_LIMIT = 100; // Same as ChatChannelManager
+
+class SharedChannelManager extends EventTarget {
+  constructor(channelManager, connection, tabCoordinator) {
+    super();
+    this.channelManager = channelManager;
+    this.connection = connection;
+    this.tabCoordinator = tabCoordinator;
+
+    this.connectionStatus = 'disconnected';
+    this.connectionDetail = null;
+    this.subscriptionState = new Map(); // Map<channelName, state> as last seen from the leader
+    this.history = new Map(); // Map<channelName, Array<{ name, detail }>>
+    this.queuedMessages = new Map(); // Map<messageId, { streamName, message }> mirrored from the leader
+    this.failedMessages = new Map(); // Map<messageId, { streamName, message }> mirrored from the leader
+    this.quarantine = []; // Invalid deliveries mirrored from the leader
+    this.suppressedDuplicates = {}; // Copies dropped per stream, mirrored from the leader
+    this.syncedChannels = new Set(); // Channels this follower has fetched history for
+    this.syncingChannels = new Map(); // Map<channelName, Array<event>> events held back during sync
+    this.leaderReady = null;
+    // Run by a new leader before it connects, resolving false keeps it disconnected
+    this.beforeConnect = null;
+
+    RELAYED_EVENTS.forEach(name => {
+      this.channelManager.addEventListener(name, e => {
+        if (this.tabCoordinator.isLeader) {
+          this.handleLocalEvent(name, e.detail);
+        }
+      });
+    });
+
+    CONNECTION_EVENTS.forEach(name => {
+      this.connection.addEventListener(name, e => {
+        if (this.tabCoordinator.isLeader) {
+          this.handleLocalEvent(name, this.toTransferable(name, e.detail));
+        }
+      });
+    });
+
+    this.tabCoordinator.addEventListener('leadershipAcquired', () => {
+      this.leaderReady = this.becomeLeader();
+    });
+
+    this.tabCoordinator.addEventListener('remoteEvent', e => {
+      this.handleRemoteEvent(e.detail.name, e.detail.detail);
+    });
+
+    this.tabCoordinator.requestHandler = (method, args) => this.handleRequest(method, args);
+  }
+
+  /**
+   * Join the other tabs, resolves once this tab is connected as leader or
+   * synced with the leader as follower
+   */
+  async start() {
+    await this.tabCoordinator.start();
+
+    if (this.tabCoordinator.isLeader) {
+      await this.leaderReady;
+      return;
+    }
+
+    try {
+      const snapshot = await this.tabCoordinator.request('getSnapshot');
+      this.applySnapshot(snapshot);
+      await this.waitForConnection();
+    } catch (error) {
+      console.error('Failed to sync with the tab owning the connection:', error);
+    }
+  }
+
+  stop() {
+    this.tabCoordinator.stop();
+  }
+
+  hasOtherTabs() {
+    return this.tabCoordinator.hasPeers();
+  }
+
+  isLeader() {
+    return this.tabCoordinator.isLeader;
+  }
+
+  async becomeLeader() {
+    console.log('This tab now owns the broker connection');
+
+    // Take over the streams the previous leader was consuming, from where it stopped
+    this.channelManager.restoreSubscriptionState(Array.from(this.subscriptionState.values()));
+    await this.channelManager.outbox.reload();
+    this.channelManager.quarantine = this.quarantine.slice();
+    this.channelManager.suppressedDuplicates = new Map(Object.entries(this.suppressedDuplicates));
+
+    this.dispatchEvent(new CustomEvent('leaderElected'));
+    if (this.beforeConnect && !(await this.beforeConnect())) {
+      return;
+    }
+    await this.connection.connect();
+    this.broadcastState();
+  }
+
+  /**
+   * Resolve once the leader reports a connection, or after a timeout so a
+   * down broker doesn't block startup
+   */
+  waitForConnection(timeout = 10000) {
+    if (this.connectionStatus === 'connected') {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.removeEventListener('connected', done);
+        resolve();
+      };
+      const timer = setTimeout(done, timeout);
+      this.addEventListener('connected', done);
+    });
+  }
+
+  // Leader side
+
+  handleLocalEvent(name, detail) {
+    this.recordEvent(name, detail);
+    this.dispatchEvent(new CustomEvent(name, { detail }));
+    this.tabCoordinator.broadcastEvent(name, this.toTransferable(name, detail));
+
+    if (['channelCreated', 'channelSubscribed', 'channelUnsubscribed'].includes(name)) {
+      this.broadcastState();
+    }
+  }
+
+  broadcastState() {
+    this.tabCoordinator.broadcastEvent('subscriptionState', this.channelManager.getSubscriptionState());
+  }
+
+  async handleRequest(method, args) {
+    if (!REMOTE_METHODS.includes(method)) {
+      throw new Error(`Unknown method ${method}`);
+    }
+
+    switch (method) {
+      case 'createChannel':
+        // channelInfo holds transport objects that can't cross tabs
+        await this.channelManager.createChannel(...args);
+        return null;
+      case 'retryNow':
+        this.connection.retryNow();
+        return null;
+      case 'getHistory':
+        return this.history.get(args[0]) || [];
+      case 'getSnapshot':
+        return {
+          connectionStatus: this.connectionStatus,
+          connectionDetail: this.connectionDetail,
+          subscriptions: this.channelManager.getSubscriptionState(),
+          queued: this.channelManager.outbox.getEntries(),
+          failed: Array.from(this.channelManager.failedMessages.values()),
+          quarantine: this.channelManager.getQuarantine(),
+          duplicates: this.channelManager.getSuppressedDuplicates(),
+        };
+      default:
+        return this.channelManager[method](...args);
+    }
+  }
+
+  // Follower side
+
+  applySnapshot({
+    connectionStatus,
+    connectionDetail,
+    subscriptions,
+    queued,
+    failed,
+    quarantine = [],
+    duplicates = {},
+  }) {
+    this.setSubscriptionState(subscriptions);
+    queued.forEach(entry => this.queuedMessages.set(entry.message.id, entry));
+    failed.forEach(entry => this.failedMessages.set(entry.message.id, entry));
+    this.quarantine = quarantine;
+    this.suppressedDuplicates = { ...duplicates };
+
+    subscriptions
+      .filter(({ name }) => !name.startsWith('user-notifications-'))
+      .forEach(({ name }) => {
+        this.dispatchEvent(new CustomEvent('channelCreated', { detail: { channelName: name } }));
+      });
+
+    if (connectionStatus !== this.connectionStatus) {
+      this.connectionStatus = connectionStatus;
+      this.connectionDetail = connectionDetail;
+      this.dispatchEvent(new CustomEvent(connectionStatus, { detail: connectionDetail }));
+    }
+  }
+
+  setSubscriptionState(subscriptions) {
+    // Keep the newest offset seen, events can be ahead of the last state broadcast
+    const previous = this.subscriptionState;
+    this.subscriptionState = new Map(subscriptions.map(state => {
+      const lastOffset = Math.max(state.lastOffset ?? -1, previous.get(state.name)?.lastOffset ?? -1);
+      return [state.name, { ...state, lastOffset: lastOffset < 0 ? null : lastOffset }];
+    }));
+  }
+
+  handleRemoteEvent(name, detail) {
+    if (this.tabCoordinator.isLeader) {
+      return;
+    }
+
+    if (name === 'subscriptionState') {
+      this.setSubscriptionState(detail);
+      return;
+    }
+
+    this.recordEvent(name, detail);
+
+    // Hold back stream messages until the channel's history has been fetched
+    const channelName = detail?.channelName;
+    if (['messageReceived', 'userNotificationReceived'].includes(name)) {
+      if (this.syncingChannels.has(channelName)) {
+        this.syncingChannels.get(channelName).push({ name, detail });
+        return;
+      }
+      if (!this.syncedChannels.has(channelName)) {
+        return;
+      }
+    }
+
+    this.dispatchEvent(new CustomEvent(name, { detail }));
+  }
+
+  /**
+   * Subscribe through the leader, then replay what it has already received
+   * for this channel without showing anything twice
+   */
+  async syncChannel(channelName, subscribe) {
+    this.syncingChannels.set(channelName, []);
+    try {
+      await subscribe();
+      const history = await this.tabCoordinator.request('getHistory', [channelName]);
+      const held = this.syncingChannels.get(channelName);
+
+      const seen = new Set();
+      [...history, ...held].forEach(event => {
+        const id = this.getEventMessageId(event.detail);
+        if (id && seen.has(id)) {
+          return;
+        }
+        seen.add(id);
+        this.dispatchEvent(new CustomEvent(event.name, { detail: event.detail }));
+      });
+
+      this.syncedChannels.add(channelName);
+    } finally {
+      this.syncingChannels.delete(channelName);
+    }
+  }
+
+  // Shared bookkeeping
+
+  recordEvent(name, detail) {
+    if (CONNECTION_EVENTS.includes(name)) {
+      if (name !== 'error') {
+        this.connectionStatus = name;
+        this.connectionDetail = detail ?? null;
+      }
+      return;
+    }
+
+    const id = detail?.message?.id;
+    switch (name) {
+      case 'messageReceived':
+      case 'userNotificationReceived':
+        this.recordHistory(name, detail);
+        break;
+      case 'messageQueued':
+        this.queuedMessages.set(id, { streamName: detail.channelName, message: detail.message });
+        break;
+      case 'queuedMessageSent':
+        this.queuedMessages.delete(id);
+        break;
+      case 'messageFailed':
+        this.failedMessages.set(id, { streamName: detail.channelName, message: detail.message });
+        break;
+      case 'messageQuarantined':
+        this.quarantine = [...this.quarantine, detail.entry].slice(-QUARANTINE_LIMIT);
+        break;
+      case 'duplicateSuppressed':
+        this.suppressedDuplicates = { ...this.suppressedDuplicates, [detail.channelName]: detail.count };
+        break;
+    }
+  }
+
+  recordHistory(name, detail) {
+    const { channelName, offset } = detail;
+    if (!this.history.has(channelName)) {
+      this.history.set(channelName, []);
+    }
+
+    const events = this.history.get(channelName);
+    events.push({ name, detail });
+    if (events.length > HISTORY_LIMIT) {
+      events.shift();
+    }
+
+    // Remember how far the leader got, in case this tab has to take over
+    const state = this.subscriptionState.get(channelName);
+    if (state && typeof offset === 'number' && (state.lastOffset === null || offset > state.lastOffset)) {
+      state.lastOffset = offset;
+    }
+  }
+
+  getEventMessageId(detail) {
+    return detail?.message?.id || detail?.notification?.id;
+  }
+
+  /**
+   * Errors don't survive structured cloning in every browser, send their message
+   */
+  toTransferable(name, detail) {
+    if (name === 'error') {
+      return {
+        message: detail?.message || String(detail),
+        reconnectAttempts: this.connection.reconnectAttempts,
+      };
+    }
+
+    if (detail?.error instanceof Error) {
+      return { ...detail, error: { message: detail.error.message } };
+    }
+
+    return detail;
+  }
+
+  // ChatChannelManager interface
+
+  async callLeader(method, args) {
+    if (this.tabCoordinator.isLeader) {
+      return this.handleRequest(method, args);
+    }
+    return this.tabCoordinator.request(method, args);
+  }
+
+  createChannel(channelName, options) {
+    return this.callLeader('createChannel', [channelName, options]);
+  }
+
+  async subscribeToChannel(channelName, username) {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.subscribeToChannel(channelName, username);
+    }
+    return this.syncChannel(channelName, () =>
+      this.tabCoordinator.request('subscribeToChannel', [channelName, username])
+    );
+  }
+
+  async unsubscribeFromChannel(channelName, username) {
+    this.syncedChannels.delete(channelName);
+    if (isPrivateChannel(channelName)) {
+      // The leader drops the members stream along with the channel
+      this.syncedChannels.delete(getMembersStream(channelName));
+    }
+    return this.callLeader('unsubscribeFromChannel', [channelName, username]);
+  }
+
+  async subscribeToUserNotifications(username) {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.subscribeToUserNotifications(username);
+    }
+    return this.syncChannel(`user-notifications-${username}`, () =>
+      this.tabCoordinator.request('subscribeToUserNotifications', [username])
+    );
+  }
+
+  async subscribeToDirectory(username) {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.subscribeToDirectory(username);
+    }
+    return this.syncChannel(DIRECTORY_STREAM, () =>
+      this.tabCoordinator.request('subscribeToDirectory', [username])
+    );
+  }
+
+  publishDirectoryEvent(channelName, username, action, topic) {
+    return this.callLeader('publishDirectoryEvent', [channelName, username, action, topic]);
+  }
+
+  /**
+   * The leader subscribes to the channel and its members stream, replay
+   * what it already has of both
+   */
+  async joinPrivateChannel(channelName, username, options) {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.joinPrivateChannel(channelName, username, options);
+    }
+    return this.syncChannel(channelName, () =>
+      this.syncChannel(getMembersStream(channelName), () =>
+        this.tabCoordinator.request('joinPrivateChannel', [channelName, username, options])
+      )
+    );
+  }
+
+  publishMembershipEvent(channelName, username, action, member) {
+    return this.callLeader('publishMembershipEvent', [channelName, username, action, member]);
+  }
+
+  inviteToChannel(channelName, fromUsername, toUsername) {
+    return this.callLeader('inviteToChannel', [channelName, fromUsername, toUsername]);
+  }
+
+  sendMessage(channelName, username, content, parentId, encrypted) {
+    return this.callLeader('sendMessage', [channelName, username, content, parentId, encrypted]);
+  }
+
+  sendAttachment(channelName, username, file, parentId) {
+    return this.callLeader('sendAttachment', [channelName, username, file, parentId]);
+  }
+
+  editMessage(channelName, username, original, content) {
+    return this.callLeader('editMessage', [channelName, username, original, content]);
+  }
+
+  deleteMessage(channelName, username, original) {
+    return this.callLeader('deleteMessage', [channelName, username, original]);
+  }
+
+  sendReaction(channelName, username, messageId, emoji, action) {
+    return this.callLeader('sendReaction', [channelName, username, messageId, emoji, action]);
+  }
+
+  sendReadReceipt(channelName, username, messageId) {
+    return this.callLeader('sendReadReceipt', [channelName, username, messageId]);
+  }
+
+  sendTyping(channelName, username) {
+    return this.callLeader('sendTyping', [channelName, username]);
+  }
+
+  watchPresence() {
+    return this.callLeader('watchPresence', []);
+  }
+
+  sendPresence(username, status, session) {
+    return this.callLeader('sendPresence', [username, status, session]);
+  }
+
+  // Every tab is started with the same configuration
+  isModerator(username) {
+    return this.channelManager.isModerator(username);
+  }
+
+  /**
+   * Load them here too, so they are ready if this tab takes over the connection
+   */
+  async loadSeenMessages(username) {
+    this.channelManager.loadSeenMessages(username);
+    if (!this.tabCoordinator.isLeader) {
+      await this.tabCoordinator.request('loadSeenMessages', [username]);
+    }
+  }
+
+  sendDMInitiationNotification(fromUsername, toUsername, dmChannelName) {
+    return this.callLeader('sendDMInitiationNotification', [fromUsername, toUsername, dmChannelName]);
+  }
+
+  sendDMKey(fromUsername, toUsername, publicKey) {
+    return this.callLeader('sendDMKey', [fromUsername, toUsername, publicKey]);
+  }
+
+  retryMessage(messageId) {
+    this.failedMessages.delete(messageId);
+    return this.callLeader('retryMessage', [messageId]);
+  }
+
+  retryNow() {
+    return this.callLeader('retryNow', []);
+  }
+
+  loadOlderMessages(channelName, beforeOffset) {
+    return this.callLeader('loadOlderMessages', [channelName, beforeOffset]);
+  }
+
+  get supportsHistory() {
+    return this.channelManager.transport.supportsHistory;
+  }
+
+  get maxAttachmentBytes() {
+    return this.channelManager.attachments.maxBytes;
+  }
+
+  getQueuedMessages(channelName) {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.getQueuedMessages(channelName);
+    }
+    return Array.from(this.queuedMessages.values())
+      .filter(entry => entry.streamName === channelName)
+      .map(entry => entry.message);
+  }
+
+  getFailedMessages(channelName) {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.getFailedMessages(channelName);
+    }
+    return Array.from(this.failedMessages.values())
+      .filter(entry => entry.streamName === channelName)
+      .map(entry => entry.message);
+  }
+
+  getQuarantine() {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.getQuarantine();
+    }
+    return this.quarantine.slice();
+  }
+
+  getSuppressedDuplicates() {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.getSuppressedDuplicates();
+    }
+    return { ...this.suppressedDuplicates };
+  }
+
+  getChannels() {
+    if (this.tabCoordinator.isLeader) {
+      return this.channelManager.getChannels();
+    }
+    return Array.from(this.subscriptionState.keys());
+  }
+
+  getActiveChannel() {
+    return this.channelManager.getActiveChannel();
+  }
+}
+
+export { SharedChannelManager };
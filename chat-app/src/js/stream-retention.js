@@ -0,0 +1,98 @@
+/**
+ * Stream Retention
+ * How long, and how much of, a stream the broker keeps. Retention is fixed
+ * when the stream is first declared: chat channels (public or private) pick
+ * a preset when they are created, the other streams get the default for
+ * their kind.
+ *
+ * A retention is { maxAge, maxLengthBytes, segmentSizeBytes }, maxAge in the
+ * broker's x-max-age format (e.g. '1h', '7D'), unset fields are left to the broker.
+ */
+
+import { DIRECTORY_STREAM } from './channel-directory.js';
+import { PRIVATE_PREFIX, isPrivateChannel } from './channel-membership.js';
+
+const NOTIFICATIONS_PREFIX = 'user-notifications-';
+const SHARED_NOTIFICATIONS_STREAM = '_notifications'; // Everyone's notifications with amqp.sharedNotifications
+const DM_PREFIX = 'dm-';
+const MB = 1024 * 1024;
+
+const RETENTION_PRESETS = {
+  hour: { label: '1 hour', maxAge: '1h' },
+  day: { label: '1 day', maxAge: '1D' },
+  week: { label: '1 week', maxAge: '7D', maxLengthBytes: 100 * MB },
+  month: { label: '30 days', maxAge: '30D', maxLengthBytes: 500 * MB, segmentSizeBytes: 50 * MB },
+};
+
+const DEFAULT_RETENTION = {
+  channel: RETENTION_PRESETS.hour,
+  dm: RETENTION_PRESETS.month, // Conversations are worth keeping
+  notifications: { maxAge: '15m' }, // Only read while the user is online
+  directory: { maxAge: '1Y' }, // Replayed from the start to rebuild the catalog
+  private: RETENTION_PRESETS.hour,
+  members: { maxAge: '1Y' }, // Replayed from the start like the directory
+};
+
+/**
+ * 'channel', 'private', 'members', 'dm', 'notifications' or 'directory',
+ * from the stream naming scheme
+ */
+function getStreamKind(streamName) {
+  if (streamName === DIRECTORY_STREAM) {
+    return 'directory';
+  }
+  if (streamName === SHARED_NOTIFICATIONS_STREAM) {
+    return 'notifications';
+  }
+  if (streamName.startsWith(PRIVATE_PREFIX)) {
+    return isPrivateChannel(streamName) ? 'private' : 'members';
+  }
+  if (streamName.startsWith(NOTIFICATIONS_PREFIX)) {
+    return 'notifications';
+  }
+  if (streamName.startsWith(DM_PREFIX)) {
+    return 'dm';
+  }
+  return 'channel';
+}
+
+/**
+ * Check a retention passed to createChannel(), throws on values the broker would reject
+ */
+function validateRetention({ maxAge, maxLengthBytes, segmentSizeBytes } = {}) {
+  if (maxAge !== undefined && !/^\d+[YMDhms]$/.test(maxAge)) {
+    throw new Error(`Invalid maxAge ${maxAge}, expected a number followed by Y, M, D, h, m or s`);
+  }
+
+  for (const [name, value] of Object.entries({ maxLengthBytes, segmentSizeBytes })) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(`Invalid ${name} ${value}, expected a positive number of bytes`);
+    }
+  }
+}
+
+/**
+ * Queue arguments declaring a stream with this retention
+ */
+function toStreamArguments({ maxAge, maxLengthBytes, segmentSizeBytes }) {
+  const args = { 'x-queue-type': 'stream' };
+  if (maxAge) {
+    args['x-max-age'] = maxAge;
+  }
+  if (maxLengthBytes) {
+    args['x-max-length-bytes'] = maxLengthBytes;
+  }
+  if (segmentSizeBytes) {
+    args['x-stream-max-segment-size-bytes'] = segmentSizeBytes;
+  }
+  return args;
+}
+
+export {
+  RETENTION_PRESETS,
+  DEFAULT_RETENTION,
+  SHARED_NOTIFICATIONS_STREAM,
+  getStreamKind,
+  validateRetention,
+  toStreamArguments,
+};
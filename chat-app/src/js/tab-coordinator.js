@@ -0,0 +1,204 @@
+/**
+ * Tab Coordinator
+ * Elects one browser tab as the leader that owns the AMQP connection and lets
+ * the other tabs talk to it over a BroadcastChannel. Leadership is a Web Lock,
+ * so when the leader tab closes the next waiting tab takes over automatically.
+ *
+ * Events: 'leadershipAcquired', 'remoteEvent' (detail: { name, detail }),
+ * 'logout'
+ */
+
+const LOCK_NAME = 'wamschat-connection';
+const CHANNEL_NAME = 'wamschat';
+
+class TabCoordinator extends EventTarget {
+  constructor() {
+    super();
+    this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.isLeader = false;
+    this.peers = new Set(); // Other open tabs
+    this.requestHandler = null; // Answers requests from other tabs while leader
+    this.pendingRequests = new Map(); // Map<requestId, { resolve, reject, timer }>
+    // Well over the leader's confirmTimeout, so a publish it is still waiting on gets its real outcome
+    this.requestTimeout = 30000;
+    this.releaseLeadership = null;
+    this.channel = null;
+  }
+
+  /**
+   * Whether tabs can share a connection in this browser
+   */
+  isSupported() {
+    return typeof BroadcastChannel !== 'undefined' && !!navigator.locks;
+  }
+
+  /**
+   * Join the other tabs, resolves once it's known whether this tab is the leader
+   */
+  start() {
+    if (!this.isSupported()) {
+      // Every tab keeps its own connection, as before
+      this.becomeLeader();
+      return Promise.resolve();
+    }
+
+    this.channel = new BroadcastChannel(CHANNEL_NAME);
+    this.channel.onmessage = event => {
+      this.handleChannelMessage(event.data);
+    };
+    this.post({ type: 'hello' });
+
+    return new Promise(resolve => {
+      navigator.locks.request(LOCK_NAME, { ifAvailable: true }, lock => {
+        if (lock) {
+          resolve();
+          return this.holdLeadership();
+        }
+
+        // Another tab owns the connection, queue up to take over when it closes
+        resolve();
+        navigator.locks.request(LOCK_NAME, () => this.holdLeadership());
+        return undefined;
+      });
+    });
+  }
+
+  /**
+   * Become leader and keep the lock until stop() is called or the tab closes
+   */
+  holdLeadership() {
+    return new Promise(resolve => {
+      this.releaseLeadership = resolve;
+      this.becomeLeader();
+    });
+  }
+
+  becomeLeader() {
+    this.isLeader = true;
+    this.post({ type: 'leader' });
+    this.dispatchEvent(new CustomEvent('leadershipAcquired'));
+  }
+
+  /**
+   * Leave the group, handing leadership over to the next tab
+   */
+  stop() {
+    this.post({ type: 'bye' });
+    this.isLeader = false;
+
+    if (this.releaseLeadership) {
+      this.releaseLeadership();
+      this.releaseLeadership = null;
+    }
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  hasPeers() {
+    return this.peers.size > 0;
+  }
+
+  post(data) {
+    if (this.channel) {
+      this.channel.postMessage({ ...data, from: this.tabId });
+    }
+  }
+
+  /**
+   * Forward an event to every other tab
+   */
+  broadcastEvent(name, detail) {
+    this.post({ type: 'event', name, detail });
+  }
+
+  broadcastLogout() {
+    this.post({ type: 'logout' });
+  }
+
+  /**
+   * Ask the leader tab to run a method, resolves with its result
+   */
+  request(method, args = []) {
+    if (!this.channel) {
+      return Promise.reject(new Error('Tab coordination is not running'));
+    }
+
+    const id = `${this.tabId}_${Math.random().toString(36).substr(2, 9)}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`No tab answered ${method}, the connection owner may be closing`));
+      }, this.requestTimeout);
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+      this.post({ type: 'request', id, method, args });
+    });
+  }
+
+  async handleRequest({ id, method, args, from }) {
+    if (!this.isLeader || !this.requestHandler) {
+      return;
+    }
+
+    try {
+      const result = await this.requestHandler(method, args);
+      this.post({ type: 'response', id, to: from, result });
+    } catch (error) {
+      // The code lets the follower tell known failures apart
+      this.post({ type: 'response', id, to: from, error: error.message, code: error.code });
+    }
+  }
+
+  handleResponse({ id, to, result, error, code }) {
+    if (to !== this.tabId || !this.pendingRequests.has(id)) {
+      return;
+    }
+
+    const { resolve, reject, timer } = this.pendingRequests.get(id);
+    clearTimeout(timer);
+    this.pendingRequests.delete(id);
+
+    if (error) {
+      reject(Object.assign(new Error(error), code ? { code } : {}));
+    } else {
+      resolve(result);
+    }
+  }
+
+  handleChannelMessage(data) {
+    switch (data.type) {
+      case 'hello':
+        this.peers.add(data.from);
+        this.post({ type: 'here' });
+        break;
+      case 'here':
+      case 'leader':
+        this.peers.add(data.from);
+        break;
+      case 'bye':
+        this.peers.delete(data.from);
+        break;
+      case 'request':
+        this.handleRequest(data);
+        break;
+      case 'response':
+        this.handleResponse(data);
+        break;
+      case 'event':
+        this.dispatchEvent(
+          new CustomEvent('remoteEvent', {
+            detail: { name: data.name, detail: data.detail },
+          })
+        );
+        break;
+      case 'logout':
+        this.dispatchEvent(new CustomEvent('logout'));
+        break;
+    }
+  }
+}
+
+export { TabCoordinator };
@@ -0,0 +1,88 @@
+/**
+ * Typing Indicators
+ * Keeps track of who is typing where. Typing events are transient and carry
+ * no "stopped" counterpart, so the sending side throttles them and the
+ * receiving side forgets a typist once their events stop coming.
+ *
+ * Events: 'change' (detail: { channelName })
+ */
+
+const TYPING_THROTTLE = 3000; // At most one typing event per channel this often
+const TYPING_TIMEOUT = 5000; // A typist is dropped after this long without another event
+
+class TypingIndicators extends EventTarget {
+  constructor({ throttle = TYPING_THROTTLE, timeout = TYPING_TIMEOUT } = {}) {
+    super();
+    this.throttle = throttle;
+    this.timeout = timeout;
+    this.lastSent = new Map(); // Map<channelName, time our last typing event was sent>
+    this.typists = new Map(); // Map<channelName, Map<username, expiry timer>>
+  }
+
+  /**
+   * Whether a keystroke in channelName should send a typing event now
+   */
+  shouldSend(channelName, now = Date.now()) {
+    const last = this.lastSent.get(channelName);
+    if (last !== undefined && now - last < this.throttle) {
+      return false;
+    }
+    this.lastSent.set(channelName, now);
+    return true;
+  }
+
+  /**
+   * Our message was sent, the next keystroke starts a new typing event
+   */
+  resetThrottle(channelName) {
+    this.lastSent.delete(channelName);
+  }
+
+  record(channelName, username) {
+    if (!this.typists.has(channelName)) {
+      this.typists.set(channelName, new Map());
+    }
+    const users = this.typists.get(channelName);
+    const isNew = !users.has(username);
+
+    clearTimeout(users.get(username));
+    users.set(
+      username,
+      setTimeout(() => {
+        this.clear(channelName, username);
+      }, this.timeout)
+    );
+
+    if (isNew) {
+      this.dispatchChange(channelName);
+    }
+  }
+
+  /**
+   * username stopped typing, e.g. their message came in
+   */
+  clear(channelName, username) {
+    const users = this.typists.get(channelName);
+    if (!users?.has(username)) {
+      return;
+    }
+
+    clearTimeout(users.get(username));
+    users.delete(username);
+    this.dispatchChange(channelName);
+  }
+
+  getTypists(channelName) {
+    return Array.from(this.typists.get(channelName)?.keys() || []).sort();
+  }
+
+  dispatchChange(channelName) {
+    this.dispatchEvent(
+      new CustomEvent('change', {
+        detail: { channelName },
+      })
+    );
+  }
+}
+
+export { TypingIndicators };
@@ -0,0 +1,105 @@
+/**
+ * Tests for AmqpConnectionManager
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const connectMock = vi.fn();
+const createdUrls = [];
+
+vi.mock('@cloudamqp/amqp-client', () => ({
+  AMQPWebSocketClient: class {
+    constructor(url) {
+      createdUrls.push(url);
+    }
+
+    connect() {
+      return connectMock();
+    }
+
+    channel() {
+      return Promise.resolve({});
+    }
+  },
+}));
+
+const { AmqpConnectionManager } = await import('../src/js/amqp-connection.js');
+
+describe('AmqpConnectionManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    connectMock.mockReset();
+    createdUrls.length = 0;
+    manager = new AmqpConnectionManager();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('parseEndpoints', () => {
+    it('should accept host:port entries and full URLs', () => {
+      const endpoints = manager.parseEndpoints('node1:15673, node2 ,wss://node3.example.com');
+
+      expect(endpoints).toEqual([
+        'ws://node1:15673',
+        `ws://node2:${manager.config.port}`,
+        'wss://node3.example.com',
+      ]);
+    });
+
+    it('should fall back to the configured host', () => {
+      expect(manager.parseEndpoints('')).toEqual([
+        `ws://${manager.config.hostname}:${manager.config.port}`,
+      ]);
+    });
+  });
+
+  describe('getReconnectDelay', () => {
+    it('should cap the backoff and add jitter', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      manager.reconnectAttempts = 20;
+      expect(manager.getReconnectDelay()).toBe(manager.maxReconnectDelay / 2);
+
+      Math.random.mockReturnValue(0.999999);
+      expect(manager.getReconnectDelay()).toBe(manager.maxReconnectDelay);
+    });
+  });
+
+  describe('reconnect', () => {
+    it('should rotate through endpoints and never give up', async () => {
+      manager.endpoints = ['ws://a:1', 'ws://b:1'];
+      connectMock.mockRejectedValue(new Error('connection refused'));
+      const reconnecting = vi.fn();
+      manager.addEventListener('reconnecting', reconnecting);
+
+      await manager.connect();
+      for (let i = 0; i < 10; i++) {
+        await vi.advanceTimersByTimeAsync(manager.maxReconnectDelay);
+      }
+
+      expect(createdUrls.slice(0, 4)).toEqual(['ws://a:1', 'ws://b:1', 'ws://a:1', 'ws://b:1']);
+      expect(reconnecting.mock.calls.length).toBeGreaterThan(5);
+      expect(reconnecting.mock.calls[0][0].detail).toMatchObject({ attempt: 1, endpoint: 'ws://b:1' });
+    });
+
+    it('should reconnect immediately on retryNow', async () => {
+      connectMock.mockRejectedValueOnce(new Error('connection refused'));
+      connectMock.mockResolvedValue(undefined);
+      const connected = vi.fn();
+      manager.addEventListener('connected', connected);
+
+      await manager.connect();
+      expect(manager.isConnected).toBe(false);
+
+      manager.retryNow();
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(connected).toHaveBeenCalledTimes(1);
+      expect(manager.reconnectTimer).toBeNull();
+    });
+  });
+});
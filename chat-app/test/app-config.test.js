@@ -0,0 +1,109 @@
+/**
+ * Tests for runtime configuration loading
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getDefaultConfig, validateConfig, mergeConfig, loadConfig } from '../src/js/app-config.js';
+import indexHtml from '../src/index.html?raw';
+
+const jsonResponse = (body, contentType = 'application/json') => ({
+  ok: true,
+  headers: { get: () => contentType },
+  json: vi.fn(async () => body),
+});
+
+describe('app-config', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    delete window.__WAMSCHAT_CONFIG__;
+  });
+
+  describe('validateConfig', () => {
+    it('should accept the build-time defaults', () => {
+      expect(validateConfig(getDefaultConfig())).toEqual([]);
+    });
+
+    it('should report invalid values', () => {
+      const config = mergeConfig(getDefaultConfig(), {
+        transport: 'stomp',
+        history: { pageSize: 5000 },
+        moderators: 'alice',
+        amqp: { port: 'abc', endpointStrategy: 'random', maxChannels: 0 },
+        oauth: { clientId: 'chat', authorizationEndpoint: 'not a url' },
+      });
+
+      const errors = validateConfig(config);
+
+      expect(errors).toContain('amqp.port must be an integer between 1 and 65535');
+      expect(errors).toContain('amqp.endpointStrategy must be one of priority, round-robin');
+      expect(errors).toContain('amqp.maxChannels must be a positive integer');
+      expect(errors).toContain('transport must be one of amqp, mqtt');
+      expect(errors).toContain('history.pageSize must be an integer between 1 and 1000');
+      expect(errors).toContain('moderators must be an array of usernames');
+      expect(errors).toContain('oauth.authorizationEndpoint must be a URL');
+    });
+  });
+
+  describe('loadConfig', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should overlay config.json on the defaults', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ amqp: { hostname: 'broker.example.com' } })));
+
+      const config = await loadConfig();
+
+      expect(config.amqp.hostname).toBe('broker.example.com');
+      expect(config.amqp.vhost).toBe(getDefaultConfig().amqp.vhost);
+      expect(config.errors).toEqual([]);
+    });
+
+    it('should prefer a config.js global over config.json', async () => {
+      const fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+      window.__WAMSCHAT_CONFIG__ = { amqp: { vhost: 'chat' } };
+
+      const config = await loadConfig();
+
+      expect(config.amqp.vhost).toBe('chat');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the defaults when the config.js global is invalid', async () => {
+      vi.stubGlobal('fetch', vi.fn());
+      window.__WAMSCHAT_CONFIG__ = { transport: 'stomp', amqp: { vhost: 'chat' } };
+
+      const config = await loadConfig();
+
+      expect(config.amqp.vhost).toBe(getDefaultConfig().amqp.vhost);
+      expect(config.errors).toEqual(['transport must be one of amqp, mqtt']);
+    });
+
+    it('should load config.js before the app', () => {
+      const scripts = Array.from(
+        new DOMParser().parseFromString(indexHtml, 'text/html').querySelectorAll('script'),
+        script => script.getAttribute('src')
+      );
+
+      expect(scripts).toEqual(['config.js', 'js/main.js']);
+    });
+
+    it('should ignore an index.html fallback response', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(null, 'text/html')));
+
+      const config = await loadConfig();
+
+      expect(config.amqp).toEqual(getDefaultConfig().amqp);
+    });
+
+    it('should fall back to the defaults when the file is invalid', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ amqp: { port: 0 } })));
+
+      const config = await loadConfig();
+
+      expect(config.amqp.port).toBe(getDefaultConfig().amqp.port);
+      expect(config.errors).toHaveLength(1);
+    });
+  });
+});
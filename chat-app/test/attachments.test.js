@@ -0,0 +1,175 @@
+/**
+ * Tests for file attachments sent in chunks
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { AttachmentAssembler, CHUNK_SIZE, prepareAttachment } from '../src/js/attachments.js';
+import { openEnvelope, sealEnvelope } from '../src/js/message-envelope.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { getDefaultConfig, validateConfig } from '../src/js/app-config.js';
+
+const createFile = size => ({
+  name: 'photo.png',
+  type: 'image/png',
+  bytes: Uint8Array.from({ length: size }, (_, index) => index % 251),
+});
+
+/**
+ * The attachment message and chunk messages of a file, as received
+ */
+async function createDelivery(file, username = 'alice') {
+  const { attachment, chunks } = await prepareAttachment(file, Infinity);
+  const message = { id: 'a1', username, attachment };
+  const chunkMessages = chunks.map((data, index) => ({
+    id: `c${index}`,
+    username,
+    target: 'a1',
+    index,
+    data,
+  }));
+  return { message, chunks: chunkMessages };
+}
+
+/**
+ * Resolves with the state of messageId once it stops receiving
+ */
+function settled(assembler, messageId) {
+  return new Promise(resolve => {
+    assembler.addEventListener('attachmentUpdated', () => {
+      const state = assembler.getState(messageId);
+      if (!['receiving', 'verifying'].includes(state.status)) {
+        resolve(state);
+      }
+    });
+  });
+}
+
+describe('AttachmentAssembler', () => {
+  it('should put chunks back together in any order', async () => {
+    const file = createFile(CHUNK_SIZE * 2 + 10);
+    const { message, chunks } = await createDelivery(file);
+    const assembler = new AttachmentAssembler();
+    const done = settled(assembler, 'a1');
+
+    assembler.addChunk(chunks[2]);
+    assembler.expect(message);
+    assembler.addChunk(chunks[0]);
+    expect(assembler.getState('a1')).toMatchObject({ status: 'receiving', received: 2 });
+    assembler.addChunk(chunks[1]);
+
+    expect(await done).toMatchObject({ status: 'complete', received: 3 });
+    const { blob } = assembler.attachments.get('a1');
+    expect(blob).toMatchObject({ type: 'image/png', size: file.bytes.length });
+  });
+
+  it('should report files that fail the integrity check as corrupted', async () => {
+    const { message, chunks } = await createDelivery(createFile(100));
+    const assembler = new AttachmentAssembler();
+    const done = settled(assembler, 'a1');
+
+    assembler.expect(message);
+    assembler.addChunk({ ...chunks[0], data: btoa('tampered') });
+
+    expect(await done).toMatchObject({ status: 'corrupted' });
+  });
+
+  it('should report uploads that stop as incomplete, ignoring chunks from others', async () => {
+    const { message, chunks } = await createDelivery(createFile(CHUNK_SIZE + 1));
+    const assembler = new AttachmentAssembler({ stallTimeout: 10 });
+    const done = settled(assembler, 'a1');
+
+    assembler.expect(message);
+    assembler.addChunk(chunks[0]);
+    assembler.addChunk({ ...chunks[1], username: 'mallory' });
+
+    expect(await done).toMatchObject({ status: 'incomplete', received: 1 });
+  });
+
+  it('should not assemble attachments over its size limit', async () => {
+    const { message } = await createDelivery(createFile(100));
+    const assembler = new AttachmentAssembler({ maxBytes: 50 });
+
+    assembler.expect(message);
+
+    expect(assembler.getState('a1').status).toBe('too-large');
+  });
+});
+
+describe('attachment envelopes', () => {
+  it('should check the description against its chunks', async () => {
+    const { message, chunks } = await createDelivery(createFile(CHUNK_SIZE + 1));
+    const seal = fields =>
+      JSON.stringify(
+        sealEnvelope({
+          type: 'message',
+          channel: 'general',
+          content: 'photo.png',
+          timestamp: '2026-01-01T12:00:00.000Z',
+          ...message,
+          ...fields,
+        })
+      );
+    const sealChunk = fields =>
+      JSON.stringify(
+        sealEnvelope({
+          type: 'attachment-chunk',
+          channel: 'general',
+          timestamp: '2026-01-01T12:00:00.000Z',
+          ...chunks[0],
+          ...fields,
+        })
+      );
+
+    expect(openEnvelope(seal({})).attachment).toEqual(message.attachment);
+    expect(() => openEnvelope(seal({ attachment: { ...message.attachment, chunks: 1 } }))).toThrow(
+      'attachment chunks does not match its size'
+    );
+    expect(openEnvelope(sealChunk({})).index).toBe(0);
+    expect(() => openEnvelope(sealChunk({ data: '<script>' }))).toThrow('data is invalid');
+  });
+});
+
+describe('ChatChannelManager attachments', () => {
+  const createManager = maxBytes => {
+    const manager = new ChatChannelManager(new EventTarget(), {
+      transport: new EventTarget(),
+      attachments: { maxBytes },
+    });
+    manager.channels.set('general', {});
+    manager.publishOrQueue = vi.fn(async () => {});
+    return manager;
+  };
+
+  it('should publish the description and then the chunks', async () => {
+    const manager = createManager(CHUNK_SIZE * 4);
+
+    const message = await manager.sendAttachment('general', 'alice', createFile(CHUNK_SIZE + 1));
+
+    expect(message).toMatchObject({ content: 'photo.png', attachment: { size: CHUNK_SIZE + 1 } });
+    await vi.waitFor(() => expect(manager.publishOrQueue).toHaveBeenCalledTimes(3));
+    expect(manager.publishOrQueue.mock.calls.map(([, published]) => published.type)).toEqual([
+      'message',
+      'attachment-chunk',
+      'attachment-chunk',
+    ]);
+    expect(manager.publishOrQueue.mock.calls[2][1]).toMatchObject({ target: message.id, index: 1 });
+  });
+
+  it('should refuse files over the configured size', async () => {
+    const manager = createManager(100);
+
+    const sending = manager.sendAttachment('general', 'alice', createFile(101));
+
+    await expect(sending).rejects.toMatchObject({ code: 'ATTACHMENT_TOO_LARGE' });
+    expect(manager.publishOrQueue).not.toHaveBeenCalled();
+  });
+
+  it('should have a configurable size limit', () => {
+    const config = getDefaultConfig();
+
+    expect(config.attachments.maxBytes).toBe(2 * 1024 * 1024);
+    expect(validateConfig({ ...config, attachments: { maxBytes: 0 } })).toContain(
+      'attachments.maxBytes must be a positive integer'
+    );
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for the channel directory
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ChannelDirectory, DIRECTORY_STREAM } from '../src/js/channel-directory.js';
+import { openEnvelope, sealEnvelope } from '../src/js/message-envelope.js';
+import { getStreamKind } from '../src/js/stream-retention.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+
+const announce = (channel, username, action, topic) => ({ channel, username, action, topic });
+
+describe('ChannelDirectory', () => {
+  it('should rebuild the catalog from announcements', () => {
+    const directory = new ChannelDirectory();
+    [
+      announce('rust', 'alice', 'create', 'Crabs'),
+      announce('rust', 'alice', 'join'),
+      announce('rust', 'bob', 'create', 'Not mine'),
+      announce('rust', 'bob', 'join'),
+      announce('general', 'carol', 'join'),
+      announce('rust', 'bob', 'leave'),
+      announce('rust', 'carol', 'join'),
+    ].forEach(event => directory.record(event));
+
+    expect(directory.get('rust')).toEqual({
+      name: 'rust',
+      creator: 'alice',
+      topic: 'Crabs',
+      memberCount: 2,
+    });
+    expect(directory.get('general')).toMatchObject({ creator: null, memberCount: 1 });
+  });
+
+  it('should only take topics from the creator or a moderator', () => {
+    const directory = new ChannelDirectory(username => username === 'mod');
+    directory.record(announce('rust', 'alice', 'create'));
+
+    directory.record(announce('rust', 'mallory', 'topic', 'spam'));
+    expect(directory.get('rust').topic).toBe('');
+
+    directory.record(announce('rust', 'alice', 'topic', 'Crabs'));
+    directory.record(announce('rust', 'mod', 'topic', 'Crabs and more'));
+    expect(directory.get('rust').topic).toBe('Crabs and more');
+    expect(directory.canSetTopic('rust', 'mallory')).toBe(false);
+  });
+
+  it('should search names and topics, the busiest channels first', () => {
+    const directory = new ChannelDirectory();
+    directory.record(announce('rust', 'alice', 'create', 'Systems programming'));
+    directory.record(announce('go', 'bob', 'create', 'Gophers'));
+    directory.record(announce('go', 'bob', 'join'));
+
+    expect(directory.search().map(({ name }) => name)).toEqual(['go', 'rust']);
+    expect(directory.search('SYSTEMS').map(({ name }) => name)).toEqual(['rust']);
+  });
+
+  it('should validate directory messages', () => {
+    const sealed = sealEnvelope({
+      id: 'd1',
+      type: 'directory',
+      channel: 'rust',
+      username: 'alice',
+      action: 'create',
+      timestamp: '2026-01-01T12:00:00.000Z',
+    });
+
+    expect(() => openEnvelope(JSON.stringify(sealed))).not.toThrow();
+    expect(() =>
+      openEnvelope(
+        JSON.stringify({ ...sealed, payload: { ...sealed.payload, channel: 'dm-alice-bob' } })
+      )
+    ).toThrow('channel is invalid');
+    expect(() =>
+      openEnvelope(
+        JSON.stringify({ ...sealed, payload: { ...sealed.payload, topic: 'x'.repeat(201) } })
+      )
+    ).toThrow('topic is too long');
+  });
+});
+
+describe('ChatChannelManager directory', () => {
+  it('should replay the directory from the start and announce joins', async () => {
+    const amqpConnection = createFakeConnection();
+    const manager = new ChatChannelManager(amqpConnection);
+
+    await manager.subscribeToDirectory('alice');
+    await manager.subscribeToChannel('rust', 'alice');
+
+    expect(getStreamKind(DIRECTORY_STREAM)).toBe('directory');
+    expect(amqpConnection.queue.subscribe.mock.calls[0][0].args['x-stream-offset']).toBe(0);
+    const [body] = amqpConnection.queue.publish.mock.calls.at(-1);
+    expect(openEnvelope(body)).toMatchObject({
+      type: 'directory',
+      channel: 'rust',
+      username: 'alice',
+      action: 'join',
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for private channels and their member lists
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ChannelMembership, getMembersStream } from '../src/js/channel-membership.js';
+import { openEnvelope, sealEnvelope } from '../src/js/message-envelope.js';
+import { getStreamKind } from '../src/js/stream-retention.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+import { createChatUI } from './fake-ui.js';
+
+const change = (username, action, member = username) => ({
+  channel: 'private-ops',
+  username,
+  action,
+  member,
+});
+
+/**
+ * Streams shared by every connection made from it, enough of a broker for
+ * temporary consumers reading from an offset
+ */
+function createBroker() {
+  const streams = new Map(); // Map<queueName, Array<body>>
+
+  const getQueue = name => {
+    if (!streams.has(name)) {
+      streams.set(name, []);
+    }
+    const bodies = streams.get(name);
+    return {
+      name,
+      bind: vi.fn(),
+      unbind: vi.fn(),
+      publish: vi.fn(async body => {
+        bodies.push(body);
+      }),
+      subscribe: vi.fn(async ({ args = {} }, onMessage) => {
+        const offset = args['x-stream-offset'];
+        const start =
+          offset === 'last' ? bodies.length - 1 : typeof offset === 'number' ? offset : 0;
+        bodies.slice(Math.max(0, start)).forEach((body, index) => {
+          setTimeout(() => {
+            onMessage({
+              bodyToString: () => body,
+              properties: { headers: { 'x-stream-offset': Math.max(0, start) + index } },
+              ack: async () => {},
+            });
+          });
+        });
+        return { cancel: vi.fn(async () => {}) };
+      }),
+    };
+  };
+
+  const connect = () => {
+    const amqpConnection = createFakeConnection({ declareQueue: name => getQueue(name) });
+    const manager = new ChatChannelManager(amqpConnection);
+    manager.historyTimeout = 20;
+    return manager;
+  };
+
+  const read = name => (streams.get(`chat-stream-${name}`) || []).map(body => openEnvelope(body));
+
+  return { connect, read };
+}
+
+describe('ChannelMembership', () => {
+  it('should let the creator and moderators manage members', () => {
+    const membership = new ChannelMembership(username => username === 'mod');
+    [
+      change('alice', 'create'),
+      change('mallory', 'create'),
+      change('mallory', 'add', 'eve'),
+      change('bob', 'request'),
+      change('alice', 'add', 'bob'),
+      change('mod', 'add', 'carol'),
+      change('mallory', 'remove', 'carol'),
+    ].forEach(event => membership.record(event));
+
+    expect(membership.getCreator('private-ops')).toBe('alice');
+    expect(membership.getMembers('private-ops')).toEqual(['alice', 'bob', 'carol']);
+    expect(membership.getRequests('private-ops')).toEqual([]);
+    expect(membership.isMember('private-ops', 'eve')).toBe(false);
+  });
+
+  it('should keep join requests until someone lets them in, and let members leave', () => {
+    const membership = new ChannelMembership();
+    [
+      change('alice', 'create'),
+      change('bob', 'request'),
+      change('alice', 'request'),
+      change('carol', 'request'),
+      change('alice', 'add', 'carol'),
+      change('carol', 'remove'),
+    ].forEach(event => membership.record(event));
+
+    expect(membership.getRequests('private-ops')).toEqual(['bob']);
+    expect(membership.getMembers('private-ops')).toEqual(['alice']);
+  });
+
+  it('should keep private channels out of the directory', () => {
+    const membershipChange = sealEnvelope({
+      id: 'm1',
+      type: 'membership',
+      timestamp: '2026-01-01T12:00:00.000Z',
+      ...change('alice', 'add', 'bob'),
+    });
+    const announcement = sealEnvelope({
+      id: 'd1',
+      type: 'directory',
+      channel: 'private-ops',
+      username: 'alice',
+      action: 'create',
+      timestamp: '2026-01-01T12:00:00.000Z',
+    });
+
+    expect(openEnvelope(JSON.stringify(membershipChange))).toMatchObject({ member: 'bob' });
+    expect(() =>
+      openEnvelope(
+        JSON.stringify({
+          ...membershipChange,
+          payload: { ...membershipChange.payload, channel: 'general' },
+        })
+      )
+    ).toThrow('channel is not private');
+    expect(() => openEnvelope(JSON.stringify(announcement))).toThrow('channel is invalid');
+    expect(getStreamKind('private-ops')).toBe('private');
+    expect(getStreamKind(getMembersStream('private-ops'))).toBe('members');
+  });
+
+  it('should only take usernames the username form could have taken', () => {
+    const open = (username, member) =>
+      openEnvelope(
+        JSON.stringify(
+          sealEnvelope({
+            id: 'm1',
+            type: 'membership',
+            timestamp: '2026-01-01T12:00:00.000Z',
+            ...change(username, 'add', member),
+          })
+        )
+      );
+
+    expect(open('alice', 'bob "the builder"')).toMatchObject({ member: 'bob "the builder"' });
+    expect(() => open('alice', 'x'.repeat(21))).toThrow('member is invalid');
+    expect(() => open('alice', ' bob')).toThrow('member is invalid');
+    expect(() => open('alice', '')).toThrow('member is invalid');
+    expect(() => open(' alice', 'bob')).toThrow('member is invalid');
+  });
+});
+
+describe('channel invitations', () => {
+  it('should only name channels the add channel form could have made', () => {
+    const invite = channel =>
+      openEnvelope(
+        JSON.stringify(
+          sealEnvelope({
+            id: 'i1',
+            type: 'channel-invitation',
+            from: 'mallory',
+            to: 'bob',
+            channel,
+            timestamp: '2026-01-01T12:00:00.000Z',
+          })
+        )
+      );
+
+    expect(invite('private-ops')).toMatchObject({ channel: 'private-ops' });
+    expect(() => invite('private-<img src=x onerror=alert(1)>')).toThrow('channel is not private');
+    expect(() => invite('private-"] *')).toThrow('channel is not private');
+    expect(() => invite('private-')).toThrow('channel is not private');
+  });
+});
+
+describe('ChatChannelManager private channels', () => {
+  it('should only let invited users join', async () => {
+    const broker = createBroker();
+    const alice = broker.connect();
+    const bob = broker.connect();
+
+    await alice.joinPrivateChannel('private-ops', 'alice');
+    await expect(bob.joinPrivateChannel('private-ops', 'bob')).rejects.toMatchObject({
+      code: 'NOT_A_MEMBER',
+    });
+
+    await alice.inviteToChannel('private-ops', 'alice', 'bob');
+    await bob.joinPrivateChannel('private-ops', 'bob');
+
+    expect(broker.read(getMembersStream('private-ops'))).toMatchObject([
+      { action: 'create', username: 'alice' },
+      { action: 'add', username: 'alice', member: 'bob' },
+    ]);
+    expect(broker.read('user-notifications-bob')).toMatchObject([
+      { type: 'channel-invitation', from: 'alice', channel: 'private-ops' },
+    ]);
+    expect(broker.read('_directory')).toEqual([]);
+  });
+
+  it('should not join or create channels from invitations alone', async () => {
+    const broker = createBroker();
+    const alice = broker.connect();
+    const bob = broker.connect();
+
+    await expect(
+      bob.joinPrivateChannel('private-planted', 'bob', { create: false })
+    ).rejects.toMatchObject({ code: 'NOT_A_MEMBER' });
+    expect(broker.read(getMembersStream('private-planted'))).toEqual([]);
+
+    await alice.joinPrivateChannel('private-ops', 'alice');
+    await alice.publishMembershipEvent('private-ops', 'mallory', 'add', 'bob');
+    await expect(
+      bob.joinPrivateChannel('private-ops', 'bob', { create: false })
+    ).rejects.toMatchObject({ code: 'NOT_A_MEMBER' });
+  });
+});
+
+describe('ChatUIManager members dialog', () => {
+  it('should show usernames as text and act on them as they are', () => {
+    const publishMembershipEvent = vi.fn(async () => {});
+    const ui = createChatUI({ channelManager: { publishMembershipEvent } });
+    const member = 'bob"><img src=x>';
+    ui.currentChannel = 'private-ops';
+    ui.channelMembership.record(change('alice', 'create'));
+    ui.channelMembership.record(change('alice', 'add', member));
+
+    ui.renderMembers();
+
+    const item = ui.membersList.querySelector('.directory-item:not([data-member="alice"])');
+    expect(ui.membersList.querySelector('img')).toBeNull();
+    expect(item.dataset.member).toBe(member);
+    expect(item.querySelector('.directory-name').textContent).toBe(member);
+
+    item.querySelector('[data-action="remove"]').click();
+    expect(publishMembershipEvent).toHaveBeenCalledWith('private-ops', 'alice', 'remove', member);
+  });
+});
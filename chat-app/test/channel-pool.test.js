@@ -0,0 +1,81 @@
+/**
+ * Tests for ChannelPool
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ChannelPool } from '../src/js/channel-pool.js';
+
+describe('ChannelPool', () => {
+  let amqpConnection;
+  let pool;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    amqpConnection = {
+      connection: {
+        channelMax: 0,
+        channel: vi.fn(async () => ({
+          basicQos: vi.fn(),
+          confirmSelect: vi.fn(),
+          close: vi.fn(async () => {}),
+        })),
+      },
+    };
+    pool = new ChannelPool(amqpConnection, { maxChannels: 3, streamsPerChannel: 2, idleTimeout: 1000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should share a channel until it has streamsPerChannel users', async () => {
+    const first = await pool.acquire('a');
+    const second = await pool.acquire('b');
+    const third = await pool.acquire('c');
+
+    expect(second).toBe(first);
+    expect(third).not.toBe(first);
+    expect(third.confirmSelect).toHaveBeenCalled();
+  });
+
+  it('should never open more channels than the broker allows', async () => {
+    amqpConnection.connection.channelMax = 4; // Two are left to the connection manager and stream declarations
+
+    for (const user of ['a', 'b', 'c', 'd', 'e', 'f', 'g']) {
+      await pool.acquire(user);
+    }
+
+    expect(pool.size).toBe(2);
+    expect(amqpConnection.connection.channel).toHaveBeenCalledTimes(2);
+  });
+
+  it('should close a channel once it has been idle for idleTimeout', async () => {
+    const channel = await pool.acquire('a');
+    pool.release('a');
+
+    await vi.advanceTimersByTimeAsync(500);
+    await pool.acquire('b');
+    pool.release('b');
+    await vi.advanceTimersByTimeAsync(999);
+    expect(channel.close).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(channel.close).toHaveBeenCalled();
+    expect(pool.size).toBe(0);
+  });
+
+  it('should report the users of a channel closed by the broker', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const lost = vi.fn();
+    pool.addEventListener('channelLost', lost);
+
+    const channel = await pool.acquire('a');
+    await pool.acquire('b');
+    channel.onerror('NOT_FOUND - no queue');
+
+    expect(lost).toHaveBeenCalledTimes(1);
+    expect(lost.mock.calls[0][0].detail.users).toEqual(['a', 'b']);
+    expect(pool.size).toBe(0);
+    expect(await pool.acquire('a')).not.toBe(channel);
+  });
+});
@@ -4,9 +4,11 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
 
 // Mock AMQP connection
 const mockAmqpConnection = {
+  addEventListener: vi.fn(),
   getChannel: vi.fn(() => ({
     exchangeDeclare: vi.fn(),
     queueDeclare: vi.fn(),
@@ -51,6 +53,7 @@ describe('ChatChannelManager', () => {
 
     it('should throw error if AMQP connection not available', async () => {
       const mockConnectionWithoutChannel = {
+        addEventListener: vi.fn(),
         getChannel: vi.fn(() => null),
       };
       const manager = new ChatChannelManager(mockConnectionWithoutChannel);
@@ -120,4 +123,362 @@ describe('ChatChannelManager', () => {
       expect(channels).toEqual(['channel1', 'channel2']);
     });
   });
+
+  describe('reconnect', () => {
+    const streamMessage = (offset, body) => ({
+      properties: { headers: { 'x-stream-offset': offset } },
+      bodyToString: () => JSON.stringify(body),
+      ack: vi.fn(async () => {}),
+    });
+
+    it('should resume consumers after the last handled offset', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+
+      await manager.subscribeToChannel('general', 'alice');
+      const consumer = await amqpConnection.queue.subscribe.mock.results[0].value;
+      // A first subscription starts at the history window
+      expect(consumer.params.args['x-stream-offset']).toBeInstanceOf(Date);
+
+      consumer.callback(streamMessage(41, { type: 'message', content: 'hi' }));
+      consumer.callback(streamMessage(42, { type: 'message', content: 'there' }));
+
+      amqpConnection.dispatchEvent(new CustomEvent('disconnected'));
+      expect(manager.channels.get('general').consumer).toBeNull();
+
+      await manager.handleReconnected();
+
+      const resumed = await amqpConnection.queue.subscribe.mock.results[1].value;
+      expect(resumed.params.args['x-stream-offset']).toBe(43);
+      expect(manager.channels.get('general').consumer).toBe(resumed);
+    });
+
+    it('should not restart consumers for channels that were left', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+
+      await manager.subscribeToChannel('random', 'alice');
+      await manager.unsubscribeFromChannel('random', 'alice');
+
+      amqpConnection.dispatchEvent(new CustomEvent('disconnected'));
+      await manager.handleReconnected();
+
+      expect(amqpConnection.queue.subscribe).toHaveBeenCalledTimes(1);
+      expect(manager.channels.get('random').consumer).toBeNull();
+    });
+  });
+
+  describe('outbox', () => {
+    const publishedContents = queue =>
+      queue.publish.mock.calls.map(([body]) => JSON.parse(body).payload.content);
+
+    it('should queue messages while disconnected and flush them in order', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+      const queued = vi.fn();
+      manager.addEventListener('messageQueued', queued);
+
+      await manager.createChannel('general');
+      amqpConnection.isConnected = false;
+      amqpConnection.dispatchEvent(new CustomEvent('disconnected'));
+
+      await manager.sendMessage('general', 'alice', 'first');
+      await manager.sendMessage('general', 'alice', 'second');
+
+      expect(amqpConnection.queue.publish).not.toHaveBeenCalled();
+      expect(queued).toHaveBeenCalledTimes(2);
+      expect(manager.getQueuedMessages('general').map(m => m.content)).toEqual(['first', 'second']);
+
+      amqpConnection.isConnected = true;
+      await manager.handleReconnected();
+
+      expect(publishedContents(amqpConnection.queue)).toEqual(['first', 'second']);
+      expect(manager.outbox.size).toBe(0);
+    });
+
+    it('should also flush messages queued while a flush is running', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+
+      await manager.createChannel('general');
+      amqpConnection.isConnected = false;
+      await manager.sendMessage('general', 'alice', 'first');
+
+      amqpConnection.isConnected = true;
+      let sendingSecond;
+      amqpConnection.queue.publish.mockImplementationOnce(async () => {
+        sendingSecond = manager.sendMessage('general', 'alice', 'second');
+        await sendingSecond;
+      });
+      await manager.handleReconnected();
+      await sendingSecond;
+
+      expect(publishedContents(amqpConnection.queue)).toEqual(['first', 'second']);
+      expect(manager.outbox.size).toBe(0);
+    });
+
+    it('should queue a message when the connection drops during publish', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+
+      await manager.createChannel('general');
+      amqpConnection.queue.publish.mockImplementation(async () => {
+        amqpConnection.isConnected = false;
+        throw new Error('socket closed');
+      });
+
+      await manager.sendMessage('general', 'alice', 'hello');
+
+      expect(manager.getQueuedMessages('general')).toHaveLength(1);
+    });
+  });
+
+  describe('publisher confirms', () => {
+    it('should enable confirm mode on stream channels', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+
+      await manager.createChannel('general');
+
+      const channel = await amqpConnection.connection.channel.mock.results.at(-1).value;
+      expect(channel.confirmSelect).toHaveBeenCalled();
+    });
+
+    it('should emit sent and confirmed events for acked messages', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+      const events = [];
+      ['messageSent', 'messageConfirmed', 'messageFailed'].forEach(type => {
+        manager.addEventListener(type, e => events.push([type, e.detail.messageId]));
+      });
+
+      await manager.createChannel('general');
+      const message = await manager.sendMessage('general', 'alice', 'hello');
+
+      expect(events).toEqual([
+        ['messageSent', message.id],
+        ['messageConfirmed', message.id],
+      ]);
+    });
+
+    it('should mark nacked messages as failed and allow a retry', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+      const failed = vi.fn();
+      manager.addEventListener('messageFailed', failed);
+
+      await manager.createChannel('general');
+      amqpConnection.queue.publish.mockRejectedValueOnce(new Error('Message rejected'));
+      const message = await manager.sendMessage('general', 'alice', 'hello');
+
+      expect(failed).toHaveBeenCalledTimes(1);
+      expect(manager.getFailedMessages('general')).toEqual([message]);
+      expect(manager.outbox.size).toBe(0);
+
+      await manager.retryMessage(message.id);
+
+      expect(manager.getFailedMessages('general')).toEqual([]);
+      expect(amqpConnection.queue.publish).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail messages that are not confirmed in time', async () => {
+      vi.useFakeTimers();
+      try {
+        const amqpConnection = createFakeConnection();
+        const manager = new ChatChannelManager(amqpConnection);
+        manager.confirmTimeout = 50;
+
+        await manager.createChannel('general');
+        amqpConnection.queue.publish.mockReturnValueOnce(new Promise(() => {}));
+        const sending = manager.sendMessage('general', 'alice', 'hello');
+        await vi.advanceTimersByTimeAsync(50);
+        const message = await sending;
+
+        expect(manager.getFailedMessages('general')).toEqual([message]);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('channel pool', () => {
+    // Every channel() call hands out a new fake channel, so channel counts can be checked
+    const createFakeConnection = () => {
+      const amqpConnection = new EventTarget();
+      amqpConnection.isConnected = true;
+      amqpConnection.channels = [];
+      amqpConnection.queues = [];
+      amqpConnection.connection = {
+        channel: vi.fn(async () => {
+          const channel = {
+            id: amqpConnection.channels.length + 1,
+            basicQos: vi.fn(),
+            confirmSelect: vi.fn(),
+            close: vi.fn(async () => {}),
+            queue: vi.fn(async name => {
+              const queue = {
+                name,
+                channel,
+                bind: vi.fn(),
+                publish: vi.fn(async () => {}),
+                subscribe: vi.fn(async params => ({ params, cancel: vi.fn() })),
+              };
+              amqpConnection.queues.push(queue);
+              return queue;
+            }),
+          };
+          amqpConnection.channels.push(channel);
+          return channel;
+        }),
+      };
+      return amqpConnection;
+    };
+
+    it('should multiplex streams over a bounded number of channels', async () => {
+      const amqpConnection = createFakeConnection();
+      amqpConnection.config = { maxChannels: 2 };
+      const manager = new ChatChannelManager(amqpConnection);
+      manager.transport.pool.streamsPerChannel = 1;
+
+      for (const name of ['general', 'random', 'dev', 'ops']) {
+        await manager.subscribeToChannel(name, 'alice');
+      }
+
+      // Plus the channel streams are declared on
+      expect(amqpConnection.connection.channel).toHaveBeenCalledTimes(3);
+      expect(manager.transport.pool.size).toBe(2);
+    });
+
+    it('should not keep a channel for streams that are only published to', async () => {
+      vi.useFakeTimers();
+      try {
+        const amqpConnection = createFakeConnection();
+        const manager = new ChatChannelManager(amqpConnection);
+
+        await manager.sendDMInitiationNotification('alice', 'bob', 'dm-alice-bob');
+
+        const published = amqpConnection.queues.find(
+          q => q.name === 'chat-stream-user-notifications-bob' && q.channel !== manager.transport.declareChannel
+        );
+        expect(published.publish).toHaveBeenCalledTimes(1);
+        expect(manager.channels.has('user-notifications-bob')).toBe(false);
+
+        await vi.advanceTimersByTimeAsync(manager.transport.pool.idleTimeout);
+
+        expect(manager.transport.pool.size).toBe(0);
+        expect(published.channel.close).toHaveBeenCalled();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should rebind only the consumers on a channel closed by the broker', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+      manager.transport.pool.streamsPerChannel = 1;
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await manager.subscribeToChannel('general', 'alice');
+      await manager.subscribeToChannel('random', 'alice');
+      manager.channels.get('general').lastOffset = 7;
+      const random = manager.channels.get('random');
+      const randomConsumer = random.consumer;
+
+      manager.channels.get('general').queue.channel.onerror('PRECONDITION_FAILED');
+      await vi.waitFor(() => expect(manager.channels.get('general').consumer).not.toBeNull());
+
+      const general = manager.channels.get('general');
+      expect(general.queue.channel).toBe(amqpConnection.channels.at(-1));
+      expect(general.consumer.params.args['x-stream-offset']).toBe(8);
+      expect(random.consumer).toBe(randomConsumer);
+    });
+  });
+
+  describe('history window', () => {
+    // A stream holding offsets first..last, consumers get the messages from their start offset on
+    const createFakeStream = (first, last) => {
+      const amqpConnection = createFakeConnection();
+      amqpConnection.queue.subscribe = vi.fn(async (params, callback) => {
+        const start = params.args['x-stream-offset'];
+        const from = start === 'last' ? last : Math.max(typeof start === 'number' ? start : first, first);
+        const consumer = { params, cancel: vi.fn(async () => {}) };
+        setTimeout(() => {
+          for (let offset = from; offset <= last; offset++) {
+            callback({
+              properties: { headers: { 'x-stream-offset': offset } },
+              bodyToString: () => JSON.stringify({
+                id: `m${offset}`,
+                type: 'message',
+                channel: 'general',
+                username: 'bob',
+                content: `${offset}`,
+                timestamp: new Date().toISOString(),
+              }),
+              ack: vi.fn(async () => {}),
+            });
+          }
+        });
+        return consumer;
+      });
+      return amqpConnection;
+    };
+
+    const history = { windowMessages: 0, windowMinutes: 15, pageSize: 3 };
+
+    it('should start new consumers at the last windowMinutes', async () => {
+      const amqpConnection = createFakeStream(0, 9);
+      const manager = new ChatChannelManager(amqpConnection, { history });
+
+      await manager.subscribeToChannel('general', 'alice');
+
+      const [params] = amqpConnection.queue.subscribe.mock.calls[0];
+      const start = params.args['x-stream-offset'];
+      expect(Date.now() - start.getTime()).toBeGreaterThanOrEqual(15 * 60 * 1000);
+      expect(Date.now() - start.getTime()).toBeLessThan(16 * 60 * 1000);
+    });
+
+    it('should start new consumers at the last windowMessages', async () => {
+      const amqpConnection = createFakeStream(0, 99);
+      const manager = new ChatChannelManager(amqpConnection, { history: { ...history, windowMessages: 20 } });
+
+      await manager.subscribeToChannel('general', 'alice');
+
+      const offsets = amqpConnection.queue.subscribe.mock.calls.map(([params]) => params.args['x-stream-offset']);
+      expect(offsets).toEqual(['last', 80]);
+      const probe = await amqpConnection.queue.subscribe.mock.results[0].value;
+      expect(probe.cancel).toHaveBeenCalled();
+    });
+
+    it('should load the page before the oldest offset shown', async () => {
+      const amqpConnection = createFakeStream(0, 99);
+      const manager = new ChatChannelManager(amqpConnection, { history });
+      await manager.createChannel('general');
+
+      const page = await manager.loadOlderMessages('general', 50);
+
+      expect(page.messages.map(message => message.id)).toEqual(['m47', 'm48', 'm49']);
+      expect(page).toMatchObject({ firstOffset: 47, hasMore: true });
+    });
+
+    it('should report the start of the stream once retention has dropped older messages', async () => {
+      const amqpConnection = createFakeStream(40, 99);
+      const manager = new ChatChannelManager(amqpConnection, { history });
+      await manager.createChannel('general');
+
+      const page = await manager.loadOlderMessages('general', 42);
+
+      expect(page.messages.map(message => message.id)).toEqual(['m40', 'm41']);
+      expect(page).toMatchObject({ firstOffset: 40, hasMore: false });
+    });
+
+    it('should page back from the end of the stream when nothing is shown yet', async () => {
+      const amqpConnection = createFakeStream(0, 99);
+      const manager = new ChatChannelManager(amqpConnection, { history });
+      await manager.createChannel('general');
+
+      const page = await manager.loadOlderMessages('general', null);
+
+      expect(page.messages.map(message => message.id)).toEqual(['m97', 'm98', 'm99']);
+    });
+  });
 });
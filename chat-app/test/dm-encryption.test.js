@@ -0,0 +1,186 @@
+/**
+ * Tests for end-to-end encrypted DMs
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { DmEncryption } from '../src/js/dm-encryption.js';
+import { openEnvelope, sealEnvelope } from '../src/js/message-envelope.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createChatUI } from './fake-ui.js';
+
+const DM = 'dm-alice-bob';
+
+const keyMessage = (from, encryption, timestamp = '2026-01-01T12:00:00.000Z') => ({
+  from,
+  to: from === 'alice' ? 'bob' : 'alice',
+  publicKey: encryption.publicKey,
+  timestamp,
+});
+
+async function createUser(username) {
+  const encryption = new DmEncryption();
+  await encryption.load(username);
+  return encryption;
+}
+
+describe('DmEncryption', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should let both sides of a DM read what either of them sent', async () => {
+    const alice = await createUser('alice');
+    const bob = await createUser('bob');
+    expect(await alice.recordKey(keyMessage('bob', bob))).toBe('trusted');
+    expect(await bob.recordKey(keyMessage('alice', alice))).toBe('trusted');
+
+    const encrypted = await alice.encrypt(DM, 'bob', 'Meet at noon');
+    const message = { username: 'alice', encrypted };
+
+    expect(encrypted.data).not.toContain('noon');
+    expect(await bob.decrypt(DM, 'alice', message)).toBe('Meet at noon');
+    expect(await alice.decrypt(DM, 'bob', message)).toBe('Meet at noon');
+    await expect(
+      bob.decrypt(DM, 'alice', { ...message, encrypted: { ...encrypted, data: btoa('tampered') } })
+    ).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+  });
+
+  it('should hold back a changed key until it is accepted', async () => {
+    const alice = await createUser('alice');
+    const bob = await createUser('bob');
+    await bob.recordKey(keyMessage('alice', alice));
+    await alice.recordKey(keyMessage('bob', bob));
+
+    // Alice signs in from a new browser
+    localStorage.removeItem('wamschat_dm_keys_alice');
+    const newAlice = await createUser('alice');
+    await newAlice.recordKey(keyMessage('bob', bob));
+    const later = '2026-01-02T12:00:00.000Z';
+
+    expect(await bob.recordKey(keyMessage('alice', newAlice, later))).toBe('changed');
+    expect(bob.canEncrypt('alice')).toBe(false);
+    const message = { username: 'alice', encrypted: await newAlice.encrypt(DM, 'bob', 'Hi') };
+    await expect(bob.decrypt(DM, 'alice', message)).rejects.toMatchObject({ code: 'UNKNOWN_KEY' });
+
+    await bob.acceptKey('alice');
+    expect(bob.canEncrypt('alice')).toBe(true);
+    expect(await bob.decrypt(DM, 'alice', message)).toBe('Hi');
+
+    // Her old key, replayed from the notification stream
+    expect(await bob.recordKey(keyMessage('alice', alice))).toBe('stale');
+  });
+
+  it('should only turn encryption off before the other key has arrived', async () => {
+    const alice = await createUser('alice');
+    const bob = await createUser('bob');
+    alice.enable(DM);
+
+    expect(alice.disable(DM, 'bob')).toBe(true);
+    expect(alice.isEnabled(DM)).toBe(false);
+
+    alice.enable(DM);
+    await alice.recordKey(keyMessage('bob', bob));
+    expect(alice.disable(DM, 'bob')).toBe(false);
+    expect(alice.isEnabled(DM)).toBe(true);
+  });
+
+  it('should keep keys and trusted peers across reloads', async () => {
+    const alice = await createUser('alice');
+    const bob = await createUser('bob');
+    await alice.recordKey(keyMessage('bob', bob));
+    alice.enable(DM);
+    alice.markKeySent('bob');
+
+    const reloaded = await createUser('alice');
+
+    expect(reloaded.fingerprint).toBe(alice.fingerprint);
+    expect(reloaded.getPeerFingerprint('bob')).toBe(bob.fingerprint);
+    expect(reloaded.isEnabled(DM)).toBe(true);
+    expect(reloaded.needsToSendKey('bob')).toBe(false);
+  });
+});
+
+describe('encrypted DM envelopes', () => {
+  it('should only carry encrypted content and keys that look right', async () => {
+    const alice = await createUser('alice');
+    const bob = await createUser('bob');
+    await alice.recordKey(keyMessage('bob', bob));
+    const message = {
+      id: 'm1',
+      type: 'message',
+      channel: DM,
+      username: 'alice',
+      content: 'Encrypted message',
+      encrypted: await alice.encrypt(DM, 'bob', 'Hi'),
+      timestamp: '2026-01-01T12:00:00.000Z',
+    };
+    const open = fields => openEnvelope(JSON.stringify(sealEnvelope({ ...message, ...fields })));
+
+    expect(open({}).encrypted).toEqual(message.encrypted);
+    expect(() => open({ channel: 'general' })).toThrow('channel is not a DM stream');
+    expect(() => open({ encrypted: { ...message.encrypted, iv: 'short' } })).toThrow(
+      'encrypted iv is invalid'
+    );
+    expect(() =>
+      open({ type: 'dm-key', from: 'alice', to: 'bob', publicKey: 'not a key' })
+    ).toThrow('publicKey is invalid');
+  });
+});
+
+describe('ChatChannelManager encrypted DMs', () => {
+  it('should send keys to the other user and encrypted content as given', async () => {
+    const manager = new ChatChannelManager(new EventTarget(), { transport: new EventTarget() });
+    manager.channels.set(DM, {});
+    manager.publishOrQueue = vi.fn(async () => {});
+    const encrypted = { iv: 'iv', data: 'data', sender: 'a', recipient: 'b' };
+
+    await manager.sendDMKey('alice', 'bob', 'key');
+    await manager.sendMessage(DM, 'alice', 'Encrypted message', null, encrypted);
+
+    expect(manager.publishOrQueue.mock.calls[0]).toEqual([
+      'user-notifications-bob',
+      expect.objectContaining({ type: 'dm-key', from: 'alice', to: 'bob', publicKey: 'key' }),
+    ]);
+    expect(manager.publishOrQueue.mock.calls[1][1]).toMatchObject({
+      content: 'Encrypted message',
+      encrypted,
+    });
+  });
+});
+
+describe('ChatUIManager DM keys', () => {
+  let ui;
+  let bob;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    ui = createChatUI({ channelManager: { sendDMKey: vi.fn(async () => {}) } });
+    await ui.dmEncryption.load('alice');
+    bob = await createUser('bob');
+  });
+
+  it('should ignore keys sent to someone else', async () => {
+    await ui.handleDMKey({ ...keyMessage('bob', bob), to: 'carol' });
+
+    expect(ui.dmEncryption.getPeerFingerprint('bob')).toBeNull();
+    expect(ui.dmEncryption.isEnabled(DM)).toBe(false);
+    expect(ui.channelManager.sendDMKey).not.toHaveBeenCalled();
+  });
+
+  it('should only turn encryption on with a key that has been accepted', async () => {
+    await ui.dmEncryption.recordKey(keyMessage('bob', bob));
+    localStorage.removeItem('wamschat_dm_keys_bob');
+    const newBob = await createUser('bob');
+
+    await ui.handleDMKey(keyMessage('bob', newBob, '2026-01-02T12:00:00.000Z'));
+
+    expect(ui.dmEncryption.hasChangedKey('bob')).toBe(true);
+    expect(ui.dmEncryption.isEnabled(DM)).toBe(false);
+
+    ui.currentChannel = DM;
+    await ui.acceptNewKey();
+
+    expect(ui.dmEncryption.isEnabled(DM)).toBe(true);
+    expect(ui.dmEncryption.canEncrypt('bob')).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Minimal stand-in for AmqpConnectionManager backed by fake amqp-client
+ * objects, shared by the ChatChannelManager tests
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Every stream declares the same amqpConnection.queue, unless
+ * declareQueue(name, params, args, channel) is given to return its own
+ */
+function createFakeConnection({ declareQueue } = {}) {
+  const amqpConnection = new EventTarget();
+  amqpConnection.isConnected = true;
+  amqpConnection.queue = {
+    bind: vi.fn(),
+    publish: vi.fn(async () => {}),
+    subscribe: vi.fn(async (params, callback) => ({ params, callback, cancel: vi.fn() })),
+  };
+  amqpConnection.connection = {
+    channel: vi.fn(async () => {
+      const channel = {
+        closed: false,
+        basicQos: vi.fn(),
+        confirmSelect: vi.fn(),
+        queue: vi.fn(async (name, params, args) =>
+          declareQueue ? declareQueue(name, params, args, channel) : amqpConnection.queue
+        ),
+      };
+      return channel;
+    }),
+  };
+  return amqpConnection;
+}
+
+export { createFakeConnection };
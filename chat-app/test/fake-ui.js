@@ -0,0 +1,28 @@
+/**
+ * ChatUIManager on the markup of index.html, signed in and talking to a
+ * stand-in channel manager, shared by the UI tests
+ */
+
+import indexHtml from '../src/index.html?raw';
+import { ChatUIManager } from '../src/js/chat-ui-manager.js';
+
+// jsdom has no CSS.escape, escaping every other character as hex is valid CSS too
+globalThis.CSS ??= {
+  escape: value =>
+    String(value).replace(/[^a-zA-Z0-9_-]/gu, char => `\\${char.codePointAt(0).toString(16)} `),
+};
+
+/**
+ * The channel manager only answers isModerator, tests hand in the other
+ * methods the UI calls in channelManager
+ */
+function createChatUI({ username = 'alice', channelManager = {} } = {}) {
+  document.body.innerHTML = new DOMParser().parseFromString(indexHtml, 'text/html').body.innerHTML;
+
+  const manager = Object.assign(new EventTarget(), { isModerator: () => false }, channelManager);
+  const ui = new ChatUIManager(manager);
+  ui.username = username;
+  return ui;
+}
+
+export { createChatUI };
@@ -0,0 +1,103 @@
+/**
+ * Tests for message edits and deletes
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MessageEdits } from '../src/js/message-edits.js';
+import { openEnvelope } from '../src/js/message-envelope.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+
+const original = {
+  id: 'm1',
+  type: 'message',
+  channel: 'general',
+  username: 'alice',
+  content: 'helo',
+  timestamp: '2026-01-01T12:00:00.000Z',
+};
+
+const edit = (id, username, content, timestamp) => ({
+  id,
+  type: 'edit',
+  channel: 'general',
+  username,
+  target: 'm1',
+  content,
+  timestamp,
+});
+
+describe('MessageEdits', () => {
+  it('should show the newest edit by the author', () => {
+    const edits = new MessageEdits();
+    // Seen out of order, as when a "load older" page comes in
+    edits.record(edit('e2', 'alice', 'hello!', '2026-01-01T12:02:00.000Z'));
+    edits.record(edit('e1', 'alice', 'hello', '2026-01-01T12:01:00.000Z'));
+
+    expect(edits.apply(original)).toEqual({ ...original, content: 'hello!', edited: true });
+    expect(original.content).toBe('helo');
+  });
+
+  it('should show deleted messages as deleted', () => {
+    const edits = new MessageEdits();
+    edits.record(edit('e1', 'alice', 'hello', '2026-01-01T12:01:00.000Z'));
+    edits.record({
+      id: 'd1',
+      type: 'delete',
+      channel: 'general',
+      username: 'alice',
+      target: 'm1',
+      timestamp: '2026-01-01T12:00:30.000Z',
+    });
+
+    expect(edits.apply(original)).toMatchObject({ content: '', deleted: true });
+  });
+
+  it('should ignore edits from anyone but the author or a moderator', () => {
+    const edits = new MessageEdits(username => username === 'mod');
+    edits.record(edit('e1', 'mallory', 'pwned', '2026-01-01T12:01:00.000Z'));
+
+    expect(edits.apply(original)).toBe(original);
+
+    edits.record(edit('e2', 'mod', 'hello', '2026-01-01T12:02:00.000Z'));
+    expect(edits.apply(original)).toMatchObject({ content: 'hello', edited: true });
+  });
+});
+
+describe('ChatChannelManager edits', () => {
+  const createManager = moderators => {
+    const amqpConnection = createFakeConnection();
+    return new ChatChannelManager(amqpConnection, { moderators });
+  };
+
+  it('should publish edits and deletes that refer to the original message', async () => {
+    const manager = createManager([]);
+    await manager.subscribeToChannel('general', 'alice');
+
+    await manager.editMessage('general', 'alice', original, ' hello ');
+    await manager.deleteMessage('general', 'alice', original);
+
+    const published = manager.transport.amqpConnection.queue.publish.mock.calls
+      .slice(-2)
+      .map(([body]) => openEnvelope(body));
+    expect(published[0]).toMatchObject({
+      type: 'edit',
+      username: 'alice',
+      target: 'm1',
+      content: 'hello',
+    });
+    expect(published[1]).toMatchObject({ type: 'delete', username: 'alice', target: 'm1' });
+  });
+
+  it('should only let the author or a moderator change a message', async () => {
+    const manager = createManager(['mod']);
+    await manager.subscribeToChannel('general', 'bob');
+
+    await expect(manager.deleteMessage('general', 'bob', original)).rejects.toThrow(
+      'Only the author or a moderator can change message m1'
+    );
+    await expect(manager.deleteMessage('general', 'mod', original)).resolves.toMatchObject({
+      type: 'delete',
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the message envelope and the quarantine of invalid deliveries
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ENVELOPE_VERSION, sealEnvelope, openEnvelope } from '../src/js/message-envelope.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+
+const timestamp = '2026-01-01T12:00:00.000Z';
+const chatMessage = {
+  id: 'm1',
+  type: 'message',
+  channel: 'general',
+  username: 'alice',
+  content: 'hi',
+  timestamp,
+};
+
+describe('message envelope', () => {
+  it('should wrap messages in a versioned envelope', () => {
+    expect(sealEnvelope(chatMessage)).toEqual({
+      v: ENVELOPE_VERSION,
+      type: 'message',
+      id: 'm1',
+      sender: 'alice',
+      timestamp,
+      payload: { channel: 'general', content: 'hi' },
+    });
+  });
+
+  it('should open what it sealed', () => {
+    const notification = {
+      id: 'n1',
+      type: 'dm-initiation',
+      from: 'alice',
+      to: 'bob',
+      dmChannel: 'dm-alice-bob',
+      timestamp,
+    };
+    const system = {
+      id: 's1',
+      type: 'system',
+      channel: 'general',
+      content: 'alice joined',
+      timestamp,
+    };
+
+    for (const message of [chatMessage, notification, system]) {
+      expect(openEnvelope(JSON.stringify(sealEnvelope(message)))).toEqual(message);
+    }
+  });
+
+  it('should upgrade version 1 messages published before envelopes', () => {
+    expect(openEnvelope(JSON.stringify(chatMessage))).toEqual(chatMessage);
+  });
+
+  it('should reject invalid bodies with the reason', () => {
+    const sealed = sealEnvelope(chatMessage);
+
+    expect(() => openEnvelope('not json')).toThrow('Body is not JSON');
+    expect(() => openEnvelope('[1, 2]')).toThrow('Body is not an object');
+    expect(() => openEnvelope(JSON.stringify({ ...sealed, v: 99 }))).toThrow(
+      'Unsupported envelope version 99'
+    );
+    expect(() => openEnvelope(JSON.stringify({ ...sealed, type: 'toString' }))).toThrow(
+      'Unknown message type'
+    );
+    expect(() => openEnvelope(JSON.stringify({ ...sealed, sender: 42 }))).toThrow(
+      'sender is invalid'
+    );
+    expect(() => openEnvelope(JSON.stringify({ ...sealed, timestamp: 'yesterday' }))).toThrow(
+      'timestamp'
+    );
+    expect(() =>
+      openEnvelope(JSON.stringify({ ...sealed, payload: { channel: 'general' } }))
+    ).toThrow('content must be a string');
+    expect(() =>
+      openEnvelope(
+        JSON.stringify({ ...sealed, payload: { channel: 'general', content: 'x'.repeat(1001) } })
+      )
+    ).toThrow('content is too long');
+  });
+
+  describe('ChatChannelManager', () => {
+    const delivery = (offset, body) => ({
+      properties: { headers: { 'x-stream-offset': offset } },
+      bodyToString: () => body,
+      ack: vi.fn(async () => {}),
+    });
+
+    it('should publish sealed envelopes', async () => {
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+      await manager.subscribeToChannel('general', 'alice');
+
+      const message = await manager.sendMessage('general', 'alice', 'hello');
+
+      const [body] = amqpConnection.queue.publish.mock.calls.at(-1);
+      expect(JSON.parse(body)).toEqual(sealEnvelope(message));
+    });
+
+    it('should ack and quarantine invalid deliveries without stopping the stream', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const amqpConnection = createFakeConnection();
+      const manager = new ChatChannelManager(amqpConnection);
+      const received = vi.fn();
+      const quarantined = vi.fn();
+      manager.addEventListener('messageReceived', received);
+      manager.addEventListener('messageQuarantined', quarantined);
+
+      await manager.subscribeToChannel('general', 'alice');
+      const consumer = await amqpConnection.queue.subscribe.mock.results[0].value;
+
+      const invalid = delivery(7, '{"type": "message"');
+      consumer.callback(invalid);
+      consumer.callback(delivery(8, JSON.stringify(sealEnvelope(chatMessage))));
+
+      expect(invalid.ack).toHaveBeenCalled();
+      expect(received).toHaveBeenCalledTimes(1);
+      expect(received.mock.calls[0][0].detail.message).toEqual(chatMessage);
+      expect(quarantined).toHaveBeenCalledTimes(1);
+      expect(manager.getQuarantine()).toEqual([
+        expect.objectContaining({
+          streamName: 'general',
+          offset: 7,
+          body: '{"type": "message"',
+          reason: 'Body is not JSON',
+        }),
+      ]);
+      expect(manager.channels.get('general').lastOffset).toBe(8);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for emoji reactions
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { MessageReactions } from '../src/js/message-reactions.js';
+import { openEnvelope, sealEnvelope } from '../src/js/message-envelope.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+import { createChatUI } from './fake-ui.js';
+
+let sequence = 0;
+const reaction = (username, emoji, action, second) => ({
+  id: `r${++sequence}`,
+  type: 'reaction',
+  channel: 'general',
+  username,
+  target: 'm1',
+  emoji,
+  action,
+  timestamp: new Date(Date.UTC(2026, 0, 1, 12, 0, second)).toISOString(),
+});
+
+describe('MessageReactions', () => {
+  const events = [
+    reaction('alice', '👍', 'add', 1),
+    reaction('bob', '👍', 'add', 2),
+    reaction('bob', '🎉', 'add', 3),
+    reaction('alice', '👍', 'remove', 4),
+    reaction('carol', '👍', 'add', 5),
+  ];
+
+  it('should aggregate counts per emoji', () => {
+    const reactions = new MessageReactions();
+    events.forEach(event => reactions.record(event));
+
+    expect(reactions.summarize('m1', 'bob')).toEqual([
+      { emoji: '👍', count: 2, mine: true },
+      { emoji: '🎉', count: 1, mine: true },
+    ]);
+    expect(reactions.summarize('m1', 'alice')[0].mine).toBe(false);
+    expect(reactions.summarize('m2', 'alice')).toEqual([]);
+  });
+
+  it('should come out the same when history is replayed or arrives out of order', () => {
+    const inOrder = new MessageReactions();
+    events.forEach(event => inOrder.record(event));
+
+    const replayed = new MessageReactions();
+    [...events].reverse().forEach(event => replayed.record(event));
+    // A reconnect replaying the stream from offset 0
+    events.forEach(event => replayed.record(event));
+
+    expect(replayed.summarize('m1', 'alice')).toEqual(inOrder.summarize('m1', 'alice'));
+  });
+
+  it('should validate reaction envelopes', () => {
+    const sealed = sealEnvelope(reaction('alice', '👍', 'add', 1));
+
+    expect(() => openEnvelope(JSON.stringify(sealed))).not.toThrow();
+    expect(() =>
+      openEnvelope(JSON.stringify({ ...sealed, payload: { ...sealed.payload, action: 'toggle' } }))
+    ).toThrow('action is invalid');
+    expect(() =>
+      openEnvelope(JSON.stringify({ ...sealed, payload: { ...sealed.payload, emoji: '' } }))
+    ).toThrow('emoji is invalid');
+    expect(() =>
+      openEnvelope(
+        JSON.stringify({ ...sealed, payload: { ...sealed.payload, emoji: '"><img src=x>' } })
+      )
+    ).toThrow('emoji is invalid');
+  });
+});
+
+describe('ChatChannelManager reactions', () => {
+  const createManager = () => {
+    const amqpConnection = createFakeConnection();
+    return new ChatChannelManager(amqpConnection);
+  };
+
+  it('should publish reactions on the message stream', async () => {
+    const manager = createManager();
+    await manager.subscribeToChannel('general', 'alice');
+
+    await manager.sendReaction('general', 'alice', 'm1', '🎉', 'remove');
+
+    const [body] = manager.transport.amqpConnection.queue.publish.mock.calls.at(-1);
+    expect(openEnvelope(body)).toMatchObject({
+      type: 'reaction',
+      username: 'alice',
+      target: 'm1',
+      emoji: '🎉',
+      action: 'remove',
+    });
+    await expect(manager.sendReaction('general', 'alice', 'm1', '🎉', 'toggle')).rejects.toThrow(
+      'Unknown reaction action toggle'
+    );
+  });
+});
+
+describe('ChatUIManager reactions', () => {
+  it('should show reactions on messages with any id', () => {
+    const sendReaction = vi.fn(async () => {});
+    const ui = createChatUI({ channelManager: { sendReaction } });
+    const messageId = 'm"] .message, [x="';
+    ui.handleMessageReceived({
+      channelName: 'general',
+      message: {
+        id: messageId,
+        type: 'message',
+        channel: 'general',
+        username: 'bob',
+        content: 'hi',
+        timestamp: new Date().toISOString(),
+      },
+      offset: 0,
+    });
+    ui.handleMessageReceived({
+      channelName: 'general',
+      message: { ...reaction('bob', '🎉', 'add', 1), target: messageId },
+      offset: 1,
+    });
+
+    const chip = ui.messagesContainer.querySelector('.reaction-chip');
+    expect(chip.dataset.emoji).toBe('🎉');
+    expect(chip.querySelector('.reaction-count').textContent).toBe('1');
+
+    chip.click();
+    expect(sendReaction).toHaveBeenCalledWith('general', 'alice', messageId, '🎉', 'add');
+  });
+});
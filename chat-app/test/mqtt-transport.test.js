@@ -0,0 +1,159 @@
+/**
+ * Tests for MqttTransport
+ */
+
+import { EventEmitter } from 'node:events';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MqttTransport, getTopics } from '../src/js/mqtt-transport.js';
+import { MqttConnectionManager } from '../src/js/mqtt-connection.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+
+// mqtt.js clients are EventEmitters, the last one connect() made is in clients
+const clients = [];
+vi.mock('mqtt', () => ({
+  connect: vi.fn(() => {
+    const client = new EventEmitter();
+    client.end = vi.fn();
+    clients.push(client);
+    return client;
+  }),
+}));
+
+// Stand-in for MqttConnectionManager with a fake mqtt.js client
+const createFakeConnection = () => {
+  const mqttConnection = new EventTarget();
+  mqttConnection.isConnected = true;
+  mqttConnection.connection = {
+    subscribeAsync: vi.fn(async () => {}),
+    unsubscribeAsync: vi.fn(async () => {}),
+    publishAsync: vi.fn(async () => {}),
+  };
+  mqttConnection.receive = (topic, payload) => {
+    mqttConnection.dispatchEvent(
+      new CustomEvent('message', { detail: { topic, payload: JSON.stringify(payload) } })
+    );
+  };
+  return mqttConnection;
+};
+
+describe('MqttTransport', () => {
+  let mqttConnection;
+  let transport;
+
+  beforeEach(() => {
+    mqttConnection = createFakeConnection();
+    transport = new MqttTransport(mqttConnection);
+  });
+
+  describe('getTopics', () => {
+    it('should map chat channels to channel topics', () => {
+      expect(getTopics({ name: 'general' })).toEqual({
+        subscribe: 'wamschat/channels/general',
+        publish: ['wamschat/channels/general'],
+      });
+    });
+
+    it('should map notifications to the user\'s own topic', () => {
+      expect(getTopics({ name: 'user-notifications-bob/x' }).subscribe).toBe(
+        'wamschat/users/bob%2Fx/notifications'
+      );
+    });
+
+    it('should deliver DMs to both participants\' topics', () => {
+      const topics = getTopics({ name: 'dm-alice-bob-smith', username: 'bob-smith' });
+
+      expect(topics.subscribe).toBe('wamschat/users/bob-smith/dms/dm-alice-bob-smith');
+      expect(topics.publish).toEqual([
+        'wamschat/users/bob-smith/dms/dm-alice-bob-smith',
+        'wamschat/users/alice/dms/dm-alice-bob-smith',
+      ]);
+    });
+
+    it('should refuse DMs without a participant', () => {
+      expect(() => getTopics({ name: 'dm-alice-bob' })).toThrow(/participants/);
+    });
+  });
+
+  it('should hand over messages that arrived before the subscription', async () => {
+    const handle = await transport.openStream({ name: 'general' });
+    mqttConnection.receive('wamschat/channels/general', { id: 'm1' });
+
+    const onDelivery = vi.fn();
+    await transport.subscribe(handle, 0, onDelivery);
+    mqttConnection.receive('wamschat/channels/general', { id: 'm2' });
+
+    expect(mqttConnection.connection.subscribeAsync).toHaveBeenCalledWith('wamschat/channels/general', { qos: 1 });
+    expect(onDelivery.mock.calls.map(([delivery]) => JSON.parse(delivery.body).id)).toEqual(['m1', 'm2']);
+  });
+
+  it('should drive ChatChannelManager without stream offsets', async () => {
+    const manager = new ChatChannelManager(mqttConnection, { transport });
+    const received = vi.fn();
+    manager.addEventListener('messageReceived', received);
+
+    await manager.subscribeToChannel('dm-alice-bob', 'alice');
+    const message = await manager.sendMessage('dm-alice-bob', 'alice', 'hi');
+    mqttConnection.receive('wamschat/users/alice/dms/dm-alice-bob', message);
+
+    const published = mqttConnection.connection.publishAsync.mock.calls.map(([topic]) => topic);
+    expect(published).toContain('wamschat/users/bob/dms/dm-alice-bob');
+    expect(received.mock.calls.at(-1)[0].detail.message.content).toBe('hi');
+    expect(manager.channels.get('dm-alice-bob').lastOffset).toBeNull();
+  });
+});
+
+describe('MqttConnectionManager', () => {
+  it('should send endpoints without a path to the MQTT listener', () => {
+    const manager = new MqttConnectionManager(
+      { hostname: 'localhost', port: 15672, endpoints: 'node1:15673,wss://node2.example.com/ws' },
+      { path: '/mqtt' }
+    );
+
+    expect(manager.endpoints).toEqual(['ws://node1:15673/mqtt', 'wss://node2.example.com/ws']);
+  });
+
+  describe('client errors', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    const connect = async () => {
+      const manager = new MqttConnectionManager(
+        { hostname: 'localhost', port: 15672, endpoints: 'node1:15673' },
+        { path: '/mqtt' }
+      );
+      const connecting = manager.connect();
+      await vi.waitFor(() => expect(clients.at(-1)?.listenerCount('connect')).toBe(1));
+      const client = clients.at(-1);
+      client.emit('connect');
+      await connecting;
+      return { manager, client };
+    };
+
+    it('should only keep the permanent listeners once connected', async () => {
+      const { manager, client } = await connect();
+
+      expect(manager.isConnected).toBe(true);
+      expect(client.listenerCount('connect')).toBe(0);
+      expect(client.listenerCount('error')).toBe(1);
+      expect(client.listenerCount('close')).toBe(1);
+    });
+
+    it('should drop the client and reconnect after an error', async () => {
+      const { manager, client } = await connect();
+      const disconnected = vi.fn();
+      manager.addEventListener('disconnected', disconnected);
+
+      client.emit('error', new Error('Connection refused: Not authorized'));
+
+      expect(client.end).toHaveBeenCalledWith(true);
+      expect(manager.isConnected).toBe(false);
+      expect(disconnected).toHaveBeenCalledTimes(1);
+      expect(manager.reconnectTimer).not.toBeNull();
+    });
+  });
+});
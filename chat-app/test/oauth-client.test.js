@@ -0,0 +1,103 @@
+/**
+ * Tests for OAuth2Client token refresh
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { OAuth2Client } from '../src/js/oauth-client.js';
+
+const tokenResponse = data => ({
+  ok: true,
+  json: vi.fn(async () => data),
+});
+
+describe('OAuth2Client', () => {
+  let client;
+
+  beforeEach(() => {
+    localStorage.clear();
+    client = new OAuth2Client();
+    client.tokenEndpoint = 'https://auth.example.com/token';
+  });
+
+  afterEach(() => {
+    client.cancelTokenRefresh();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  describe('storeTokens', () => {
+    it('should keep the refresh token and expiry', () => {
+      vi.spyOn(Date, 'now').mockReturnValue(1000);
+
+      client.storeTokens({ access_token: 'access', refresh_token: 'refresh', expires_in: 300 });
+
+      expect(client.getAccessToken()).toBe('access');
+      expect(client.getRefreshToken()).toBe('refresh');
+      expect(client.getTokenExpiry()).toBe(301000);
+
+      vi.restoreAllMocks();
+    });
+
+    it('should keep the old refresh token if none is returned', () => {
+      client.storeTokens({ access_token: 'first', refresh_token: 'refresh' });
+      client.storeTokens({ access_token: 'second' });
+
+      expect(client.getRefreshToken()).toBe('refresh');
+    });
+  });
+
+  describe('refreshAccessToken', () => {
+    it('should exchange the refresh token for a new access token', async () => {
+      const fetchMock = vi.fn(async () =>
+        tokenResponse({ access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 300 })
+      );
+      vi.stubGlobal('fetch', fetchMock);
+      client.storeTokens({ access_token: 'old-access', refresh_token: 'old-refresh' });
+
+      const token = await client.refreshAccessToken();
+
+      expect(token).toBe('new-access');
+      expect(client.getRefreshToken()).toBe('new-refresh');
+      const body = new URLSearchParams(fetchMock.mock.calls[0][1].body);
+      expect(body.get('grant_type')).toBe('refresh_token');
+      expect(body.get('refresh_token')).toBe('old-refresh');
+    });
+
+    it('should throw without a refresh token', async () => {
+      await expect(client.refreshAccessToken()).rejects.toThrow('No refresh token available');
+    });
+  });
+
+  describe('scheduleTokenRefresh', () => {
+    it('should refresh before expiry and dispatch the new token', async () => {
+      vi.useFakeTimers();
+      vi.stubGlobal('fetch', vi.fn(async () =>
+        tokenResponse({ access_token: 'fresh', expires_in: 300 })
+      ));
+      client.storeTokens({ access_token: 'stale', refresh_token: 'refresh', expires_in: 120 });
+      const refreshed = vi.fn();
+      client.addEventListener('tokenRefreshed', refreshed);
+
+      client.scheduleTokenRefresh();
+      await vi.advanceTimersByTimeAsync(59 * 1000);
+      expect(refreshed).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(refreshed).toHaveBeenCalledTimes(1);
+      expect(refreshed.mock.calls[0][0].detail.token).toBe('fresh');
+    });
+
+    it('should dispatch tokenRefreshFailed when the refresh is rejected', async () => {
+      vi.useFakeTimers();
+      vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 400, text: async () => 'invalid_grant' })));
+      client.storeTokens({ access_token: 'stale', refresh_token: 'refresh', expires_in: 30 });
+      const failed = vi.fn();
+      client.addEventListener('tokenRefreshFailed', failed);
+
+      client.scheduleTokenRefresh();
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(failed).toHaveBeenCalledTimes(1);
+    });
+  });
+});
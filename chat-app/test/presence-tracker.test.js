@@ -0,0 +1,89 @@
+/**
+ * Tests for heartbeat presence
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { PresenceTracker } from '../src/js/presence-tracker.js';
+import { openEnvelope, sealEnvelope } from '../src/js/message-envelope.js';
+import { MqttTransport, getEventTopics } from '../src/js/mqtt-transport.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+
+describe('PresenceTracker', () => {
+  it('should show users with a recent heartbeat, the liveliest session winning', () => {
+    const presence = new PresenceTracker({ offlineAfter: 45000 });
+    presence.record({ username: 'alice', session: 'tab1', status: 'away' }, 0);
+    presence.record({ username: 'alice', session: 'tab2', status: 'online' }, 0);
+    presence.record({ username: 'bob', session: 'tab1', status: 'away' }, 0);
+
+    expect(presence.getUsers(1000)).toEqual([
+      { username: 'alice', status: 'online' },
+      { username: 'bob', status: 'away' },
+    ]);
+
+    presence.record({ username: 'alice', session: 'tab2', status: 'offline' }, 2000);
+    expect(presence.getStatus('alice', 2000)).toBe('away');
+  });
+
+  it('should time out sessions that stop sending heartbeats', () => {
+    const presence = new PresenceTracker({ offlineAfter: 45000 });
+    const change = vi.fn();
+    presence.addEventListener('change', change);
+
+    presence.record({ username: 'alice', session: 'crashed', status: 'online' }, 0);
+    presence.record({ username: 'bob', session: 'tab', status: 'online' }, 0);
+    presence.record({ username: 'bob', session: 'tab', status: 'online' }, 30000);
+    expect(change).toHaveBeenCalledTimes(2);
+
+    presence.sweep(45000);
+
+    expect(presence.getUsers(45000)).toEqual([{ username: 'bob', status: 'online' }]);
+    expect(change).toHaveBeenCalledTimes(3);
+    expect(change.mock.calls[2][0].detail).toEqual({ username: 'alice' });
+  });
+
+  it('should validate presence heartbeats', () => {
+    const heartbeat = sealEnvelope({
+      id: 'p1',
+      type: 'presence',
+      username: 'alice',
+      status: 'online',
+      session: 'tab1',
+      timestamp: '2026-01-01T12:00:00.000Z',
+    });
+
+    expect(() => openEnvelope(JSON.stringify(heartbeat))).not.toThrow();
+    expect(() =>
+      openEnvelope(
+        JSON.stringify({ ...heartbeat, payload: { ...heartbeat.payload, status: 'busy' } })
+      )
+    ).toThrow('status is invalid');
+  });
+
+  it('should send and receive heartbeats as transient events', async () => {
+    const mqttConnection = new EventTarget();
+    mqttConnection.isConnected = true;
+    mqttConnection.connection = {
+      subscribeAsync: vi.fn(async () => {}),
+      unsubscribeAsync: vi.fn(async () => {}),
+      publishAsync: vi.fn(async () => {}),
+    };
+    const manager = new ChatChannelManager(mqttConnection, {
+      transport: new MqttTransport(mqttConnection),
+    });
+    const received = vi.fn();
+    manager.addEventListener('presenceReceived', received);
+
+    await manager.watchPresence();
+    await manager.sendPresence('alice', 'away', 'tab1');
+
+    const [topic, body] = mqttConnection.connection.publishAsync.mock.calls.at(-1);
+    expect(topic).toBe(getEventTopics({ name: '_presence' }).subscribe);
+    mqttConnection.dispatchEvent(new CustomEvent('message', { detail: { topic, payload: body } }));
+
+    expect(received.mock.calls[0][0].detail).toEqual({
+      username: 'alice',
+      status: 'away',
+      session: 'tab1',
+    });
+  });
+});
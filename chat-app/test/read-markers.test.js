@@ -0,0 +1,82 @@
+/**
+ * Tests for ReadMarkers
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ReadMarkers } from '../src/js/read-markers.js';
+
+const message = (id, timestamp) => ({ id, type: 'message', username: 'bob', timestamp });
+
+describe('ReadMarkers', () => {
+  let markers;
+
+  beforeEach(() => {
+    localStorage.clear();
+    markers = new ReadMarkers();
+    markers.load('alice');
+  });
+
+  it('should treat everything as unread without a marker', () => {
+    expect(markers.isAfter('general', message('m1', '2024-01-01T10:00:00Z'), 5)).toBe(true);
+  });
+
+  it('should compare stream offsets when both are known', () => {
+    markers.markRead('general', message('m5', '2024-01-01T10:05:00Z'), 5);
+
+    expect(markers.isAfter('general', message('m4', '2024-01-01T11:00:00Z'), 4)).toBe(false);
+    expect(markers.isAfter('general', message('m6', '2024-01-01T09:00:00Z'), 6)).toBe(true);
+  });
+
+  it('should fall back to message ids and timestamps without offsets', () => {
+    markers.markRead('dm-alice-bob', message('m5', '2024-01-01T10:05:00Z'));
+
+    expect(markers.isAfter('dm-alice-bob', message('m5', '2024-01-01T10:05:00Z'))).toBe(false);
+    expect(markers.isAfter('dm-alice-bob', message('m4', '2024-01-01T10:04:00Z'))).toBe(false);
+    expect(markers.isAfter('dm-alice-bob', message('m6', '2024-01-01T10:06:00Z'))).toBe(true);
+  });
+
+  it('should never move a marker back', () => {
+    markers.markRead('general', message('m9', '2024-01-01T10:09:00Z'), 9);
+    markers.markRead('general', message('m3', '2024-01-01T10:03:00Z'), 3);
+
+    expect(markers.get('general').messageId).toBe('m9');
+  });
+
+  it('should keep markers in memory when storage is full', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    });
+
+    try {
+      expect(() => markers.markRead('general', message('m5', '2024-01-01T10:05:00Z'), 5)).not.toThrow();
+      expect(markers.get('general')).toMatchObject({ messageId: 'm5', offset: 5 });
+    } finally {
+      setItem.mockRestore();
+    }
+  });
+
+  it('should keep markers per user across reloads', () => {
+    markers.markRead('general', message('m9', '2024-01-01T10:09:00Z'), 9);
+
+    const reloaded = new ReadMarkers();
+    reloaded.load('alice');
+    expect(reloaded.get('general')).toEqual({ offset: 9, messageId: 'm9', timestamp: '2024-01-01T10:09:00Z' });
+
+    reloaded.load('carol');
+    expect(reloaded.get('general')).toBeNull();
+  });
+
+  it('should pick up markers moved in another tab', () => {
+    const changed = vi.fn();
+    markers.addEventListener('change', changed);
+
+    const otherTab = new ReadMarkers();
+    otherTab.load('alice');
+    otherTab.markRead('general', message('m9', '2024-01-01T10:09:00Z'), 9);
+    window.dispatchEvent(new StorageEvent('storage', { key: 'wamschat_read_markers_alice' }));
+
+    expect(changed).toHaveBeenCalledTimes(1);
+    expect(markers.get('general').offset).toBe(9);
+  });
+});
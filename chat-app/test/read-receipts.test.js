@@ -0,0 +1,86 @@
+/**
+ * Tests for DM read receipts
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ReadReceipts } from '../src/js/read-receipts.js';
+import { openEnvelope, sealEnvelope } from '../src/js/message-envelope.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+import { createChatUI } from './fake-ui.js';
+
+const receipt = (target, second) => ({
+  id: `r-${target}`,
+  type: 'receipt',
+  channel: 'dm-alice-bob',
+  username: 'bob',
+  target,
+  timestamp: new Date(Date.UTC(2026, 0, 1, 12, 0, second)).toISOString(),
+});
+
+describe('ReadReceipts', () => {
+  it('should keep the newest receipt per reader', () => {
+    const receipts = new ReadReceipts();
+    receipts.record(receipt('m2', 2));
+    // From a "load older" page
+    receipts.record(receipt('m1', 1));
+
+    expect(receipts.getReadUpTo('dm-alice-bob', 'bob')).toBe('m2');
+    expect(receipts.getReadUpTo('dm-alice-bob', 'alice')).toBeNull();
+  });
+
+  it('should only accept receipts in DMs', () => {
+    const sealed = sealEnvelope(receipt('m1', 1));
+
+    expect(openEnvelope(JSON.stringify(sealed))).toEqual(receipt('m1', 1));
+    expect(() =>
+      openEnvelope(
+        JSON.stringify({ ...sealed, payload: { ...sealed.payload, channel: 'general' } })
+      )
+    ).toThrow('channel is not a DM stream');
+  });
+});
+
+describe('ChatChannelManager read receipts', () => {
+  it('should publish receipts on the DM stream', async () => {
+    const amqpConnection = createFakeConnection();
+    const manager = new ChatChannelManager(amqpConnection);
+    await manager.subscribeToChannel('dm-alice-bob', 'bob');
+
+    await manager.sendReadReceipt('dm-alice-bob', 'bob', 'm1');
+
+    const [body] = amqpConnection.queue.publish.mock.calls.at(-1);
+    expect(openEnvelope(body)).toMatchObject({ type: 'receipt', username: 'bob', target: 'm1' });
+    await expect(manager.sendReadReceipt('general', 'bob', 'm1')).rejects.toThrow(
+      'Read receipts are only sent in DMs'
+    );
+  });
+});
+
+describe('ChatUIManager seen indicator', () => {
+  it('should mark our last message the peer has read, whatever its id', () => {
+    const ui = createChatUI({ channelManager: { sendReadReceipt: vi.fn(async () => {}) } });
+    const messageId = 'm"] .message, [x="';
+    ui.currentChannel = 'dm-alice-bob';
+    ui.handleMessageReceived({
+      channelName: 'dm-alice-bob',
+      message: {
+        id: messageId,
+        type: 'message',
+        channel: 'dm-alice-bob',
+        username: 'alice',
+        content: 'hi',
+        timestamp: new Date().toISOString(),
+      },
+      offset: 0,
+    });
+    ui.handleMessageReceived({
+      channelName: 'dm-alice-bob',
+      message: receipt(messageId, 1),
+      offset: 1,
+    });
+
+    const seen = ui.messagesContainer.querySelector('.message-seen');
+    expect(seen.closest('.message').dataset.messageId).toBe(messageId);
+  });
+});
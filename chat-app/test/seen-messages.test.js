@@ -0,0 +1,84 @@
+/**
+ * Tests for dropping duplicate messages by id
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { SeenMessages } from '../src/js/seen-messages.js';
+import { sealEnvelope } from '../src/js/message-envelope.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+
+describe('SeenMessages', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should tell copies from the same stream entry read again', () => {
+    const seen = new SeenMessages();
+
+    expect(seen.isDuplicate('general', 'm1', 10)).toBe(false);
+    expect(seen.isDuplicate('general', 'm1', 10)).toBe(false);
+    expect(seen.isDuplicate('general', 'm1', 11)).toBe(true);
+    expect(seen.isDuplicate('random', 'm1', 11)).toBe(false);
+
+    // Without offsets every repeat is a copy
+    expect(seen.isDuplicate('mqtt', 'm2', undefined)).toBe(false);
+    expect(seen.isDuplicate('mqtt', 'm2', undefined)).toBe(true);
+  });
+
+  it('should keep a bounded number of ids per stream', () => {
+    const seen = new SeenMessages({ limit: 2 });
+    seen.isDuplicate('general', 'm1');
+    seen.isDuplicate('general', 'm2');
+    seen.isDuplicate('general', 'm3');
+
+    expect(seen.isDuplicate('general', 'm1')).toBe(false);
+    expect(seen.isDuplicate('general', 'm3')).toBe(true);
+  });
+
+  it('should remember ids per user across reloads', () => {
+    const before = new SeenMessages();
+    before.load('alice');
+    before.isDuplicate('general', 'm1');
+    before.save();
+
+    const after = new SeenMessages();
+    after.load('alice');
+    expect(after.isDuplicate('general', 'm1')).toBe(true);
+
+    after.load('bob');
+    expect(after.isDuplicate('general', 'm1')).toBe(false);
+  });
+});
+
+describe('ChatChannelManager duplicates', () => {
+  it('should drop copies before dispatching them and count them', () => {
+    const connection = new EventTarget();
+    const manager = new ChatChannelManager(connection, { transport: new EventTarget() });
+    const received = vi.fn();
+    const suppressed = vi.fn();
+    manager.addEventListener('messageReceived', received);
+    manager.addEventListener('duplicateSuppressed', suppressed);
+
+    const body = JSON.stringify(
+      sealEnvelope({
+        id: 'm1',
+        type: 'message',
+        channel: 'general',
+        username: 'alice',
+        content: 'Hi',
+        timestamp: '2026-01-01T12:00:00.000Z',
+      })
+    );
+    [10, 11, 12].forEach(offset => {
+      manager.handleMessage('general', { body, offset, ack: async () => {} });
+    });
+
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(suppressed.mock.calls.at(-1)[0].detail).toEqual({
+      channelName: 'general',
+      messageId: 'm1',
+      count: 2,
+    });
+    expect(manager.getSuppressedDuplicates()).toEqual({ general: 2 });
+  });
+});
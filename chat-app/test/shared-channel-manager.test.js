@@ -0,0 +1,150 @@
+/**
+ * Tests for SharedChannelManager
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SharedChannelManager } from '../src/js/shared-channel-manager.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+
+// Stand-in for TabCoordinator, requests are answered by a test-provided leader
+const createFakeCoordinator = (isLeader, answer = vi.fn()) => {
+  const coordinator = new EventTarget();
+  coordinator.isLeader = isLeader;
+  coordinator.start = vi.fn(async () => {
+    if (coordinator.isLeader) {
+      coordinator.dispatchEvent(new CustomEvent('leadershipAcquired'));
+    }
+  });
+  coordinator.stop = vi.fn();
+  coordinator.hasPeers = vi.fn(() => false);
+  coordinator.broadcastEvent = vi.fn();
+  coordinator.request = vi.fn(async (method, args) => answer(method, args));
+  coordinator.receive = (name, detail) => {
+    coordinator.dispatchEvent(new CustomEvent('remoteEvent', { detail: { name, detail } }));
+  };
+  return coordinator;
+};
+
+// Starts disconnected, the leader connects it
+const createFakeBroker = () => {
+  const amqpConnection = createFakeConnection();
+  amqpConnection.isConnected = false;
+  amqpConnection.reconnectAttempts = 0;
+  amqpConnection.connect = vi.fn(async () => {
+    amqpConnection.isConnected = true;
+    amqpConnection.dispatchEvent(new CustomEvent('connected'));
+  });
+  return amqpConnection;
+};
+
+const chatMessage = (id, content) => ({
+  channelName: 'general',
+  message: { id, type: 'message', username: 'bob', content },
+});
+
+describe('SharedChannelManager', () => {
+  let amqpConnection;
+  let channelManager;
+
+  beforeEach(() => {
+    amqpConnection = createFakeBroker();
+    channelManager = new ChatChannelManager(amqpConnection);
+  });
+
+  describe('as leader', () => {
+    it('should connect and relay channel manager events to other tabs', async () => {
+      const coordinator = createFakeCoordinator(true);
+      const shared = new SharedChannelManager(channelManager, amqpConnection, coordinator);
+      const received = vi.fn();
+      shared.addEventListener('messageReceived', received);
+
+      await shared.start();
+      channelManager.dispatchEvent(new CustomEvent('messageReceived', { detail: chatMessage('m1', 'hi') }));
+
+      expect(amqpConnection.connect).toHaveBeenCalled();
+      expect(received).toHaveBeenCalledTimes(1);
+      expect(coordinator.broadcastEvent).toHaveBeenCalledWith('messageReceived', chatMessage('m1', 'hi'));
+      expect(shared.history.get('general')).toHaveLength(1);
+    });
+
+    it('should only connect once beforeConnect has resolved true', async () => {
+      const coordinator = createFakeCoordinator(true);
+      const shared = new SharedChannelManager(channelManager, amqpConnection, coordinator);
+      shared.beforeConnect = vi.fn(async () => {
+        expect(amqpConnection.connect).not.toHaveBeenCalled();
+        return false;
+      });
+
+      await shared.start();
+
+      expect(shared.beforeConnect).toHaveBeenCalledTimes(1);
+      expect(amqpConnection.connect).not.toHaveBeenCalled();
+    });
+
+    it('should resume the previous leader\'s consumers from their offsets', async () => {
+      const coordinator = createFakeCoordinator(false);
+      const shared = new SharedChannelManager(channelManager, amqpConnection, coordinator);
+      coordinator.receive('subscriptionState', [
+        { name: 'general', kind: 'channel', subscribed: true, lastOffset: 9 },
+      ]);
+      coordinator.receive('messageReceived', { ...chatMessage('m1', 'hi'), offset: 10 });
+
+      coordinator.isLeader = true;
+      coordinator.dispatchEvent(new CustomEvent('leadershipAcquired'));
+      await shared.leaderReady;
+      await vi.waitFor(() => expect(amqpConnection.queue.subscribe).toHaveBeenCalled());
+
+      const [params] = amqpConnection.queue.subscribe.mock.calls[0];
+      expect(params.args['x-stream-offset']).toBe(11);
+    });
+  });
+
+  describe('as follower', () => {
+    it('should subscribe through the leader and replay its history once', async () => {
+      const history = [{ name: 'messageReceived', detail: chatMessage('m1', 'first') }];
+      let coordinator;
+      const answer = vi.fn(async method => {
+        if (method === 'subscribeToChannel') {
+          // A live message arrives while the history is being fetched
+          coordinator.receive('messageReceived', chatMessage('m1', 'first'));
+          coordinator.receive('messageReceived', chatMessage('m2', 'second'));
+        }
+        return method === 'getHistory' ? history : undefined;
+      });
+      coordinator = createFakeCoordinator(false, answer);
+      const shared = new SharedChannelManager(channelManager, amqpConnection, coordinator);
+      const received = vi.fn();
+      shared.addEventListener('messageReceived', received);
+
+      await shared.subscribeToChannel('general', 'alice');
+
+      expect(answer).toHaveBeenCalledWith('subscribeToChannel', ['general', 'alice']);
+      expect(received.mock.calls.map(([e]) => e.detail.message.id)).toEqual(['m1', 'm2']);
+      expect(amqpConnection.connect).not.toHaveBeenCalled();
+    });
+
+    it('should ignore messages for channels it has not joined', () => {
+      const coordinator = createFakeCoordinator(false);
+      const shared = new SharedChannelManager(channelManager, amqpConnection, coordinator);
+      const received = vi.fn();
+      shared.addEventListener('messageReceived', received);
+
+      coordinator.receive('messageReceived', chatMessage('m1', 'hi'));
+
+      expect(received).not.toHaveBeenCalled();
+    });
+
+    it('should mirror queued messages from the leader', () => {
+      const coordinator = createFakeCoordinator(false);
+      const shared = new SharedChannelManager(channelManager, amqpConnection, coordinator);
+      const { channelName, message } = chatMessage('m1', 'offline');
+
+      coordinator.receive('messageQueued', { channelName, message });
+      expect(shared.getQueuedMessages('general')).toEqual([message]);
+
+      coordinator.receive('queuedMessageSent', { channelName, message });
+      expect(shared.getQueuedMessages('general')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the shared, filtered notification stream
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { AmqpTransport } from '../src/js/amqp-transport.js';
+import { DEFAULT_RETENTION, toStreamArguments } from '../src/js/stream-retention.js';
+import { getDefaultConfig, validateConfig } from '../src/js/app-config.js';
+import { createFakeConnection } from './fake-broker.js';
+
+const createFakeBroker = () => {
+  const amqpConnection = createFakeConnection({
+    declareQueue: (name, params, args) => {
+      if (!params.passive) {
+        amqpConnection.declared.push({ name, args });
+      }
+      return {
+        name,
+        bind: vi.fn(),
+        publish: vi.fn(async () => {}),
+        subscribe: vi.fn(async () => ({ cancel: vi.fn() })),
+      };
+    },
+  });
+  amqpConnection.config = { sharedNotifications: true };
+  amqpConnection.declared = [];
+  return amqpConnection;
+};
+
+describe('shared notifications', () => {
+  it('should declare one stream for every user', async () => {
+    const amqpConnection = createFakeBroker();
+    const transport = new AmqpTransport(amqpConnection);
+
+    const alice = await transport.openStream({ name: 'user-notifications-alice' });
+    const bob = await transport.openStream({ name: 'user-notifications-bob' });
+    await transport.openStream({ name: 'general' });
+
+    expect(alice.name).toBe('chat-stream-_notifications');
+    expect(bob.name).toBe('chat-stream-_notifications');
+    expect(amqpConnection.declared).toEqual([
+      {
+        name: 'chat-stream-_notifications',
+        args: toStreamArguments(DEFAULT_RETENTION.notifications),
+      },
+      { name: 'chat-stream-general', args: toStreamArguments(DEFAULT_RETENTION.channel) },
+    ]);
+  });
+
+  it('should tag notifications with their recipient and filter on it', async () => {
+    const transport = new AmqpTransport(createFakeBroker());
+    const queue = await transport.openStream({ name: 'user-notifications-alice' });
+    const onDelivery = vi.fn();
+
+    await transport.publish(queue, { type: 'dm-initiation' });
+    await transport.subscribe(queue, 0, onDelivery);
+
+    expect(queue.publish.mock.calls[0][1]).toEqual({
+      persistent: true,
+      headers: { 'x-stream-filter-value': 'alice' },
+    });
+    const [{ args }, onMessage] = queue.subscribe.mock.calls[0];
+    expect(args).toEqual({ 'x-stream-offset': 0, 'x-stream-filter': 'alice' });
+
+    const deliver = recipient => ({
+      bodyToString: () => '{}',
+      properties: { headers: { 'x-stream-filter-value': recipient, 'x-stream-offset': 1 } },
+      ack: vi.fn(),
+    });
+    const forBob = deliver('bob');
+    onMessage(forBob);
+    onMessage(deliver('alice'));
+
+    expect(forBob.ack).toHaveBeenCalled();
+    expect(onDelivery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should be off unless configured', () => {
+    const config = getDefaultConfig();
+
+    expect(config.amqp.sharedNotifications).toBe(false);
+    expect(
+      validateConfig({ ...config, amqp: { ...config.amqp, sharedNotifications: 'yes' } })
+    ).toContain('amqp.sharedNotifications must be a boolean');
+  });
+});
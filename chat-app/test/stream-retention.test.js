@@ -0,0 +1,113 @@
+/**
+ * Tests for stream retention and how AmqpTransport declares streams with it
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  RETENTION_PRESETS,
+  DEFAULT_RETENTION,
+  getStreamKind,
+  validateRetention,
+  toStreamArguments,
+} from '../src/js/stream-retention.js';
+import { AmqpTransport } from '../src/js/amqp-transport.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+
+const MISMATCH = "channel 1 closed: PRECONDITION_FAILED - inequivalent arg 'x-max-age' (406)";
+
+// Streams in existing hold the arguments they were first declared with
+const createFakeBroker = (existing = {}) =>
+  createFakeConnection({
+    declareQueue: (name, params, args, channel) => {
+      if (!params.passive) {
+        const current = existing[name];
+        if (current && JSON.stringify(current) !== JSON.stringify(args)) {
+          channel.closed = true;
+          throw new Error(MISMATCH);
+        }
+        existing[name] = args;
+      }
+      return { name, channel, bind: vi.fn(), subscribe: vi.fn(), publish: vi.fn() };
+    },
+  });
+
+describe('stream retention', () => {
+  it('should tell stream kinds apart by name', () => {
+    expect(getStreamKind('general')).toBe('channel');
+    expect(getStreamKind('dm-alice-bob')).toBe('dm');
+    expect(getStreamKind('user-notifications-alice')).toBe('notifications');
+  });
+
+  it('should map a retention to stream queue arguments', () => {
+    expect(toStreamArguments(RETENTION_PRESETS.month)).toEqual({
+      'x-queue-type': 'stream',
+      'x-max-age': '30D',
+      'x-max-length-bytes': 500 * 1024 * 1024,
+      'x-stream-max-segment-size-bytes': 50 * 1024 * 1024,
+    });
+    expect(toStreamArguments({ maxAge: '1h' })).toEqual({ 'x-queue-type': 'stream', 'x-max-age': '1h' });
+  });
+
+  it('should reject retentions the broker would not accept', () => {
+    expect(() => validateRetention({ maxAge: '2 weeks' })).toThrow('Invalid maxAge');
+    expect(() => validateRetention({ maxLengthBytes: -1 })).toThrow('Invalid maxLengthBytes');
+    expect(() => validateRetention({ segmentSizeBytes: 1.5 })).toThrow('Invalid segmentSizeBytes');
+    expect(() => validateRetention({ maxAge: '7D', maxLengthBytes: 1024 })).not.toThrow();
+  });
+
+  describe('AmqpTransport', () => {
+    it('should declare streams with the default retention for their kind', async () => {
+      const existing = {};
+      const transport = new AmqpTransport(createFakeBroker(existing));
+
+      await transport.openStream({ name: 'dm-alice-bob' });
+      await transport.openStream({ name: 'user-notifications-alice' });
+
+      expect(existing['chat-stream-dm-alice-bob']).toEqual(toStreamArguments(DEFAULT_RETENTION.dm));
+      expect(existing['chat-stream-user-notifications-alice']).toEqual(
+        toStreamArguments(DEFAULT_RETENTION.notifications)
+      );
+    });
+
+    it('should open an existing stream as it is when no retention was asked for', async () => {
+      const amqpConnection = createFakeBroker({ 'chat-stream-general': toStreamArguments({ maxAge: '7D' }) });
+      const transport = new AmqpTransport(amqpConnection);
+
+      const queue = await transport.openStream({ name: 'general' });
+
+      expect(queue.name).toBe('chat-stream-general');
+      expect(queue.channel).not.toBe(transport.declareChannel);
+      expect(queue.bind).toHaveBeenCalledWith('amq.topic', 'general');
+    });
+
+    it('should fail clearly when an existing stream has a different retention', async () => {
+      const amqpConnection = createFakeBroker({ 'chat-stream-general': toStreamArguments({ maxAge: '1h' }) });
+      const manager = new ChatChannelManager(amqpConnection);
+
+      const created = manager.createChannel('general', { retention: RETENTION_PRESETS.week });
+
+      await expect(created).rejects.toMatchObject({
+        code: 'STREAM_ARGUMENTS_MISMATCH',
+        message: expect.stringContaining('already exists with a different retention'),
+      });
+      expect(manager.channels.has('general')).toBe(false);
+      // Nothing was leased and the failed declaration didn't touch the pool
+      expect(manager.transport.pool.size).toBe(0);
+
+      // The next declaration gets a fresh channel
+      await manager.createChannel('random', { retention: RETENTION_PRESETS.week });
+      expect(amqpConnection.connection.channel).toHaveBeenCalledTimes(3);
+    });
+
+    it('should validate the retention before declaring anything', async () => {
+      const amqpConnection = createFakeBroker();
+      const manager = new ChatChannelManager(amqpConnection);
+
+      await expect(manager.createChannel('general', { retention: { maxAge: 'forever' } })).rejects.toThrow(
+        'Invalid maxAge'
+      );
+      expect(amqpConnection.connection.channel).not.toHaveBeenCalled();
+    });
+  });
+});
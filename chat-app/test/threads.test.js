@@ -0,0 +1,145 @@
+/**
+ * Tests for threaded replies
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { openEnvelope, sealEnvelope } from '../src/js/message-envelope.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { createFakeConnection } from './fake-broker.js';
+import { createChatUI } from './fake-ui.js';
+
+const reply = {
+  id: 'm2',
+  type: 'message',
+  channel: 'general',
+  username: 'bob',
+  content: 'agreed',
+  parentId: 'm1',
+  timestamp: '2026-01-01T12:00:00.000Z',
+};
+
+describe('threaded replies', () => {
+  it('should carry the parent id in the envelope', () => {
+    const sealed = sealEnvelope(reply);
+
+    expect(sealed.payload.parentId).toBe('m1');
+    expect(openEnvelope(JSON.stringify(sealed))).toEqual(reply);
+  });
+
+  it('should leave the parent id out of top-level messages', () => {
+    const { parentId: _parentId, ...message } = reply;
+
+    expect(sealEnvelope(message).payload).not.toHaveProperty('parentId');
+    expect(openEnvelope(JSON.stringify(sealEnvelope(message)))).toEqual(message);
+  });
+
+  it('should reject a parent id that is not a string', () => {
+    const sealed = sealEnvelope(reply);
+
+    expect(() =>
+      openEnvelope(JSON.stringify({ ...sealed, payload: { ...sealed.payload, parentId: 7 } }))
+    ).toThrow('parentId must be a string');
+  });
+
+  it('should publish replies on the channel stream', async () => {
+    const amqpConnection = createFakeConnection();
+    const manager = new ChatChannelManager(amqpConnection);
+    await manager.subscribeToChannel('general', 'bob');
+
+    await manager.sendMessage('general', 'bob', 'agreed', 'm1');
+
+    const [body] = amqpConnection.queue.publish.mock.calls.at(-1);
+    expect(openEnvelope(body)).toMatchObject({
+      channel: 'general',
+      content: 'agreed',
+      parentId: 'm1',
+    });
+  });
+});
+
+describe('ChatUIManager threads', () => {
+  let ui;
+  let offset;
+
+  // Messages from bob arriving on general, one stream offset after the other
+  const receive = (id, parentId) => {
+    ui.handleMessageReceived({
+      channelName: 'general',
+      message: {
+        ...reply,
+        id,
+        content: `message ${id}`,
+        parentId,
+        timestamp: new Date(Date.UTC(2026, 0, 1, 12, 0, offset)).toISOString(),
+      },
+      offset: offset++,
+    });
+  };
+
+  const getSummary = parentId =>
+    ui.messagesContainer.querySelector(
+      `.message[data-message-id="${parentId}"] .thread-summary-btn`
+    );
+
+  beforeEach(() => {
+    ui = createChatUI({
+      channelManager: { getQueuedMessages: () => [], getFailedMessages: () => [] },
+    });
+    offset = 0;
+  });
+
+  it('should count replies on the parent instead of listing them', () => {
+    receive('m1');
+    receive('r1', 'm1');
+    receive('r2', 'm1');
+
+    expect(ui.messagesContainer.querySelectorAll('.message')).toHaveLength(1);
+    expect(getSummary('m1').textContent).toContain('2 replies');
+  });
+
+  it('should show the thread in the side panel until it is closed', () => {
+    receive('m1');
+    receive('r1', 'm1');
+
+    getSummary('m1').click();
+
+    expect(ui.threadPanel.hidden).toBe(false);
+    expect(ui.appMain.classList.contains('thread-open')).toBe(true);
+    expect(
+      Array.from(
+        ui.threadMessages.querySelectorAll('.message'),
+        element => element.dataset.messageId
+      )
+    ).toEqual(['m1', 'r1']);
+
+    receive('r2', 'm1');
+    expect(ui.threadMessages.querySelectorAll('.message')).toHaveLength(3);
+
+    document.getElementById('threadCloseBtn').click();
+
+    expect(ui.threadPanel.hidden).toBe(true);
+    expect(ui.appMain.classList.contains('thread-open')).toBe(false);
+    expect(ui.threadMessages.children).toHaveLength(0);
+  });
+
+  it('should count unread replies per thread', () => {
+    receive('m1');
+    receive('m2');
+    receive('r1', 'm1');
+    receive('r2', 'm1');
+    receive('r3', 'm2');
+
+    expect(getSummary('m1').querySelector('.thread-unread').textContent).toBe('2 new');
+    expect(getSummary('m2').querySelector('.thread-unread').textContent).toBe('1 new');
+
+    getSummary('m1').click();
+    ui.closeThreadPanel();
+
+    expect(getSummary('m1').querySelector('.thread-unread')).toBeNull();
+    expect(getSummary('m2').querySelector('.thread-unread').textContent).toBe('1 new');
+
+    receive('r4', 'm1');
+
+    expect(getSummary('m1').querySelector('.thread-unread').textContent).toBe('1 new');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for typing indicators and the transient events they travel on
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { TypingIndicators } from '../src/js/typing-indicators.js';
+import { AmqpTransport } from '../src/js/amqp-transport.js';
+import { MqttTransport, getEventTopics } from '../src/js/mqtt-transport.js';
+import { ChatChannelManager } from '../src/js/chat-channel-manager.js';
+import { openEnvelope } from '../src/js/message-envelope.js';
+
+describe('TypingIndicators', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should throttle typing events per channel', () => {
+    const typing = new TypingIndicators({ throttle: 3000 });
+
+    expect(typing.shouldSend('general', 0)).toBe(true);
+    expect(typing.shouldSend('general', 2999)).toBe(false);
+    expect(typing.shouldSend('random', 2999)).toBe(true);
+    expect(typing.shouldSend('general', 3000)).toBe(true);
+
+    typing.resetThrottle('general');
+    expect(typing.shouldSend('general', 3001)).toBe(true);
+  });
+
+  it('should drop typists whose events stop coming', () => {
+    vi.useFakeTimers();
+    const typing = new TypingIndicators({ timeout: 5000 });
+    const change = vi.fn();
+    typing.addEventListener('change', change);
+
+    typing.record('general', 'bob');
+    typing.record('general', 'alice');
+    vi.advanceTimersByTime(4000);
+    typing.record('general', 'bob');
+    expect(typing.getTypists('general')).toEqual(['alice', 'bob']);
+
+    vi.advanceTimersByTime(1000);
+    expect(typing.getTypists('general')).toEqual(['bob']);
+
+    typing.clear('general', 'bob');
+    expect(typing.getTypists('general')).toEqual([]);
+    expect(change).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('transient events', () => {
+  it('should go through an exclusive auto-delete queue on AMQP, not the stream', async () => {
+    const eventsQueue = {
+      name: 'amq.gen-1',
+      bind: vi.fn(async () => {}),
+      unbind: vi.fn(async () => {}),
+      subscribe: vi.fn(async () => ({ cancel: vi.fn() })),
+    };
+    const channel = {
+      basicQos: vi.fn(),
+      confirmSelect: vi.fn(),
+      exchangeDeclare: vi.fn(async () => {}),
+      basicPublish: vi.fn(async () => 1),
+      queue: vi.fn(async () => eventsQueue),
+    };
+    eventsQueue.channel = channel;
+    const transport = new AmqpTransport({ connection: { channel: vi.fn(async () => channel) } });
+
+    const onDelivery = vi.fn();
+    await transport.openEvents(onDelivery);
+    await transport.watchEvents({ name: 'general' });
+    await transport.publishEvent({ name: 'general' }, { type: 'typing' });
+
+    expect(channel.exchangeDeclare).toHaveBeenCalledWith('wamschat.events', 'topic', {
+      durable: false,
+    });
+    expect(channel.queue).toHaveBeenCalledWith('', { exclusive: true, autoDelete: true });
+    expect(eventsQueue.bind).toHaveBeenCalledWith('wamschat.events', 'general');
+    expect(channel.basicPublish).toHaveBeenCalledWith(
+      'wamschat.events',
+      'general',
+      '{"type":"typing"}',
+      { deliveryMode: 1 }
+    );
+
+    const [, consume] = eventsQueue.subscribe.mock.calls[0];
+    consume({ bodyToString: () => '{}' });
+    expect(onDelivery).toHaveBeenCalledWith(
+      expect.objectContaining({ body: '{}', offset: undefined })
+    );
+  });
+
+  it('should use QoS 0 topics next to the stream topics on MQTT', async () => {
+    const mqttConnection = new EventTarget();
+    mqttConnection.isConnected = true;
+    mqttConnection.connection = {
+      subscribeAsync: vi.fn(async () => {}),
+      unsubscribeAsync: vi.fn(async () => {}),
+      publishAsync: vi.fn(async () => {}),
+    };
+    const manager = new ChatChannelManager(mqttConnection, {
+      transport: new MqttTransport(mqttConnection),
+    });
+    const typing = vi.fn();
+    manager.addEventListener('typingReceived', typing);
+
+    await manager.subscribeToChannel('dm-alice-bob', 'alice');
+    await manager.sendTyping('dm-alice-bob', 'alice');
+
+    const topics = getEventTopics({ name: 'dm-alice-bob', username: 'alice' });
+    expect(topics.publish).toEqual([
+      'wamschat/events/users/alice/dms/dm-alice-bob',
+      'wamschat/events/users/bob/dms/dm-alice-bob',
+    ]);
+    expect(mqttConnection.connection.subscribeAsync).toHaveBeenCalledWith(topics.subscribe, {
+      qos: 0,
+    });
+
+    const [topic, body, options] = mqttConnection.connection.publishAsync.mock.calls.at(-1);
+    expect(topics.publish).toContain(topic);
+    expect(options).toEqual({ qos: 0 });
+    expect(openEnvelope(body)).toMatchObject({ type: 'typing', username: 'alice' });
+
+    mqttConnection.dispatchEvent(
+      new CustomEvent('message', { detail: { topic: topics.subscribe, payload: body } })
+    );
+    expect(typing.mock.calls[0][0].detail).toEqual({
+      channelName: 'dm-alice-bob',
+      username: 'alice',
+    });
+  });
+});
@@ -4,7 +4,9 @@ import { join } from 'path';
 
 const PUBLIC_DIR = 'public';
 const DEMOS = [
-  { name: 'chat', source: 'chat-app/dist', dest: 'chat' }
+  // configEnv names a runtime config file to drop next to index.html, so the
+  // same build can be promoted between environments without rebuilding
+  { name: 'chat', source: 'chat-app/dist', dest: 'chat', configEnv: 'CHAT_CONFIG' }
 ];
 
 console.log('📦 Preparing deployment...\n');
@@ -34,6 +36,16 @@ for (const demo of DEMOS) {
     console.log(`   ✓ Created 404.html for SPA routing`);
   }
 
+  const configFile = demo.configEnv && process.env[demo.configEnv];
+  if (configFile) {
+    if (!existsSync(configFile)) {
+      console.error(`❌ Error: ${demo.configEnv}=${configFile} does not exist.`);
+      process.exit(1);
+    }
+    cpSync(configFile, join(destPath, 'config.json'));
+    console.log(`   ✓ Added runtime config from ${configFile}`);
+  }
+
   console.log(`   ✓ Deployed to ${destPath}`);
 }
 